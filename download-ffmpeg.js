@@ -1,93 +1,310 @@
+// Install the pinned static ffmpeg and ffprobe into bin/ (runs as postinstall).
+//
+// The tarball for this machine's architecture (FFMPEG_ARCH overrides it) is taken from
+// FFMPEG_TARBALL, else from the cache dir, else downloaded from FFMPEG_MIRROR and the release
+// mirrors (not with FFMPEG_OFFLINE=true). It must match its pinned SHA-256 before anything is
+// extracted; a build with no pinned SHA-256 is never installed. The installed ffmpeg then has
+// to have an encoder and muxer for every output format and the encoders of the phone cascade.
+//
+// FFMPEG_CHECK=strict fails the install when any of that goes wrong; FFMPEG_CHECK=warn prints
+// a warning and lets it finish. The default is strict on CI and Netlify builds, warn elsewhere.
 const https = require('https');
+const http = require('http');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
 
-console.log('Downloading FFmpeg static binary...');
+// Pinned johnvansickle.com static build. Change the version, file names and checksums
+// together; a checksum is the `sha256sum` of the tarball.
+const FFMPEG_RELEASE = {
+  version: '7.0.2',
+  builds: {
+    amd64: { file: 'ffmpeg-7.0.2-amd64-static.tar.xz', sha256: null },
+    arm64: { file: 'ffmpeg-7.0.2-arm64-static.tar.xz', sha256: null }
+  },
+  // Tried in order after FFMPEG_MIRROR; a release moves to old-releases once superseded
+  mirrors: [
+    'https://johnvansickle.com/ffmpeg/releases/',
+    'https://johnvansickle.com/ffmpeg/old-releases/'
+  ]
+};
 
-const binDir = path.join(__dirname, 'bin');
-if (!fs.existsSync(binDir)) {
-  fs.mkdirSync(binDir, { recursive: true });
-}
+// Node's names for the architectures there are builds for
+const ARCHES = { x64: 'amd64', arm64: 'arm64' };
+// A download that sends nothing for this long is given up on
+const DOWNLOAD_IDLE_TIMEOUT = 60 * 1000;
+const MAX_REDIRECTS = 5;
 
-const ffmpegUrl = 'https://johnvansickle.com/ffmpeg/releases/ffmpeg-release-amd64-static.tar.xz';
-const downloadPath = path.join(binDir, 'ffmpeg-static.tar.xz');
+const binDir = path.join(__dirname, 'bin');
 const ffmpegPath = path.join(binDir, 'ffmpeg');
 const ffprobePath = path.join(binDir, 'ffprobe');
+// What was installed into bin/, so an unchanged pin skips the download
+const stampPath = path.join(binDir, 'ffmpeg-release.json');
+
+function checkMode() {
+  const mode = process.env.FFMPEG_CHECK || (process.env.CI || process.env.NETLIFY ? 'strict' : 'warn');
+  if (!['strict', 'warn'].includes(mode)) {
+    throw new Error(`Unknown FFMPEG_CHECK "${mode}". Use strict or warn.`);
+  }
+  return mode;
+}
+
+function targetArch() {
+  const arch = process.env.FFMPEG_ARCH || ARCHES[os.arch()];
+  if (!FFMPEG_RELEASE.builds[arch]) {
+    throw new Error(`No ffmpeg build for architecture "${process.env.FFMPEG_ARCH || os.arch()}". Set FFMPEG_ARCH to ${Object.keys(FFMPEG_RELEASE.builds).join(' or ')}.`);
+  }
+  return arch;
+}
 
-// Check if already downloaded
-if (fs.existsSync(ffmpegPath) && fs.existsSync(ffprobePath)) {
-  console.log('FFmpeg binaries already exist, skipping download.');
-  return;
+function cacheDir() {
+  return process.env.FFMPEG_CACHE_DIR || path.join(__dirname, 'node_modules', '.cache', 'ffmpeg');
 }
 
-function downloadFile(url, dest) {
+function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(1024 * 1024);
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+// Download url to dest, following redirects. Resolves with the SHA-256 of what was written.
+function downloadFile(url, dest, redirects = 0) {
   return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(dest);
-    
-    https.get(url, (response) => {
-      if (response.statusCode === 302 || response.statusCode === 301) {
-        // Handle redirect
-        return downloadFile(response.headers.location, dest)
-          .then(resolve)
-          .catch(reject);
+    const client = url.startsWith('http:') ? http : https;
+    const request = client.get(url, (response) => {
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`more than ${MAX_REDIRECTS} redirects`));
+          return;
+        }
+        downloadFile(new URL(response.headers.location, url).href, dest, redirects + 1).then(resolve, reject);
+        return;
       }
-      
+
       if (response.statusCode !== 200) {
-        reject(new Error(`Download failed with status: ${response.statusCode}`));
+        response.resume();
+        reject(new Error(`status ${response.statusCode}`));
         return;
       }
-      
+
+      const hash = crypto.createHash('sha256');
+      const file = fs.createWriteStream(dest);
+      response.on('data', chunk => hash.update(chunk));
+      response.on('error', reject);
       response.pipe(file);
-      
-      file.on('finish', () => {
-        file.close();
-        resolve();
-      });
-      
-      file.on('error', (err) => {
-        fs.unlink(dest, () => {});
-        reject(err);
-      });
-    }).on('error', (err) => {
-      reject(err);
+      file.on('finish', () => resolve(hash.digest('hex')));
+      file.on('error', reject);
     });
+
+    request.setTimeout(DOWNLOAD_IDLE_TIMEOUT, () => request.destroy(new Error(`no data for ${DOWNLOAD_IDLE_TIMEOUT / 1000}s`)));
+    request.on('error', reject);
   });
 }
 
-async function main() {
+// Fetch the build into the cache dir from the first mirror that has it with the right checksum.
+// Returns { tarballPath, sha256 }.
+async function downloadTarball(build, expectedSha256) {
+  const mirrors = [process.env.FFMPEG_MIRROR, ...FFMPEG_RELEASE.mirrors].filter(Boolean);
+  const tarballPath = path.join(cacheDir(), build.file);
+  const partPath = `${tarballPath}.part`;
+  const failures = [];
+  fs.mkdirSync(cacheDir(), { recursive: true });
+
+  for (const mirror of mirrors) {
+    const url = new URL(build.file, mirror.endsWith('/') ? mirror : `${mirror}/`).href;
+    console.log(`Downloading ${url}...`);
+    try {
+      const sha256 = await downloadFile(url, partPath);
+      if (sha256 !== expectedSha256) {
+        throw new Error(`checksum mismatch (got ${sha256})`);
+      }
+      fs.renameSync(partPath, tarballPath);
+      return { tarballPath, sha256 };
+    } catch (err) {
+      fs.rmSync(partPath, { force: true });
+      failures.push(`${url}: ${err.message}`);
+      console.warn(`Download from ${url} failed: ${err.message}`);
+    }
+  }
+
+  throw new Error(`Could not download ${build.file}:\n  ${failures.join('\n  ')}`);
+}
+
+// The verified tarball for the build: FFMPEG_TARBALL, a cached copy or a fresh download.
+// Returns { tarballPath, sha256, source }.
+async function obtainTarball(build, expectedSha256) {
+  if (process.env.FFMPEG_TARBALL) {
+    const tarballPath = path.resolve(process.env.FFMPEG_TARBALL);
+    if (!fs.existsSync(tarballPath)) {
+      throw new Error(`FFMPEG_TARBALL ${tarballPath} does not exist`);
+    }
+    const sha256 = sha256File(tarballPath);
+    if (sha256 !== expectedSha256) {
+      throw new Error(`FFMPEG_TARBALL ${tarballPath} has SHA-256 ${sha256}, expected ${expectedSha256}`);
+    }
+    return { tarballPath, sha256, source: 'FFMPEG_TARBALL' };
+  }
+
+  const cachedPath = path.join(cacheDir(), build.file);
+  if (fs.existsSync(cachedPath)) {
+    const sha256 = sha256File(cachedPath);
+    if (sha256 === expectedSha256) {
+      return { tarballPath: cachedPath, sha256, source: 'cache' };
+    }
+    console.warn(`Cached ${cachedPath} has SHA-256 ${sha256}, expected ${expectedSha256}; removing it`);
+    fs.rmSync(cachedPath);
+  }
+
+  if (process.env.FFMPEG_OFFLINE === 'true') {
+    throw new Error(`FFMPEG_OFFLINE is set and ${build.file} is neither in FFMPEG_TARBALL nor in ${cacheDir()}`);
+  }
+  return { ...(await downloadTarball(build, expectedSha256)), source: 'download' };
+}
+
+// Extract only ffmpeg and ffprobe, next to bin/ first so a failed extract leaves bin/ as it was
+function extractBinaries(tarballPath) {
+  fs.mkdirSync(binDir, { recursive: true });
+  const extractDir = fs.mkdtempSync(path.join(binDir, '.extract-'));
   try {
-    // Download FFmpeg
-    console.log('Downloading FFmpeg...');
-    await downloadFile(ffmpegUrl, downloadPath);
-    console.log('Download completed');
-    
-    // Extract
-    console.log('Extracting...');
-    execSync(`cd ${binDir} && tar -xf ffmpeg-static.tar.xz --strip-components=1`, { stdio: 'inherit' });
-    
-    // Make executable
-    if (fs.existsSync(ffmpegPath)) {
-      fs.chmodSync(ffmpegPath, '755');
-      console.log('FFmpeg binary ready');
+    execFileSync('tar', ['-xJf', tarballPath, '-C', extractDir, '--strip-components=1', '--wildcards', '*/ffmpeg', '*/ffprobe'], { stdio: 'inherit' });
+    for (const name of ['ffmpeg', 'ffprobe']) {
+      const extracted = path.join(extractDir, name);
+      if (!fs.existsSync(extracted)) {
+        throw new Error(`${path.basename(tarballPath)} has no ${name}`);
+      }
+      fs.chmodSync(extracted, 0o755);
+      fs.renameSync(extracted, path.join(binDir, name));
+    }
+  } finally {
+    fs.rmSync(extractDir, { recursive: true, force: true });
+  }
+}
+
+function readStamp() {
+  try {
+    return JSON.parse(fs.readFileSync(stampPath, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// What the installed ffmpeg is missing: an encoder or muxer for an output format (as /health
+// reports it), or an encoder the phone cascade relies on
+async function missingCapabilities(binaryPath) {
+  // Required here rather than up top: these modules are only needed once a binary is in place
+  const { DebugLogger } = require('./lib/logger');
+  const { checkAvailableEncoders } = require('./lib/ffmpeg');
+  const { OUTPUT_FORMATS } = require('./lib/formats');
+  const { LEGACY_STRATEGIES } = require('./lib/strategies');
+
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+  const capabilities = await checkAvailableEncoders(binaryPath, new DebugLogger({ context: { install: true } }));
+  if (capabilities.error) {
+    return [`capability detection failed: ${capabilities.error}`];
+  }
+
+  const missing = [];
+  for (const [formatName, format] of Object.entries(OUTPUT_FORMATS)) {
+    if (!format.encoders.some(name => capabilities.encoders.includes(name))) {
+      missing.push(`no encoder for ${formatName} (needs ${format.encoders.join(' or ')})`);
+    } else if (!capabilities.muxers.includes(format.container)) {
+      missing.push(`no ${format.container} muxer for ${formatName}`);
+    }
+  }
+  for (const encoder of new Set(LEGACY_STRATEGIES.flatMap(strategy => strategy.encoders))) {
+    if (!capabilities.encoders.includes(encoder)) {
+      missing.push(`no ${encoder} encoder (used by the phone preset)`);
+    }
+  }
+  return missing;
+}
+
+// Put the pinned build in bin/ unless it's there already. Returns a description of what's installed.
+async function installFFmpeg() {
+  if (process.env.FFMPEG_SKIP_DOWNLOAD === 'true') {
+    if (!fs.existsSync(ffmpegPath) || !fs.existsSync(ffprobePath)) {
+      throw new Error("FFMPEG_SKIP_DOWNLOAD is set but bin/ffmpeg and bin/ffprobe are missing");
     }
-    
-    if (fs.existsSync(ffprobePath)) {
-      fs.chmodSync(ffprobePath, '755');
-      console.log('FFprobe binary ready');
+    return 'binaries already in bin/ (FFMPEG_SKIP_DOWNLOAD)';
+  }
+
+  const arch = targetArch();
+  const build = FFMPEG_RELEASE.builds[arch];
+  const expectedSha256 = process.env.FFMPEG_SHA256 || build.sha256;
+  // Not even in warn mode: an unverified tarball could be anything
+  if (!expectedSha256) {
+    throw new Error(`No SHA-256 pinned for ${build.file}. Add it to FFMPEG_RELEASE in download-ffmpeg.js or set FFMPEG_SHA256.`);
+  }
+
+  const stamp = readStamp();
+  if (stamp && stamp.file === build.file && stamp.sha256 === expectedSha256 &&
+      fs.existsSync(ffmpegPath) && fs.existsSync(ffprobePath)) {
+    return `ffmpeg ${stamp.version} (${stamp.arch}) already installed`;
+  }
+
+  const { tarballPath, sha256, source } = await obtainTarball(build, expectedSha256);
+  console.log(`${build.file} verified (SHA-256 ${sha256}, from ${source})`);
+
+  extractBinaries(tarballPath);
+  fs.writeFileSync(stampPath, JSON.stringify({
+    version: FFMPEG_RELEASE.version,
+    arch,
+    file: build.file,
+    sha256,
+    installedAt: new Date().toISOString()
+  }, null, 2) + '\n');
+  return `ffmpeg ${FFMPEG_RELEASE.version} (${arch}) installed into bin/`;
+}
+
+// strict: fail the install; warn: make sure nobody scrolls past it
+function reportProblem(mode, message) {
+  if (mode === 'strict') {
+    console.error(`FFmpeg setup failed: ${message}`);
+    console.error('Set FFMPEG_CHECK=warn to let the install finish anyway.');
+    process.exitCode = 1;
+    return;
+  }
+  const rule = '='.repeat(72);
+  console.warn(`\n${rule}\nWARNING: FFmpeg setup failed - conversions will not work with this build.\n${message}\n${rule}\n`);
+}
+
+async function main() {
+  let mode = 'strict';
+  try {
+    mode = checkMode();
+    const installed = await installFFmpeg();
+    console.log(installed);
+
+    // Static builds only run on Linux; elsewhere they're installed for the deploy bundle only
+    if (os.platform() !== 'linux') {
+      console.log(`Not checking encoders on ${os.platform()}; the binaries in bin/ are for Linux`);
+      return;
     }
-    
-    // Cleanup
-    if (fs.existsSync(downloadPath)) {
-      fs.unlinkSync(downloadPath);
+    const missing = await missingCapabilities(ffmpegPath);
+    if (missing.length > 0) {
+      reportProblem(mode, `bin/ffmpeg is missing required capabilities:\n  ${missing.join('\n  ')}`);
+      return;
     }
-    
     console.log('FFmpeg setup complete!');
-    
-  } catch (error) {
-    console.warn('FFmpeg download failed:', error.message);
-    console.warn('This may cause issues in production. Consider manually adding FFmpeg binaries.');
+  } catch (err) {
+    reportProblem(mode, err.message);
   }
 }
 
-main();
\ No newline at end of file
+if (require.main === module) {
+  main();
+}
+
+module.exports = { FFMPEG_RELEASE, targetArch, sha256File, obtainTarball, installFFmpeg, missingCapabilities };
@@ -0,0 +1,149 @@
+const { DebugLogger } = require('../lib/logger');
+const { ValidationError, PROBLEM_CONTENT_TYPE, describeError, problemDetails } = require('../lib/errors');
+const { getFFmpegPaths, checkAvailableEncoders } = require('../lib/ffmpeg');
+const { validateBearerToken, assertScope } = require('../lib/auth');
+const { parseRequestInput, getHeader, isAsyncRequest, wantsDebug } = require('../lib/request');
+const { SYNC_LIMITS, MAX_SYNC_OUTPUT_SIZE } = require('../lib/pipeline');
+const { parseBatchRequest, prepareBatchItems, runBatch, limitBatchSize, batchManifest, batchZip, cleanupBatch } = require('../lib/batch');
+const { createJobStore } = require('../lib/job-store');
+const { dispatchJob, publicJob } = require('../lib/jobs');
+const { UsageMeter } = require('../lib/rate-limit');
+const { parseCallbackUrl, pendingCallback } = require('../lib/webhooks');
+
+// Convert several URL sources in one request, each with its own options. FFmpeg lookup and
+// encoder detection run once for the whole batch; items run a few at a time and a failing
+// item doesn't stop the others. Answers with a JSON manifest or a ZIP of the outputs.
+exports.handler = async (event) => {
+  const logger = DebugLogger.forEvent(event);
+  let meter = null;
+  let results = null;
+  const startTime = Date.now();
+
+  try {
+    logger.log('Batch started, validating authentication...');
+
+    const apiKey = validateBearerToken(event, 'convert');
+    logger.setContext({ key: apiKey.name });
+    logger.enableDebug(wantsDebug(event, apiKey));
+
+    meter = new UsageMeter(apiKey);
+    await meter.checkRequest();
+    await meter.assertQuotaAvailable();
+
+    const { ffmpegPath, ffprobePath } = getFFmpegPaths(logger);
+
+    const { fields: body, upload } = parseRequestInput(event);
+    if (upload) throw new ValidationError("Batches take JSON with source URLs; upload files to /convert one at a time");
+
+    const { items, defaults, output, concurrency } = parseBatchRequest(body);
+    const encoderInfo = await checkAvailableEncoders(ffmpegPath, logger);
+    const prepared = prepareBatchItems(items, defaults, apiKey, encoderInfo);
+    logger.log(`Batch of ${prepared.length} items, ${prepared.filter(item => item.error).length} rejected, concurrency ${concurrency}`);
+    const callbackUrl = await parseCallbackUrl(body.callbackUrl, apiKey);
+
+    // Job mode: the whole batch becomes one job whose result is the ZIP. A callback URL implies it.
+    if (isAsyncRequest(event) || callbackUrl) {
+      assertScope(apiKey, 'async');
+      const store = createJobStore();
+      const job = await store.create({ source: null, options: null, batch: { items: prepared, concurrency }, owner: apiKey.name, callback: pendingCallback(callbackUrl) });
+      const runner = await dispatchJob(job, getHeader(event, 'authorization'), store, logger, meter);
+      logger.log(`Batch job ${job.id} queued (${runner})`);
+
+      const jobInfo = publicJob(job);
+      return {
+        statusCode: 202,
+        headers: {
+          "Content-Type": "application/json",
+          "Location": jobInfo.location,
+          ...meter.headers(),
+          ...logger.responseHeaders(),
+          "Cache-Control": "no-cache"
+        },
+        body: JSON.stringify({
+          success: true,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: jobInfo.location,
+          ...logger.debugFields()
+        })
+      };
+    }
+
+    results = await runBatch({
+      items: prepared,
+      concurrency,
+      ffmpegPath,
+      ffprobePath,
+      encoderInfo,
+      logger,
+      startTime,
+      limits: SYNC_LIMITS,
+      onInput: input => meter.chargeInput(input)
+    });
+    // Everything has to fit in one response (base64 in JSON, or the ZIP)
+    results = limitBatchSize(results, MAX_SYNC_OUTPUT_SIZE);
+
+    const totalTime = Date.now() - startTime;
+    const manifest = batchManifest(results, { includeData: output === 'manifest', includeDebug: logger.debugEnabled });
+    logger.log(`Batch finished in ${totalTime}ms: ${manifest.completed} completed, ${manifest.failed} failed`);
+
+    const batchHeaders = {
+      ...meter.headers(),
+      "X-Processing-Time": totalTime.toString(),
+      ...logger.responseHeaders(),
+      "X-Batch-Completed": String(manifest.completed),
+      "X-Batch-Failed": String(manifest.failed),
+      "Cache-Control": "no-cache"
+    };
+
+    if (output === 'zip') {
+      const buffer = batchZip(results);
+      return {
+        statusCode: 200,
+        headers: {
+          "Content-Type": "application/zip",
+          "Content-Disposition": 'attachment; filename="converted.zip"',
+          "Content-Length": buffer.length.toString(),
+          ...batchHeaders
+        },
+        body: buffer.toString('base64'),
+        isBase64Encoded: true
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/json",
+        ...batchHeaders
+      },
+      body: JSON.stringify({
+        success: manifest.failed === 0,
+        ...manifest,
+        processingTime: totalTime,
+        ...logger.debugFields()
+      })
+    };
+  } catch (err) {
+    const totalTime = Date.now() - startTime;
+    const { statusCode, code } = describeError(err);
+    logger.error(`Batch error after ${totalTime}ms:`, { code, error: err.message });
+
+    return {
+      statusCode: statusCode,
+      headers: {
+        "Content-Type": PROBLEM_CONTENT_TYPE,
+        ...(meter ? meter.headers() : {}),
+        ...(err.headers || {}),
+        ...logger.responseHeaders()
+      },
+      body: JSON.stringify(problemDetails(err, {
+        requestId: logger.requestId,
+        processingTime: totalTime,
+        ...logger.debugFields(err)
+      }))
+    };
+  } finally {
+    cleanupBatch(results);
+  }
+};
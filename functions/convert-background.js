@@ -0,0 +1,35 @@
+const { DebugLogger } = require('../lib/logger');
+const { validateBearerToken } = require('../lib/auth');
+const { createJobStore } = require('../lib/job-store');
+const { processJob } = require('../lib/jobs');
+const { UsageMeter } = require('../lib/rate-limit');
+
+// Netlify background function (the -background suffix gives it up to 15 minutes).
+// Invoked by /convert?async=1 with { jobId }; the caller never sees the return value.
+exports.handler = async (event) => {
+  const logger = DebugLogger.forEvent(event);
+
+  try {
+    const apiKey = validateBearerToken(event, 'async');
+    logger.setContext({ key: apiKey.name });
+
+    const { jobId } = JSON.parse(event.body || '{}');
+    if (!jobId) throw new Error("No job id provided");
+
+    // Only the key that queued a job may run it
+    const store = createJobStore();
+    const queued = await store.get(jobId);
+    if (!queued || queued.owner !== apiKey.name) throw new Error(`Job ${jobId} not found for key "${apiKey.name}"`);
+
+    logger.log('Background job started:', jobId);
+    // The /convert request that queued the job was rate limited, and processJob runs a job
+    // only once, so only the quotas apply here
+    const job = await processJob(jobId, store, logger, new UsageMeter(apiKey));
+    logger.log(`Background job finished with status: ${job.status}`);
+
+    return { statusCode: 200, body: '' };
+  } catch (err) {
+    logger.error('Background job could not run:', err.message);
+    return { statusCode: 500, body: '' };
+  }
+};
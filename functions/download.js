@@ -0,0 +1,63 @@
+const { DebugLogger } = require('../lib/logger');
+const { RequestError, PROBLEM_CONTENT_TYPE, describeError, problemDetails } = require('../lib/errors');
+const { verifyDownloadUrl } = require('../lib/signed-urls');
+const { createResultStorage } = require('../lib/result-storage');
+
+// Presigned bucket URLs only need to live long enough for the redirect to be followed
+const MAX_REDIRECT_TTL = 300;
+
+// Serve a stored result from a signed link (see signDownloadUrl). The signature is the
+// credential, so there is no bearer token: links can be handed to browsers and players.
+exports.handler = async (event) => {
+  const logger = DebugLogger.forEvent(event);
+
+  try {
+    if (event.httpMethod && event.httpMethod !== 'GET') {
+      throw new RequestError(`Method ${event.httpMethod} not allowed`, 405);
+    }
+
+    const { key, fileName, expiresInSeconds } = verifyDownloadUrl(event.queryStringParameters);
+    const storage = createResultStorage();
+    const download = await storage.download(key, { fileName, expiresInSeconds: Math.min(expiresInSeconds, MAX_REDIRECT_TTL) });
+    if (!download) {
+      throw new RequestError("This result is no longer available", 410, 'result_expired');
+    }
+
+    // Object storage serves the file itself, with headers set by the presigned URL
+    if (download.redirectUrl) {
+      logger.log('Redirecting download to storage:', key);
+      return {
+        statusCode: 302,
+        headers: {
+          "Location": download.redirectUrl,
+          "Cache-Control": "no-store",
+          ...logger.responseHeaders()
+        },
+        body: ''
+      };
+    }
+
+    logger.log(`Serving download ${key}, ${download.body.length} bytes`);
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": download.contentType,
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+        "Content-Length": download.body.length.toString(),
+        "Cache-Control": "private, no-store",
+        ...logger.responseHeaders()
+      },
+      body: download.body.toString('base64'),
+      isBase64Encoded: true
+    };
+  } catch (err) {
+    const { statusCode, code } = describeError(err);
+    logger.error('Download failed:', { code, error: err.message });
+
+    return {
+      statusCode,
+      headers: { "Content-Type": PROBLEM_CONTENT_TYPE, ...logger.responseHeaders() },
+      body: JSON.stringify(problemDetails(err, { requestId: logger.requestId }))
+    };
+  }
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const { DebugLogger } = require('../lib/logger');
+const { RequestError, PROBLEM_CONTENT_TYPE, describeError, problemDetails } = require('../lib/errors');
+const { getFFmpegPaths, checkAvailableEncoders, getProbeVersion, isEncoderAvailable } = require('../lib/ffmpeg');
+const { OUTPUT_FORMATS } = require('../lib/formats');
+const { validateBearerToken } = require('../lib/auth');
+
+// Filters behind trims/fades, loudness normalization and voice cleanup (deesser is
+// used when present but not required)
+const REQUIRED_FILTERS = ['afade', 'areverse', 'silenceremove', 'loudnorm', 'aresample', 'highpass', 'afftdn', 'acompressor', 'astats'];
+// Room for an input, its output and split parts
+const MIN_TMP_FREE_BYTES = 100 * 1024 * 1024;
+
+function tmpSpace() {
+  const stats = fs.statfsSync(os.tmpdir());
+  return { path: os.tmpdir(), freeBytes: stats.bavail * stats.bsize, totalBytes: stats.blocks * stats.bsize };
+}
+
+// Whether this deploy can do its job: ffmpeg and ffprobe present, an encoder and muxer for
+// every output format, the filters the options rely on, and free space in the temp dir.
+// Answers 200 when everything is there and 503 otherwise. Without a token only the status
+// is returned; any valid API key also gets the checks, the problems found, paths, versions
+// and the capability lists.
+exports.handler = async (event) => {
+  const logger = DebugLogger.forEvent(event);
+
+  try {
+    if (event.httpMethod && event.httpMethod !== 'GET') {
+      throw new RequestError(`Method ${event.httpMethod} not allowed`, 405);
+    }
+
+    const headers = event.headers || {};
+    const detailed = Boolean(headers.authorization || headers.Authorization);
+    if (detailed) {
+      validateBearerToken(event);
+    }
+
+    const problems = [];
+    const checks = { ffmpeg: false, ffprobe: false, formats: {}, filters: {}, tmp: false };
+    const details = {};
+
+    let paths = null;
+    try {
+      paths = getFFmpegPaths(logger);
+      checks.ffmpeg = true;
+      checks.ffprobe = true;
+    } catch (err) {
+      problems.push(err.message);
+    }
+
+    if (paths) {
+      const [capabilities, probeVersion] = await Promise.all([
+        checkAvailableEncoders(paths.ffmpegPath, logger),
+        getProbeVersion(paths.ffprobePath)
+      ]);
+      if (capabilities.error) {
+        problems.push(`FFmpeg capability detection failed: ${capabilities.error}`);
+      }
+      if (!probeVersion) {
+        problems.push("ffprobe -version failed");
+        checks.ffprobe = false;
+      }
+
+      for (const [formatName, format] of Object.entries(OUTPUT_FORMATS)) {
+        const encoder = format.encoders.find(name => isEncoderAvailable(capabilities, name)) || null;
+        const muxer = capabilities.muxers.includes(format.container);
+        checks.formats[formatName] = encoder && muxer ? encoder : null;
+        if (!encoder) {
+          problems.push(`No encoder for ${formatName} (needs ${format.encoders.join(' or ')})`);
+        } else if (!muxer) {
+          problems.push(`No ${format.container} muxer for ${formatName}`);
+        }
+      }
+
+      for (const filter of REQUIRED_FILTERS) {
+        checks.filters[filter] = capabilities.filters.includes(filter);
+        if (!checks.filters[filter]) {
+          problems.push(`Missing ${filter} filter`);
+        }
+      }
+
+      details.ffmpeg = {
+        path: paths.ffmpegPath,
+        version: capabilities.version,
+        configuration: capabilities.configuration,
+        detectedAt: capabilities.detectedAt,
+        encoders: capabilities.encoders,
+        decoders: capabilities.decoders,
+        muxers: capabilities.muxers,
+        filters: capabilities.filters
+      };
+      details.ffprobe = { path: paths.ffprobePath, version: probeVersion };
+    }
+
+    try {
+      details.tmp = tmpSpace();
+      checks.tmp = details.tmp.freeBytes >= MIN_TMP_FREE_BYTES;
+      if (!checks.tmp) {
+        problems.push(`Only ${details.tmp.freeBytes} bytes free in ${details.tmp.path}`);
+      }
+    } catch (err) {
+      problems.push(`Could not read free space in ${os.tmpdir()}: ${err.message}`);
+    }
+
+    const status = !checks.ffmpeg || !checks.ffprobe ? 'unavailable' : problems.length > 0 ? 'degraded' : 'ok';
+    if (problems.length > 0) {
+      logger.error('Health check problems:', problems);
+    }
+
+    return {
+      statusCode: status === 'ok' ? 200 : 503,
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store",
+        ...logger.responseHeaders()
+      },
+      body: JSON.stringify(detailed ? {
+        status,
+        checkedAt: new Date().toISOString(),
+        checks,
+        problems,
+        ...details
+      } : { status })
+    };
+  } catch (err) {
+    const { statusCode, code } = describeError(err);
+    logger.error('Health check failed:', { code, error: err.message });
+
+    return {
+      statusCode,
+      headers: { "Content-Type": PROBLEM_CONTENT_TYPE, ...logger.responseHeaders() },
+      body: JSON.stringify(problemDetails(err, { requestId: logger.requestId }))
+    };
+  }
+};
@@ -0,0 +1,151 @@
+const { DebugLogger } = require('../lib/logger');
+const { RequestError, PROBLEM_CONTENT_TYPE, describeError, problemDetails } = require('../lib/errors');
+const { validateBearerToken, assertScope } = require('../lib/auth');
+const { createJobStore } = require('../lib/job-store');
+const { publicJob, partLocation, jobPartKey } = require('../lib/jobs');
+const { wantsDebug } = require('../lib/request');
+const { createResultStorage } = require('../lib/result-storage');
+
+// Presigned bucket URLs only need to live long enough for the redirect to be followed
+const REDIRECT_TTL = 300;
+
+// Pull the job id (and whether the result or a part is wanted) out of
+// /.netlify/functions/jobs/:id[/result | /parts/:name] or the same under /api/jobs
+function parseJobPath(eventPath) {
+  const match = /\/jobs\/([^/]+)(?:(\/result)|\/parts\/([^/]+))?\/?$/.exec(eventPath || '');
+  if (!match) {
+    throw new RequestError("No job id in path. Use GET /jobs/:id, /jobs/:id/result or /jobs/:id/parts/:name", 400);
+  }
+  return { jobId: match[1], wantsResult: Boolean(match[2]), partName: match[3] || null };
+}
+
+// Response for a file in result storage. A bucket serves the file itself, through a
+// redirect, so its size isn't limited by the function response; local storage (the dev
+// server) hands over the file.
+function storedFileResponse(download, { fileName, headers = {}, logger }) {
+  if (download.redirectUrl) {
+    logger.log('Redirecting to storage:', fileName);
+    return {
+      statusCode: 302,
+      headers: {
+        "Location": download.redirectUrl,
+        ...headers,
+        ...logger.responseHeaders(),
+        "Cache-Control": "no-store"
+      },
+      body: ''
+    };
+  }
+
+  logger.log(`Serving ${fileName}, ${download.body.length} bytes`);
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": download.contentType,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Content-Length": download.body.length.toString(),
+      ...headers,
+      ...logger.responseHeaders(),
+      "Cache-Control": "no-cache"
+    },
+    body: download.body.toString('base64'),
+    isBase64Encoded: true
+  };
+}
+
+exports.handler = async (event) => {
+  const logger = DebugLogger.forEvent(event);
+
+  try {
+    const apiKey = validateBearerToken(event);
+    logger.setContext({ key: apiKey.name });
+    logger.enableDebug(wantsDebug(event, apiKey));
+
+    if (event.httpMethod && event.httpMethod !== 'GET') {
+      throw new RequestError(`Method ${event.httpMethod} not allowed`, 405);
+    }
+
+    const { jobId, wantsResult, partName } = parseJobPath(event.path);
+    // Split outputs from sync /convert are kept as jobs too, so their parts only need "convert"
+    assertScope(apiKey, partName ? 'convert' : 'async');
+    const store = createJobStore();
+    const job = await store.get(jobId);
+    // Jobs are only visible to the key (name) that created them
+    if (!job || (job.owner && job.owner !== apiKey.name)) {
+      throw new RequestError(`Job ${jobId} not found`, 404, 'job_not_found');
+    }
+
+    if (partName) {
+      const split = job.status === 'completed' ? job.result.split : null;
+      const isPlaylist = Boolean(split) && split.playlist === partLocation(jobId, partName);
+      if (!split || !(isPlaylist || split.parts.some(part => part.fileName === partName))) {
+        throw new RequestError(`Part ${partName} of job ${jobId} not found`, 404, 'part_not_found');
+      }
+      const storage = createResultStorage();
+
+      // The playlist's segment URIs are relative, so it is served from here: behind a
+      // redirect they would resolve against the presigned bucket URL instead of the parts
+      if (isPlaylist) {
+        const playlist = await storage.read(jobPartKey(jobId, partName));
+        if (!playlist) {
+          throw new RequestError(`Part ${partName} of job ${jobId} is no longer available`, 410, 'result_expired');
+        }
+        return {
+          statusCode: 200,
+          headers: {
+            "Content-Type": "application/vnd.apple.mpegurl",
+            ...logger.responseHeaders(),
+            "Cache-Control": "no-cache"
+          },
+          body: playlist.toString('utf8')
+        };
+      }
+
+      const download = await storage.download(jobPartKey(jobId, partName), { fileName: partName, expiresInSeconds: REDIRECT_TTL });
+      if (!download) {
+        throw new RequestError(`Part ${partName} of job ${jobId} is no longer available`, 410, 'result_expired');
+      }
+      return storedFileResponse(download, { fileName: partName, logger });
+    }
+
+    if (!wantsResult) {
+      return {
+        statusCode: 200,
+        headers: {
+          "Content-Type": "application/json",
+          ...logger.responseHeaders(),
+          "Cache-Control": "no-cache"
+        },
+        body: JSON.stringify(publicJob(job, { debug: logger.debugEnabled }))
+      };
+    }
+
+    if (job.status !== 'completed') {
+      throw new RequestError(`Job ${jobId} is ${job.status}, result not available`, 409, 'job_not_finished');
+    }
+    if (job.result.split) {
+      throw new RequestError(`Job ${jobId} was split into parts. Fetch them from result.split.parts`, 404, 'result_split');
+    }
+
+    const fileName = `converted${job.result.format}`;
+    const download = await createResultStorage().download(job.result.storageKey, { fileName, expiresInSeconds: REDIRECT_TTL });
+    if (!download) {
+      throw new RequestError(`Result for job ${jobId} is no longer available`, 410, 'result_expired');
+    }
+    return storedFileResponse(download, {
+      fileName,
+      // Batch results are a ZIP, with no single container or codec
+      headers: job.result.container ? { "X-Output-Container": job.result.container, "X-Output-Codec": job.result.codec } : {},
+      logger
+    });
+  } catch (err) {
+    const { statusCode, code } = describeError(err);
+    logger.error('Job lookup failed:', { code, error: err.message });
+
+    return {
+      statusCode,
+      headers: { "Content-Type": PROBLEM_CONTENT_TYPE, ...logger.responseHeaders() },
+      body: JSON.stringify(problemDetails(err, { requestId: logger.requestId }))
+    };
+  }
+};
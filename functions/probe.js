@@ -0,0 +1,86 @@
+const { DebugLogger } = require('../lib/logger');
+const { ValidationError, PROBLEM_CONTENT_TYPE, describeError, problemDetails } = require('../lib/errors');
+const { parseConversionOptions } = require('../lib/formats');
+const { getFFmpegPaths, probeAudioFile, summarizeProbe } = require('../lib/ffmpeg');
+const { validateBearerToken } = require('../lib/auth');
+const { parseRequestInput, getHeader, wantsDebug } = require('../lib/request');
+const { SYNC_LIMITS, createTempPaths, acquireInput, estimateSyncConversion, cleanupTempFiles } = require('../lib/pipeline');
+const { UsageMeter } = require('../lib/rate-limit');
+
+// Media info for a source without converting it. Takes the same inputs as /convert
+// (JSON { url }, raw audio or multipart); conversion options in the request are only
+// used to estimate whether a sync conversion with them would fit the limits.
+exports.handler = async (event) => {
+  const logger = DebugLogger.forEvent(event);
+  let paths = null;
+  let meter = null;
+  const startTime = Date.now();
+
+  try {
+    logger.log('Probe started, validating authentication...');
+
+    const apiKey = validateBearerToken(event, 'probe');
+    logger.setContext({ key: apiKey.name });
+    logger.enableDebug(wantsDebug(event, apiKey));
+
+    // Probes count against the request rate but not the daily quotas
+    meter = new UsageMeter(apiKey);
+    await meter.checkRequest();
+
+    const { ffprobePath } = getFFmpegPaths(logger);
+
+    const { fields: body, upload } = parseRequestInput(event);
+    const { url } = body;
+    if (!url && !upload) throw new ValidationError("No URL or uploaded file provided", 'missing_source');
+
+    const options = parseConversionOptions(body, getHeader(event, 'accept'));
+
+    paths = createTempPaths(options);
+    const { inputStats, detectedType } = await acquireInput(upload ? { data: upload } : { url }, paths.inPath, SYNC_LIMITS, logger);
+
+    const metadata = await probeAudioFile(ffprobePath, paths.inPath, logger);
+
+    const media = summarizeProbe(metadata);
+    const sync = estimateSyncConversion({ metadata, options, elapsedMs: Date.now() - startTime });
+    logger.log('Probe complete:', { codec: media.codec, duration: media.duration, sync: sync.recommendedMode });
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/json",
+        ...meter.headers(),
+        "X-Processing-Time": String(Date.now() - startTime),
+        ...logger.responseHeaders(),
+        "Cache-Control": "no-cache"
+      },
+      body: JSON.stringify({
+        success: true,
+        source: { bytes: inputStats.size, detectedType },
+        ...media,
+        sync,
+        ...logger.debugFields()
+      })
+    };
+  } catch (err) {
+    const totalTime = Date.now() - startTime;
+    const { statusCode, code } = describeError(err);
+    logger.error(`Probe error after ${totalTime}ms:`, { code, error: err.message });
+
+    return {
+      statusCode: statusCode,
+      headers: {
+        "Content-Type": PROBLEM_CONTENT_TYPE,
+        ...(meter ? meter.headers() : {}),
+        ...(err.headers || {}),
+        ...logger.responseHeaders()
+      },
+      body: JSON.stringify(problemDetails(err, {
+        requestId: logger.requestId,
+        processingTime: totalTime,
+        ...logger.debugFields(err)
+      }))
+    };
+  } finally {
+    cleanupTempFiles(paths);
+  }
+};
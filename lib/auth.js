@@ -0,0 +1,132 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { AuthError } = require('./errors');
+
+const ALL_SCOPES = ['convert', 'probe', 'async'];
+
+// Load API keys from API_KEYS (JSON), API_KEYS_FILE (path to JSON) or the single legacy
+// API_TOKEN. Each key looks like:
+//   { "name": "ios-app", "key": "sk_...", "scopes": ["convert", "async"],
+//     "formats": ["mp3", "m4a"], "expiresAt": "2027-01-01T00:00:00Z",
+//     "limits": { "requestsPerMinute": 30, "inputBytesPerDay": 500000000, "audioMinutesPerDay": 600 },
+//     "webhookSecret": "whsec_..." }
+// "keySha256" (hex digest of the key) can replace "key" so the secret isn't stored.
+// Several entries may share a name - that's how a key is rotated without downtime.
+function loadApiKeys() {
+  let source = null;
+  let raw = null;
+
+  if (process.env.API_KEYS) {
+    source = 'API_KEYS';
+    raw = process.env.API_KEYS;
+  } else if (process.env.API_KEYS_FILE) {
+    source = 'API_KEYS_FILE';
+    try {
+      raw = fs.readFileSync(process.env.API_KEYS_FILE, 'utf8');
+    } catch (err) {
+      throw new Error(`Server configuration error: cannot read API_KEYS_FILE (${err.code || err.message})`);
+    }
+  } else if (process.env.API_TOKEN) {
+    return [{ name: 'default', keyDigest: sha256(process.env.API_TOKEN), scopes: ALL_SCOPES, formats: null, expiresAt: null, limits: null, webhookSecret: null }];
+  } else {
+    throw new Error("Server configuration error: API token not set");
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Server configuration error: ${source} is not valid JSON`);
+  }
+
+  if (!Array.isArray(entries)) {
+    entries = entries && Array.isArray(entries.keys) ? entries.keys : null;
+  }
+  if (!entries || entries.length === 0) {
+    throw new Error(`Server configuration error: ${source} has no keys`);
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry.name || (!entry.key && !entry.keySha256)) {
+      throw new Error(`Server configuration error: ${source} entry ${index} needs a name and a key or keySha256`);
+    }
+    return {
+      name: entry.name,
+      keyDigest: entry.key ? sha256(entry.key) : Buffer.from(entry.keySha256, 'hex'),
+      scopes: entry.scopes || ALL_SCOPES,
+      formats: entry.formats || null,
+      expiresAt: entry.expiresAt || null,
+      limits: entry.limits || null,
+      webhookSecret: entry.webhookSecret || null
+    };
+  });
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Find the key matching a token. Every configured key is compared (digests of equal
+// length, with timingSafeEqual) so response time doesn't reveal which key came close.
+function findApiKey(token, keys) {
+  const tokenDigest = sha256(token);
+  let match = null;
+
+  for (const key of keys) {
+    const equal = key.keyDigest.length === tokenDigest.length && crypto.timingSafeEqual(key.keyDigest, tokenDigest);
+    if (equal && !match) {
+      match = key;
+    }
+  }
+
+  return match;
+}
+
+// Validate bearer token and return the matching key ({ name, scopes, formats, expiresAt, limits }).
+// With requiredScope set, the key must also carry that scope.
+function validateBearerToken(event, requiredScope = null) {
+  const headers = event.headers || {};
+  const authHeader = headers.authorization || headers.Authorization;
+
+  if (!authHeader) {
+    throw new AuthError("Missing Authorization header", 'missing_credentials');
+  }
+
+  if (!authHeader.startsWith('Bearer ')) {
+    throw new AuthError("Invalid authorization format. Use 'Bearer <token>'", 'missing_credentials');
+  }
+
+  const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+  const key = findApiKey(token, loadApiKeys());
+
+  if (!key) {
+    throw new AuthError("Invalid authentication token", 'invalid_credentials');
+  }
+
+  if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) {
+    throw new AuthError(`API key "${key.name}" has expired`, 'credentials_expired');
+  }
+
+  const apiKey = { name: key.name, scopes: key.scopes, formats: key.formats, expiresAt: key.expiresAt, limits: key.limits };
+  if (requiredScope) {
+    assertScope(apiKey, requiredScope);
+  }
+
+  return apiKey;
+}
+
+// Also used for scopes that only apply to part of a request (e.g. async on /convert)
+function assertScope(apiKey, scope) {
+  if (!apiKey.scopes.includes(scope)) {
+    throw new AuthError(`API key "${apiKey.name}" is not allowed to use "${scope}"`, 'scope_not_allowed', 403);
+  }
+}
+
+// Reject explicit output formats the key isn't allowed to request
+function assertFormatAllowed(apiKey, formatName) {
+  if (apiKey.formats && !apiKey.formats.includes(formatName)) {
+    throw new AuthError(`API key "${apiKey.name}" is not allowed to produce ${formatName}. Allowed formats: ${apiKey.formats.join(', ')}`, 'format_not_allowed', 403);
+  }
+}
+
+module.exports = { ALL_SCOPES, loadApiKeys, validateBearerToken, assertScope, assertFormatAllowed };
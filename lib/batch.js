@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const { ValidationError, TimeoutError, describeError } = require('./errors');
+const { parseConversionOptions } = require('./formats');
+const { resolveEncoder, legacyDeclarations } = require('./ffmpeg');
+const { assertFormatAllowed } = require('./auth');
+const { createTempPaths, runConversion, cleanupTempFiles } = require('./pipeline');
+const { createZip } = require('./zip');
+
+const MAX_BATCH_ITEMS = 20;
+const DEFAULT_BATCH_CONCURRENCY = 2;
+const BATCH_OUTPUTS = ['manifest', 'zip'];
+
+// Time kept back from the item budgets for building the ZIP/manifest
+const BATCH_ASSEMBLY_MS = 500;
+// Items that would get less than this are failed instead of started
+const MIN_ITEM_TIME = 2500;
+
+// Concurrent conversions allowed per batch (BATCH_CONCURRENCY, default 2)
+function maxBatchConcurrency() {
+  const value = parseInt(process.env.BATCH_CONCURRENCY, 10);
+  return value > 0 ? value : DEFAULT_BATCH_CONCURRENCY;
+}
+
+// { items: [{ url, ...options }], defaults: { ...options }, output: "manifest" | "zip",
+// concurrency }. Only request-level problems throw; options are checked per item later.
+function parseBatchRequest(body) {
+  const { items, defaults = {}, output = 'manifest' } = body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError("items must be a non-empty array of sources");
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    throw new ValidationError(`Too many items (${items.length}). At most ${MAX_BATCH_ITEMS} are allowed per batch.`);
+  }
+  if (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults)) {
+    throw new ValidationError("defaults must be an object of conversion options");
+  }
+  if (!BATCH_OUTPUTS.includes(output)) {
+    throw new ValidationError(`Unknown output "${output}". Use one of: ${BATCH_OUTPUTS.join(', ')}`);
+  }
+
+  const limit = maxBatchConcurrency();
+  const concurrency = body.concurrency == null ? limit : Number(body.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > limit) {
+    throw new ValidationError(`concurrency must be a whole number from 1 to ${limit}`);
+  }
+
+  return { items, defaults, output, concurrency };
+}
+
+// Base name for an item's output file: its "name", or the last part of the source URL
+function itemBaseName(item, index) {
+  let base = typeof item?.name === 'string' ? item.name : '';
+  if (!base && typeof item?.url === 'string') {
+    try {
+      const urlPath = new URL(item.url).pathname;
+      base = path.basename(urlPath, path.extname(urlPath));
+    } catch (e) {
+      // Malformed URL - the item fails later; the index keeps the name unique
+    }
+  }
+  base = base.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '').substring(0, 64);
+  return `${String(index + 1).padStart(2, '0')}-${base || 'item'}`;
+}
+
+// Validate each item's options the way /convert does. Items that fail carry an error
+// instead of options, so the rest of the batch can still run.
+function prepareBatchItems(items, defaults, apiKey, encoderInfo) {
+  return items.map((item, index) => {
+    const prepared = { index, name: itemBaseName(item, index), url: typeof item?.url === 'string' ? item.url : null };
+
+    try {
+      if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+        throw new ValidationError("Item must be an object with a url");
+      }
+      if (!prepared.url) {
+        throw new ValidationError("Item has no url");
+      }
+      if (item.split ?? defaults.split) {
+        throw new ValidationError("split isn't supported in batches; convert this source with /convert");
+      }
+
+      // Accept describes the batch response, so formats come from the item only
+      const options = parseConversionOptions({ ...defaults, ...item }, undefined);
+      if (!options.legacy) {
+        assertFormatAllowed(apiKey, options.format);
+      }
+      options.allowedFormats = apiKey.formats;
+      if (options.legacy) {
+        legacyDeclarations(options);
+      } else {
+        options.encoder = resolveEncoder(options, encoderInfo);
+      }
+      return { ...prepared, options };
+    } catch (err) {
+      const { statusCode, code, errorMessage } = describeError(err);
+      return { ...prepared, error: { statusCode, code, error: errorMessage, debug: err.message } };
+    }
+  });
+}
+
+// Run fn over items with at most `limit` in flight, keeping results in item order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+// Time for the next item: what's left of the batch budget, shared between the rounds
+// of `concurrency` items still to run. Never below MIN_ITEM_TIME while that much is left,
+// so an oversized batch runs its first items properly and fails the ones at the end.
+function itemTimeBudget(limits, startTime, waiting, concurrency) {
+  const remaining = limits.maxProcessingTime - (Date.now() - startTime) - BATCH_ASSEMBLY_MS;
+  const share = Math.floor(remaining / Math.ceil(waiting / concurrency));
+  return Math.min(remaining, Math.max(share, MIN_ITEM_TIME));
+}
+
+// Convert every prepared item, at most `concurrency` at a time. A failing item is recorded
+// and the others carry on. Completed items keep their temp files (outputPath) until
+// cleanupBatch(); onItemDone(result, doneCount) runs after each item.
+async function runBatch({ items, concurrency, ffmpegPath, ffprobePath, encoderInfo, logger, startTime, limits, onInput = null, onItemDone = null }) {
+  let started = 0;
+  let done = 0;
+
+  const results = await mapWithConcurrency(items, concurrency, async (item) => {
+    const waiting = items.length - started++;
+    let result;
+
+    if (item.error) {
+      result = { index: item.index, name: item.name, url: item.url, status: 'failed', ...item.error };
+    } else {
+      result = await runBatchItem(item, { concurrency, waiting, ffmpegPath, ffprobePath, encoderInfo, logger, startTime, limits, onInput });
+    }
+
+    done++;
+    if (result.status === 'completed') {
+      logger.log(`Batch item ${item.index} completed:`, { fileName: result.fileName, bytes: result.fileSize, ms: result.processingTime });
+    } else {
+      logger.error(`Batch item ${item.index} failed:`, { statusCode: result.statusCode, error: result.debug });
+    }
+    if (onItemDone) {
+      await onItemDone(result, done);
+    }
+    return result;
+  });
+
+  return results;
+}
+
+async function runBatchItem(item, { concurrency, waiting, ffmpegPath, ffprobePath, encoderInfo, logger, startTime, limits, onInput }) {
+  const itemStart = Date.now();
+  // Item lines are tagged so concurrent items can be told apart in the function logs
+  const itemLogger = logger.child({ item: item.index });
+  const paths = createTempPaths(item.options);
+
+  try {
+    const budget = itemTimeBudget(limits, startTime, waiting, concurrency);
+    logger.log(`Batch item ${item.index} starting with ${budget}ms`);
+    if (budget < MIN_ITEM_TIME) {
+      throw new TimeoutError("Not enough time left in the batch for this item. Send fewer items or use async mode (?async=1).", 'time_budget_exhausted');
+    }
+
+    const conversion = await runConversion({
+      source: { url: item.url },
+      options: item.options,
+      paths,
+      ffmpegPath,
+      ffprobePath,
+      encoderInfo,
+      logger: itemLogger,
+      startTime: itemStart,
+      limits: { ...limits, maxProcessingTime: budget },
+      onInput
+    });
+
+    return {
+      index: item.index,
+      name: item.name,
+      url: item.url,
+      status: 'completed',
+      fileName: `${item.name}${conversion.extension}`,
+      fileSize: conversion.outputStats.size,
+      format: conversion.extension,
+      contentType: conversion.contentType,
+      requestedFormat: item.options.legacy ? null : item.options.format,
+      container: conversion.outputInfo.container,
+      codec: conversion.outputInfo.codec,
+      fallbackUsed: conversion.fallbackUsed,
+      loudness: conversion.loudness,
+      voice: conversion.voice,
+      waveform: conversion.waveform,
+      processingTime: Date.now() - itemStart,
+      outputPath: conversion.outputPath,
+      paths
+    };
+  } catch (err) {
+    cleanupTempFiles(paths);
+    const { statusCode, code, errorMessage } = describeError(err);
+    return { index: item.index, name: item.name, url: item.url, status: 'failed', statusCode, code, error: errorMessage, debug: err.message };
+  }
+}
+
+// Fail completed items whose outputs don't fit in maxBytes alongside the ones before
+// them, e.g. the sync response size. Returns the results with those items marked failed.
+function limitBatchSize(results, maxBytes) {
+  let total = 0;
+  return results.map((result) => {
+    if (result.status !== 'completed') {
+      return result;
+    }
+    if (total + result.fileSize <= maxBytes) {
+      total += result.fileSize;
+      return result;
+    }
+    cleanupTempFiles(result.paths);
+    const message = `Output does not fit in the batch response (over ${maxBytes} bytes in total). Use async mode (?async=1) for large batches.`;
+    return { index: result.index, name: result.name, url: result.url, status: 'failed', statusCode: 413, code: 'output_too_large', error: message, debug: message };
+  });
+}
+
+// Per-item results as reported to clients, without temp paths. The raw error of a failed
+// item (debug) is only included for callers that asked for debug output.
+function batchManifest(results, { includeData = false, includeDebug = false } = {}) {
+  const items = results.map(({ outputPath, paths, debug, ...result }) => {
+    if (includeDebug && debug) {
+      result.debug = debug;
+    }
+    if (includeData && result.status === 'completed') {
+      return { ...result, fileData: fs.readFileSync(outputPath).toString('base64') };
+    }
+    return result;
+  });
+  const completed = items.filter(item => item.status === 'completed').length;
+  return { completed, failed: items.length - completed, items };
+}
+
+// ZIP of the completed outputs plus manifest.json
+function batchZip(results) {
+  const entries = results
+    .filter(result => result.status === 'completed')
+    .map(result => ({ name: result.fileName, data: fs.readFileSync(result.outputPath) }));
+  entries.push({ name: 'manifest.json', data: Buffer.from(JSON.stringify(batchManifest(results), null, 2)) });
+  return createZip(entries);
+}
+
+function cleanupBatch(results) {
+  for (const result of results || []) {
+    cleanupTempFiles(result.paths);
+  }
+}
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  parseBatchRequest,
+  prepareBatchItems,
+  mapWithConcurrency,
+  runBatch,
+  limitBatchSize,
+  batchManifest,
+  batchZip,
+  cleanupBatch
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { runningOnLambda, createS3Storage } = require('./result-storage');
+
+// Fixed-window counters for rate limits and quotas. Every store implements:
+//   increment(name, amount, windowMs) -> { count, resetAt }
+//   peek(name, windowMs)              -> { count, resetAt }
+// `name` identifies the counter (key name + metric); the window is derived from the
+// current time, so counters reset by themselves when the window rolls over.
+
+function windowBounds(windowMs, now = Date.now()) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: start + windowMs };
+}
+
+// Per-process counters. Fine for local testing and single-instance deployments.
+class MemoryCounterStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async increment(name, amount, windowMs) {
+    const { start, resetAt } = windowBounds(windowMs);
+    const id = `${name}:${start}`;
+    const count = (this.counters.get(id)?.count || 0) + amount;
+    this.counters.set(id, { count, resetAt });
+    this.prune();
+    return { count, resetAt };
+  }
+
+  async peek(name, windowMs) {
+    const { start, resetAt } = windowBounds(windowMs);
+    return { count: this.counters.get(`${name}:${start}`)?.count || 0, resetAt };
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [id, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(id);
+      }
+    }
+  }
+}
+
+// Counters in one JSON file, shared by every process that can reach it. Writes are
+// read-modify-write without locking, so concurrent requests can undercount slightly.
+class FileCounterStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  write(counters) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(counters));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  async increment(name, amount, windowMs) {
+    const { start, resetAt } = windowBounds(windowMs);
+    const id = `${name}:${start}`;
+    const now = Date.now();
+    const counters = this.read();
+
+    // Drop expired windows while we're here
+    for (const key of Object.keys(counters)) {
+      if (counters[key].resetAt <= now) {
+        delete counters[key];
+      }
+    }
+
+    const count = (counters[id]?.count || 0) + amount;
+    counters[id] = { count, resetAt };
+    this.write(counters);
+    return { count, resetAt };
+  }
+
+  async peek(name, windowMs) {
+    const { start, resetAt } = windowBounds(windowMs);
+    return { count: this.read()[`${name}:${start}`]?.count || 0, resetAt };
+  }
+}
+
+// Tries at a counter another request keeps changing under us, with a short pause between
+const MAX_CONFLICTS = 10;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Counters in the S3-compatible bucket of the S3_* variables, one small object per counter
+// and window ("rate-limits/<name>/<window start>"), so every function instance counts
+// against the same numbers. Increments are conditional writes retried on conflict, so
+// concurrent requests don't lose counts. Past windows are never read again; a lifecycle
+// rule on "rate-limits/" clears them.
+class S3CounterStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  // Key names can hold anything, object keys can't
+  objectKey(name, start) {
+    return `rate-limits/${Buffer.from(name).toString('base64url')}/${start}`;
+  }
+
+  async increment(name, amount, windowMs) {
+    const { start, resetAt } = windowBounds(windowMs);
+    const key = this.objectKey(name, start);
+
+    for (let attempt = 1; attempt <= MAX_CONFLICTS; attempt++) {
+      const current = await this.storage.readVersioned(key);
+      const count = (current ? JSON.parse(current.data.toString('utf8')).count : 0) + amount;
+      const written = await this.storage.writeIf(key, Buffer.from(JSON.stringify({ count, resetAt })), {
+        contentType: 'application/json',
+        etag: current ? current.etag : null
+      });
+      if (written) {
+        return { count, resetAt };
+      }
+      await sleep(10 + Math.floor(Math.random() * 40));
+    }
+    throw new Error(`Counter "${name}" kept changing; gave up after ${MAX_CONFLICTS} tries`);
+  }
+
+  async peek(name, windowMs) {
+    const { start, resetAt } = windowBounds(windowMs);
+    const data = await this.storage.read(this.objectKey(name, start));
+    return { count: data ? JSON.parse(data.toString('utf8')).count : 0, resetAt };
+  }
+}
+
+// Memory store instance lives for the container lifetime, like the counters it holds
+let memoryStore = null;
+
+// Store selected by RATE_LIMIT_STORE: 'memory' (default), 'file' (RATE_LIMIT_FILE) or 's3'.
+// On Netlify only 's3' works: every function instance would count on its own otherwise.
+function createCounterStore() {
+  const driver = process.env.RATE_LIMIT_STORE || 'memory';
+
+  if ((driver === 'memory' || driver === 'file') && runningOnLambda()) {
+    throw new Error(`Server configuration error: RATE_LIMIT_STORE=${driver} counts per function instance, so limits don't hold. Set RATE_LIMIT_STORE=s3 and the S3_* variables`);
+  }
+  if (driver === 'memory') {
+    memoryStore = memoryStore || new MemoryCounterStore();
+    return memoryStore;
+  }
+  if (driver === 'file') {
+    return new FileCounterStore(process.env.RATE_LIMIT_FILE || path.join(os.tmpdir(), 'audio-convert-rate-limits.json'));
+  }
+  if (driver === 's3') {
+    return new S3CounterStore(createS3Storage());
+  }
+  throw new Error(`Unknown RATE_LIMIT_STORE "${driver}"`);
+}
+
+module.exports = { MemoryCounterStore, FileCounterStore, S3CounterStore, createCounterStore };
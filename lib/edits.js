@@ -0,0 +1,160 @@
+const { ValidationError } = require('./errors');
+
+const DEFAULT_SILENCE_THRESHOLD = -50; // dB - quieter than this counts as silence
+
+// Parse seconds (12.5), "SS(.ms)", "MM:SS(.ms)" or "HH:MM:SS(.ms)" into seconds
+function parseTime(value, field) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new ValidationError(`${field} must be a non-negative number of seconds`);
+    }
+    return value;
+  }
+
+  const parts = String(value).trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+    throw new ValidationError(`${field} must be seconds or a timestamp like "01:23.5", got "${value}"`);
+  }
+  return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// Edits from the request body: start, end or duration, fadeIn, fadeOut, trimSilence.
+// Returns null when nothing was asked for.
+function parseEditOptions(body) {
+  const has = field => body[field] !== undefined && body[field] !== null && body[field] !== '';
+  if (!['start', 'end', 'duration', 'fadeIn', 'fadeOut', 'trimSilence'].some(has)) {
+    return null;
+  }
+
+  if (has('end') && has('duration')) {
+    throw new ValidationError("Use either end or duration, not both");
+  }
+
+  const edits = {
+    start: has('start') ? parseTime(body.start, 'start') : 0,
+    end: has('end') ? parseTime(body.end, 'end') : null,
+    duration: has('duration') ? parseTime(body.duration, 'duration') : null,
+    fadeIn: has('fadeIn') ? parseTime(body.fadeIn, 'fadeIn') : 0,
+    fadeOut: has('fadeOut') ? parseTime(body.fadeOut, 'fadeOut') : 0,
+    trimSilence: null
+  };
+
+  if (edits.end !== null && edits.end <= edits.start) {
+    throw new ValidationError(`end (${edits.end}s) must be after start (${edits.start}s)`);
+  }
+  if (edits.duration !== null && edits.duration <= 0) {
+    throw new ValidationError("duration must be greater than 0");
+  }
+
+  // trimSilence: true for the default threshold, or a threshold in dB (e.g. -45)
+  if (has('trimSilence') && body.trimSilence !== false && body.trimSilence !== 'false') {
+    const threshold = body.trimSilence === true || body.trimSilence === 'true' || body.trimSilence === '1'
+      ? DEFAULT_SILENCE_THRESHOLD
+      : Number(body.trimSilence);
+    if (!Number.isFinite(threshold) || threshold >= 0 || threshold < -100) {
+      throw new ValidationError(`trimSilence must be true or a threshold in dB between -100 and 0, got "${body.trimSilence}"`);
+    }
+    edits.trimSilence = { threshold };
+  }
+
+  return edits;
+}
+
+// Length of the selected clip, or null when the source duration is unknown and no end was given
+function clipLength(edits, sourceDuration) {
+  if (edits.duration !== null) {
+    return sourceDuration ? Math.min(edits.duration, sourceDuration - edits.start) : edits.duration;
+  }
+  if (edits.end !== null) {
+    return (sourceDuration ? Math.min(edits.end, sourceDuration) : edits.end) - edits.start;
+  }
+  return sourceDuration ? sourceDuration - edits.start : null;
+}
+
+// Check edits against the probed duration (skipped where the duration is unknown)
+function validateEdits(edits, sourceDuration) {
+  if (!edits) {
+    return;
+  }
+
+  if (sourceDuration) {
+    const total = `${sourceDuration.toFixed(2)}s`;
+    if (edits.start >= sourceDuration) {
+      throw new ValidationError(`start (${edits.start}s) is beyond the end of the audio (${total})`);
+    }
+    if (edits.end !== null && edits.end > sourceDuration) {
+      throw new ValidationError(`end (${edits.end}s) is beyond the end of the audio (${total})`);
+    }
+    if (edits.duration !== null && edits.start + edits.duration > sourceDuration) {
+      throw new ValidationError(`start + duration (${edits.start + edits.duration}s) is beyond the end of the audio (${total})`);
+    }
+  }
+
+  const length = clipLength(edits, sourceDuration);
+  if (length !== null && edits.fadeIn + edits.fadeOut > length) {
+    throw new ValidationError(`fadeIn + fadeOut (${edits.fadeIn + edits.fadeOut}s) is longer than the clip (${length.toFixed(2)}s)`);
+  }
+}
+
+// ffmpeg input options (seek/limit) and audio filters for the edits. Fades are kept
+// separate so other processing (e.g. loudness normalization) can go before them;
+// lengthChanges says that processing shortens the audio (voice cleanup compacting pauses).
+function buildEditArgs(edits, sourceDuration, { lengthChanges = false } = {}) {
+  const inputArgs = [];
+  const filters = [];
+  const fadeFilters = [];
+  if (!edits) {
+    return { inputArgs, filters, fadeFilters, expectedDuration: sourceDuration || null };
+  }
+
+  if (edits.start > 0) {
+    inputArgs.push('-ss', String(edits.start));
+  }
+  const length = clipLength(edits, sourceDuration);
+  if (edits.end !== null || edits.duration !== null) {
+    inputArgs.push('-t', String(length));
+  }
+
+  // Trailing silence is stripped by removing leading silence from the reversed audio
+  if (edits.trimSilence) {
+    const silenceFilter = `silenceremove=start_periods=1:start_threshold=${edits.trimSilence.threshold}dB:start_silence=0.1`;
+    filters.push(silenceFilter, 'areverse', silenceFilter, 'areverse');
+  }
+
+  if (edits.fadeIn > 0) {
+    fadeFilters.push(`afade=t=in:st=0:d=${edits.fadeIn}`);
+  }
+
+  if (edits.fadeOut > 0) {
+    if (length !== null && !edits.trimSilence && !lengthChanges) {
+      fadeFilters.push(`afade=t=out:st=${Math.max(0, length - edits.fadeOut)}:d=${edits.fadeOut}`);
+    } else {
+      // Final length unknown (silence removed or no duration) - fade in the reversed audio instead
+      fadeFilters.push('areverse', `afade=t=in:st=0:d=${edits.fadeOut}`, 'areverse');
+    }
+  }
+
+  return { inputArgs, filters, fadeFilters, expectedDuration: length };
+}
+
+// Filter chain for the edits, with extraFilters between silence trimming and fades
+function editFilterChain(editArgs, extraFilters = []) {
+  return [...editArgs.filters, ...extraFilters, ...editArgs.fadeFilters];
+}
+
+// Insert input options before -i and the filter chain right after the input
+function applyEditArgs(args, editArgs, extraFilters = []) {
+  const filters = editFilterChain(editArgs, extraFilters);
+  if (editArgs.inputArgs.length === 0 && filters.length === 0) {
+    return args;
+  }
+
+  const inputIndex = args.indexOf('-i');
+  const result = [...args.slice(0, inputIndex), ...editArgs.inputArgs, ...args.slice(inputIndex, inputIndex + 2)];
+  if (filters.length > 0) {
+    result.push('-af', filters.join(','));
+  }
+  return result.concat(args.slice(inputIndex + 2));
+}
+
+module.exports = { parseTime, parseEditOptions, validateEdits, buildEditArgs, editFilterChain, applyEditArgs };
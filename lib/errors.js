@@ -0,0 +1,182 @@
+// Media type of error bodies (RFC 7807)
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// Default code for a RequestError that only has a status
+const STATUS_CODES = {
+  400: 'invalid_request',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  406: 'not_acceptable',
+  409: 'conflict',
+  410: 'gone',
+  413: 'too_large',
+  415: 'unsupported_media',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error',
+  504: 'timeout'
+};
+
+const STATUS_TITLES = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  406: 'Not Acceptable',
+  409: 'Conflict',
+  410: 'Gone',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  422: 'Unprocessable Content',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  501: 'Not Implemented',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+};
+
+// Base of every error with a known cause. `code` is stable - clients branch on it, not on
+// the message - and statusCode is what the response gets.
+class ApiError extends Error {
+  constructor(message, { statusCode = 500, code = STATUS_CODES[statusCode] || 'internal_error', headers = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+// Error caused by the request itself (unknown job, wrong method etc.) - carries its own status code
+class RequestError extends ApiError {
+  constructor(message, statusCode = 400, code = STATUS_CODES[statusCode]) {
+    super(message, { statusCode, code });
+    this.name = 'RequestError';
+  }
+}
+
+// An option or field of the request is malformed or out of range
+class ValidationError extends RequestError {
+  constructor(message, code = 'validation_failed') {
+    super(message, 400, code);
+    this.name = 'ValidationError';
+  }
+}
+
+// Missing, unknown or expired credentials (401), or a key that may not do this (403)
+class AuthError extends ApiError {
+  constructor(message, code = 'invalid_credentials', statusCode = 401) {
+    super(message, { statusCode, code });
+    this.name = 'AuthError';
+  }
+}
+
+// Over a rate limit or quota; headers carries Retry-After and X-RateLimit-* or X-Quota-*
+class RateLimitError extends RequestError {
+  constructor(message, headers = {}, code = 'rate_limited') {
+    super(message, 429, code);
+    this.name = 'RateLimitError';
+    this.headers = headers;
+  }
+}
+
+// A source or cover URL that can't be fetched: the host doesn't resolve or can't be reached,
+// the connection fails, or the remote server answered with an error - a bad gateway (502),
+// not a bad request. URLs that are malformed or not allowed are ValidationErrors (400).
+// sourceStatus is the HTTP status the remote server gave, when it gave one.
+class SourceFetchError extends ApiError {
+  constructor(message, code = 'source_fetch_failed', sourceStatus = null) {
+    super(message, { statusCode: 502, code });
+    this.name = 'SourceFetchError';
+    this.sourceStatus = sourceStatus;
+  }
+}
+
+// Input that isn't audio we can read (415), or audio ffmpeg can't make sense of (422)
+class UnsupportedMediaError extends ApiError {
+  constructor(message, code = 'unsupported_media', statusCode = 415) {
+    super(message, { statusCode, code });
+    this.name = 'UnsupportedMediaError';
+  }
+}
+
+// An input, cover image or output over its size limit
+class TooLargeError extends ApiError {
+  constructor(message, code = 'input_too_large') {
+    super(message, { statusCode: 413, code });
+    this.name = 'TooLargeError';
+  }
+}
+
+// Ran out of time: a download, a probe, the encode or the request's whole time budget
+class TimeoutError extends ApiError {
+  constructor(message, code = 'timeout') {
+    super(message, { statusCode: 504, code });
+    this.name = 'TimeoutError';
+  }
+}
+
+// This server's ffmpeg can't do what was asked: an encoder is missing (501) or ffmpeg itself
+// wasn't found (503)
+class EncoderUnavailableError extends ApiError {
+  constructor(message, code = 'encoder_unavailable', statusCode = 501) {
+    super(message, { statusCode, code });
+    this.name = 'EncoderUnavailableError';
+  }
+}
+
+// Every conversion strategy failed on a readable input
+class ConversionError extends ApiError {
+  constructor(message, code = 'conversion_failed') {
+    super(message, { statusCode: 422, code });
+    this.name = 'ConversionError';
+  }
+}
+
+const INTERNAL_ERROR_MESSAGE = "Internal server error. Please try again later.";
+
+// Map an error to the status code, stable code and message returned to clients. Errors
+// without a known cause are reported as internal errors; their message only goes to the
+// logs and to debug output.
+function describeError(err) {
+  if (err instanceof ApiError) {
+    return { statusCode: err.statusCode, code: err.code, errorMessage: err.message, title: STATUS_TITLES[err.statusCode] || 'Error' };
+  }
+  return { statusCode: 500, code: 'internal_error', errorMessage: INTERNAL_ERROR_MESSAGE, title: STATUS_TITLES[500] };
+}
+
+// RFC 7807 problem details for an error. `error` repeats the detail for clients written
+// against the older { error } bodies; extra adds extension members (requestId, timings...).
+function problemDetails(err, extra = {}) {
+  const { statusCode, code, errorMessage, title } = describeError(err);
+  return {
+    type: `urn:audio-converter:problem:${code}`,
+    title,
+    status: statusCode,
+    code,
+    detail: errorMessage,
+    ...(err.sourceStatus ? { sourceStatus: err.sourceStatus } : {}),
+    error: errorMessage,
+    ...extra
+  };
+}
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  ApiError,
+  RequestError,
+  ValidationError,
+  AuthError,
+  RateLimitError,
+  SourceFetchError,
+  UnsupportedMediaError,
+  TooLargeError,
+  TimeoutError,
+  EncoderUnavailableError,
+  ConversionError,
+  describeError,
+  problemDetails
+};
@@ -0,0 +1,819 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const { RequestError, AuthError, UnsupportedMediaError, TimeoutError, EncoderUnavailableError, ConversionError } = require('./errors');
+const { OUTPUT_FORMATS, FALLBACK_ORDER, parseBitrate, isFormatAcceptable } = require('./formats');
+const { buildEditArgs, editFilterChain, applyEditArgs } = require('./edits');
+const { applyTagArgs } = require('./tags');
+const { LEGACY_STRATEGIES, LEGACY_TARGET_BYTES, planOrReject } = require('./strategies');
+
+// Check whether a specific audio encoder is in the detected capabilities
+function isEncoderAvailable(encoderInfo, encoderName) {
+  return Boolean(encoderInfo?.encoders?.includes(encoderName));
+}
+
+// Pick the first available encoder for the requested format or reject the request.
+// With fallbackPolicy 'allow' a missing encoder is not fatal - fallbacks take over.
+function resolveEncoder(options, encoderInfo) {
+  const format = OUTPUT_FORMATS[options.format];
+  const encoder = format.encoders.find(name => isEncoderAvailable(encoderInfo, name));
+  if (!encoder && options.fallbackPolicy === 'allow') {
+    return null;
+  }
+  if (!encoder) {
+    throw new EncoderUnavailableError(`Output format "${options.format}" is not available on this server (missing encoder: ${format.encoders.join(' or ')})`);
+  }
+  return encoder;
+}
+
+// Whether the caller's API key may receive this format (no list means any format)
+function isFormatPermitted(options, formatName) {
+  return !options.allowedFormats || options.allowedFormats.includes(formatName);
+}
+
+// Strategies of the phone cascade within what the Accept header and the API key allow.
+// Called before the download too, so a request that rules out the whole cascade fails up front.
+function legacyDeclarations(options) {
+  const acceptable = LEGACY_STRATEGIES.filter(s => isFormatAcceptable(options.acceptRanges || [], s.format));
+  if (acceptable.length === 0) {
+    const formats = [...new Set(LEGACY_STRATEGIES.map(s => s.format))].join(', ');
+    throw new RequestError(`The Accept header rules out every format of the ${options.preset} preset (${formats}). Ask for a format explicitly.`, 406);
+  }
+  const permitted = acceptable.filter(s => isFormatPermitted(options, s.format));
+  if (permitted.length === 0) {
+    const formats = [...new Set(acceptable.map(s => s.format))].join(', ');
+    throw new AuthError(`This API key is not allowed to produce any format of the ${options.preset} preset (${formats}). Allowed formats: ${options.allowedFormats.join(', ')}`, 'format_not_allowed', 403);
+  }
+  return permitted;
+}
+
+// Swap the extension of an output path for the one belonging to a format
+function outputPathFor(outputPath, formatName) {
+  const base = outputPath.slice(0, outputPath.length - path.extname(outputPath).length);
+  return base + OUTPUT_FORMATS[formatName].extension;
+}
+
+// Strategy declaration for the requested format, in the shape of LEGACY_STRATEGIES. The
+// caller's bitrate (or the format default) is the most the size target may use. Without an
+// encoder it lists all of the format's, so planning drops it and reports what is missing.
+function requestedDeclaration(options, encoder, quality) {
+  const format = OUTPUT_FORMATS[options.format];
+  return {
+    name: encoder ? `${options.format}-${encoder}` : options.format,
+    format: options.format,
+    encoders: encoder ? [encoder] : format.encoders,
+    sampleRate: options.sampleRate,
+    channels: options.channels,
+    bitrate: format.bitrateRange,
+    defaultBitrate: format.bitrateRange ? parseBitrate(options.bitrate || format.defaultBitrate) : null,
+    quality,
+    encodeMsPerSecond: format.encodeMsPerSecond
+  };
+}
+
+// Declarations for other formats, keeping the caller's settings wherever the format allows them.
+// They rank below the requested format, in FALLBACK_ORDER.
+function fallbackDeclarations(options, encoderInfo) {
+  const declarations = [];
+  const seenCodecs = new Set([OUTPUT_FORMATS[options.format].codec]);
+
+  for (const formatName of FALLBACK_ORDER) {
+    const format = OUTPUT_FORMATS[formatName];
+    if (seenCodecs.has(format.codec) || !isFormatAcceptable(options.acceptRanges, formatName) || !isFormatPermitted(options, formatName)) {
+      continue;
+    }
+
+    const encoder = format.encoders.find(name => isEncoderAvailable(encoderInfo, name));
+    if (!encoder) {
+      continue;
+    }
+    seenCodecs.add(format.codec);
+
+    const bitrateKbps = parseBitrate(options.bitrate);
+    const fitsRange = format.bitrateRange && bitrateKbps >= format.bitrateRange[0] && bitrateKbps <= format.bitrateRange[1];
+    const fallbackOptions = {
+      format: formatName,
+      bitrate: format.bitrateRange ? (fitsRange ? options.bitrate : format.defaultBitrate) : null,
+      sampleRate: format.sampleRates.includes(options.sampleRate) ? options.sampleRate : null,
+      channels: options.channels
+    };
+
+    declarations.push(requestedDeclaration(fallbackOptions, encoder, -declarations.length - 1));
+  }
+
+  return declarations;
+}
+
+// ffmpeg arguments for a planned strategy, writing to outputPath under its format's extension
+function buildStrategy(inputPath, outputPath, strategy) {
+  const format = OUTPUT_FORMATS[strategy.format];
+  const strategyOutputPath = outputPathFor(outputPath, strategy.format);
+  const args = ['-i', inputPath, '-vn', '-c:a', strategy.encoder];
+
+  if (strategy.encoder === 'opus') {
+    args.push('-strict', '-2'); // Native opus encoder is still flagged experimental
+  }
+  if (strategy.bitrate) {
+    args.push('-b:a', `${strategy.bitrate}k`);
+  }
+  if (strategy.encoder === 'libopus' && strategy.sizeTarget) {
+    args.push('-vbr', 'constrained'); // Unconstrained VBR can run far over the bitrate on tonal audio
+  }
+  if (strategy.sampleRate) {
+    args.push('-ar', String(strategy.sampleRate));
+  }
+  if (strategy.channels) {
+    args.push('-ac', String(strategy.channels));
+  }
+  if (format.container === 'ipod') {
+    args.push('-movflags', '+faststart');
+  }
+
+  args.push('-f', format.container, '-y', strategyOutputPath);
+
+  return { name: strategy.name, args, format: strategy.format, outputPath: strategyOutputPath };
+}
+
+// Get FFmpeg paths - either from included binaries or fallback paths
+function getFFmpegPaths(logger) {
+  const possiblePaths = [
+    // First try included binaries
+    path.join(__dirname, '..', 'bin', 'ffmpeg'),
+    path.join(__dirname, 'bin', 'ffmpeg'),
+    path.join(process.cwd(), 'bin', 'ffmpeg'),
+    
+    // Then try common system paths
+    '/opt/bin/ffmpeg',
+    '/usr/bin/ffmpeg',
+    '/usr/local/bin/ffmpeg',
+    'ffmpeg' // PATH fallback
+  ];
+
+  const probePaths = [
+    path.join(__dirname, '..', 'bin', 'ffprobe'),
+    path.join(__dirname, 'bin', 'ffprobe'),
+    path.join(process.cwd(), 'bin', 'ffprobe'),
+    '/opt/bin/ffprobe',
+    '/usr/bin/ffprobe', 
+    '/usr/local/bin/ffprobe',
+    'ffprobe'
+  ];
+
+  let ffmpegPath = null;
+  let ffprobePath = null;
+
+  // Find FFmpeg
+  for (const testPath of possiblePaths) {
+    try {
+      if (fs.existsSync(testPath) && fs.statSync(testPath).isFile()) {
+        logger.debug('Found FFmpeg at:', testPath);
+        ffmpegPath = testPath;
+        break;
+      }
+    } catch (e) {
+      // Continue to next path
+    }
+  }
+
+  // Find FFprobe
+  for (const testPath of probePaths) {
+    try {
+      if (fs.existsSync(testPath) && fs.statSync(testPath).isFile()) {
+        logger.debug('Found FFprobe at:', testPath);
+        ffprobePath = testPath;
+        break;
+      }
+    } catch (e) {
+      // Continue to next path
+    }
+  }
+
+  if (!ffmpegPath) {
+    throw new EncoderUnavailableError('FFmpeg binary not found. Please ensure the static binary is included.', 'ffmpeg_unavailable', 503);
+  }
+  
+  if (!ffprobePath) {
+    throw new EncoderUnavailableError('FFprobe binary not found. Please ensure the static binary is included.', 'ffmpeg_unavailable', 503);
+  }
+
+  return { ffmpegPath, ffprobePath };
+}
+
+// Capabilities detected for each ffmpeg binary. Detection spawns five processes, so it
+// runs once per function container and every later request reuses the promise.
+const capabilityCache = new Map();
+const probeVersionCache = new Map();
+const LISTING_TIMEOUT = 3000;
+
+// Run `<binary> -hide_banner <flag>` and resolve with its stdout
+function runListing(binaryPath, flag) {
+  return new Promise((resolve, reject) => {
+    const listProcess = spawn(binaryPath, ['-hide_banner', flag], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    listProcess.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    const timeout = setTimeout(() => {
+      listProcess.kill('SIGKILL');
+      reject(new Error(`${path.basename(binaryPath)} ${flag} timed out after ${LISTING_TIMEOUT}ms`));
+    }, LISTING_TIMEOUT);
+
+    listProcess.on('close', (code) => {
+      clearTimeout(timeout);
+      if (code !== 0) {
+        reject(new Error(`${path.basename(binaryPath)} ${flag} failed with exit code ${code}`));
+        return;
+      }
+      resolve(stdout);
+    });
+
+    listProcess.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+  });
+}
+
+// Lines after the legend of an -encoders/-decoders/-muxers listing (which ends in dashes)
+function listingEntries(output) {
+  const lines = output.split('\n');
+  const separator = lines.findIndex(line => /^\s*-+\s*$/.test(line));
+  return lines.slice(separator + 1);
+}
+
+// Names of the audio codecs in `-encoders` or `-decoders` output
+function parseCodecListing(output) {
+  return listingEntries(output)
+    .map(line => line.match(/^\s*A[A-Z.]{5}\s+(\S+)/))
+    .filter(Boolean)
+    .map(match => match[1]);
+}
+
+// Names of the muxers in `-muxers` output; entries like "mov,mp4,m4a" give one name each
+function parseMuxerListing(output) {
+  return listingEntries(output)
+    .map(line => line.match(/^\s*D?E\s+(\S+)/))
+    .filter(Boolean)
+    .flatMap(match => match[1].split(','));
+}
+
+// Names of the filters in `-filters` output ("TSC name  A->A  description")
+function parseFilterListing(output) {
+  return output.split('\n')
+    .map(line => line.match(/^\s*[T.][S.][C.]\s+(\S+)\s+\S*->\S*\s/))
+    .filter(Boolean)
+    .map(match => match[1]);
+}
+
+// Version string and configure flags from `-version`
+function parseVersion(output) {
+  const version = output.match(/version (\S+)/);
+  const configuration = output.match(/^configuration: (.*)$/m);
+  return {
+    version: version ? version[1] : null,
+    configuration: configuration ? configuration[1].trim() : null
+  };
+}
+
+async function detectCapabilities(ffmpegPath) {
+  const [versionOutput, encoderOutput, decoderOutput, muxerOutput, filterOutput] = await Promise.all(
+    ['-version', '-encoders', '-decoders', '-muxers', '-filters'].map(flag => runListing(ffmpegPath, flag))
+  );
+
+  const encoders = parseCodecListing(encoderOutput);
+  if (encoders.length === 0) {
+    throw new Error("ffmpeg -encoders listed no audio encoders");
+  }
+
+  return {
+    ...parseVersion(versionOutput),
+    encoders,
+    decoders: parseCodecListing(decoderOutput),
+    muxers: parseMuxerListing(muxerOutput),
+    filters: parseFilterListing(filterOutput),
+    hasLibmp3lame: encoders.includes('libmp3lame'),
+    hasMp3: encoders.some(name => ['libmp3lame', 'libshine', 'mp3_mf'].includes(name)),
+    hasAac: encoders.some(name => ['aac', 'libfdk_aac', 'aac_at'].includes(name)),
+    hasWav: encoders.some(name => name.startsWith('pcm_')),
+    detectedAt: new Date().toISOString()
+  };
+}
+
+// What the ffmpeg binary can do: audio encoders and decoders, muxers and filters (lists of
+// names), version and configure flags, plus the hasLibmp3lame/hasMp3/hasAac/hasWav flags
+// logged with each conversion. Cached for the life of the container. A failed detection
+// isn't cached; that request gets empty lists and the next one tries again.
+async function checkAvailableEncoders(ffmpegPath, logger) {
+  if (capabilityCache.has(ffmpegPath)) {
+    logger.log('Using cached FFmpeg capabilities');
+    return capabilityCache.get(ffmpegPath);
+  }
+
+  const detection = detectCapabilities(ffmpegPath).then((capabilities) => {
+    const { hasLibmp3lame, hasMp3, hasAac, hasWav } = capabilities;
+    logger.log('FFmpeg version:', capabilities.version);
+    logger.log('Available encoders check:', { hasLibmp3lame, hasMp3, hasAac, hasWav });
+    logger.log('FFmpeg capabilities detected:', {
+      encoders: capabilities.encoders.length,
+      decoders: capabilities.decoders.length,
+      muxers: capabilities.muxers.length,
+      filters: capabilities.filters.length
+    });
+    return capabilities;
+  }, (err) => {
+    capabilityCache.delete(ffmpegPath);
+    logger.error('FFmpeg capability detection failed:', err.message);
+    return {
+      version: null,
+      configuration: null,
+      encoders: [],
+      decoders: [],
+      muxers: [],
+      filters: [],
+      hasLibmp3lame: false,
+      hasMp3: false,
+      hasAac: false,
+      hasWav: false,
+      detectedAt: null,
+      error: err.message
+    };
+  });
+
+  capabilityCache.set(ffmpegPath, detection);
+  return detection;
+}
+
+// ffprobe's version string, cached like the ffmpeg capabilities. Null if it won't run.
+async function getProbeVersion(ffprobePath) {
+  if (!probeVersionCache.has(ffprobePath)) {
+    probeVersionCache.set(ffprobePath, runListing(ffprobePath, '-version').then(output => parseVersion(output).version, () => {
+      probeVersionCache.delete(ffprobePath);
+      return null;
+    }));
+  }
+  return probeVersionCache.get(ffprobePath);
+}
+
+// Probe a file, or with pipeInput ({ data, demuxer }) the first bytes of a streamed source
+async function probeAudioFile(ffprobePath, inputPath, logger, pipeInput = null) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-v', 'quiet',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      ...(pipeInput ? ['-f', pipeInput.demuxer, '-i', 'pipe:0'] : [inputPath])
+    ];
+    
+    logger.log(pipeInput ? `Probing first ${pipeInput.data.length} bytes of streamed source...` : 'Probing audio file for metadata...');
+    const span = logger.span('probe');
+    
+    const probeProcess = spawn(ffprobePath, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    if (pipeInput) {
+      // ffprobe stops reading once it has what it needs
+      probeProcess.stdin.on('error', () => {});
+      probeProcess.stdin.end(pipeInput.data);
+    }
+    
+    let stdout = '';
+    let stderr = '';
+    
+    probeProcess.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    
+    probeProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    const timeout = setTimeout(() => {
+      probeProcess.kill('SIGKILL');
+      span.end({ failed: true });
+      reject(new TimeoutError('FFprobe timed out', 'probe_timeout'));
+    }, 5000);
+    
+    probeProcess.on('close', (code) => {
+      clearTimeout(timeout);
+      span.end(code === 0 ? null : { failed: true });
+      
+      if (code === 0) {
+        try {
+          const metadata = JSON.parse(stdout);
+          logger.log('Audio probe successful:', {
+            format: metadata.format?.format_name,
+            duration: metadata.format?.duration,
+            streams: metadata.streams?.length,
+            codec: metadata.streams?.[0]?.codec_name
+          });
+          resolve(metadata);
+        } catch (parseErr) {
+          reject(new UnsupportedMediaError(`Failed to parse probe output: ${parseErr.message}`, 'unreadable_media', 422));
+        }
+      } else {
+        logger.error('FFprobe failed with code:', code);
+        logger.debug('FFprobe stderr:', stderr.substring(0, 300));
+        reject(new UnsupportedMediaError(`Audio file probe failed with exit code ${code}. File may be corrupted or unsupported.`, 'unreadable_media', 422));
+      }
+    });
+    
+    probeProcess.on('error', (err) => {
+      clearTimeout(timeout);
+      span.end({ failed: true });
+      reject(new Error(`FFprobe spawn failed: ${err.message}`));
+    });
+  });
+}
+
+// Run ffprobe on the converted file and make sure it holds the codec its format promises
+async function verifyOutputFormat(ffprobePath, outputPath, formatName, logger) {
+  const expectedCodec = OUTPUT_FORMATS[formatName].codec;
+  const probe = await probeAudioFile(ffprobePath, outputPath, logger);
+  const audioStream = probe.streams?.find(stream => stream.codec_type === 'audio');
+  const outputInfo = {
+    container: probe.format?.format_name || 'unknown',
+    codec: audioStream?.codec_name || 'unknown',
+    duration: parseFloat(probe.format?.duration) || null
+  };
+
+  if (outputInfo.codec !== expectedCodec) {
+    logger.error('Output codec mismatch:', { expected: expectedCodec, actual: outputInfo.codec });
+    throw new ConversionError(`Conversion produced ${outputInfo.codec} audio instead of ${expectedCodec}`, 'output_verification_failed');
+  }
+
+  logger.log('Output verified:', outputInfo);
+  return outputInfo;
+}
+
+// Detect if this is likely an iOS M4A file (voice memo or similar)
+function isIosM4a(metadata) {
+  return Boolean(metadata && (
+    metadata.format?.format_name?.includes('mov,mp4,m4a') ||
+    metadata.streams?.[0]?.codec_name === 'aac' ||
+    metadata.format?.tags?.['com.apple.finalcutstudio.media.uuid']
+  ));
+}
+
+// Normalized view of ffprobe output for API responses. Numbers are parsed; fields ffprobe
+// didn't report are null. Tags are the container's, or the audio stream's where the container
+// keeps them there (Ogg); keys are lowercased.
+function summarizeProbe(metadata) {
+  const audioStream = metadata.streams?.find(stream => stream.codec_type === 'audio');
+  const number = value => (value === undefined || value === null || value === 'N/A' || !Number.isFinite(Number(value))) ? null : Number(value);
+
+  const formatTags = metadata.format?.tags || {};
+  const tags = {};
+  for (const [name, value] of Object.entries(Object.keys(formatTags).length > 0 ? formatTags : audioStream?.tags || {})) {
+    tags[name.toLowerCase()] = value;
+  }
+
+  return {
+    container: metadata.format?.format_name || null,
+    codec: audioStream?.codec_name || null,
+    codecProfile: audioStream?.profile || null,
+    duration: number(metadata.format?.duration ?? audioStream?.duration),
+    bitrate: number(metadata.format?.bit_rate ?? audioStream?.bit_rate),
+    sampleRate: number(audioStream?.sample_rate),
+    channels: number(audioStream?.channels),
+    channelLayout: audioStream?.channel_layout || null,
+    hasCoverArt: Boolean(metadata.streams?.some(stream => stream.disposition?.attached_pic === 1)),
+    tags,
+    isIosM4a: isIosM4a(metadata)
+  };
+}
+
+// Parse complete lines of ffmpeg `-progress` output, report them and return the unparsed remainder
+function reportProgress(buffer, durationSeconds, strategyName, onProgress) {
+  const lines = buffer.split('\n');
+  const remainder = lines.pop();
+
+  for (const line of lines) {
+    const [key, value] = line.trim().split('=');
+    // out_time_ms is in microseconds despite its name; newer builds also print out_time_us
+    if ((key === 'out_time_us' || key === 'out_time_ms') && /^\d+$/.test(value)) {
+      const outTimeSeconds = parseInt(value, 10) / 1000000;
+      const percent = durationSeconds > 0 ? Math.min(99, Math.round((outTimeSeconds / durationSeconds) * 100)) : null;
+      onProgress({ strategy: strategyName, outTimeSeconds, percent });
+    } else if (key === 'progress' && value === 'end') {
+      onProgress({ strategy: strategyName, outTimeSeconds: durationSeconds || null, percent: 100 });
+    }
+  }
+
+  return remainder;
+}
+
+// Read the source from stdin instead of inputPath, with the demuxer named up front
+// because there is nothing to seek back to while ffmpeg guesses
+function pipeInputArgs(args, inputPath, demuxer) {
+  const inputIndex = args.indexOf('-i');
+  if (args[inputIndex + 1] !== inputPath) {
+    return args;
+  }
+  return [...args.slice(0, inputIndex), '-f', demuxer, '-i', 'pipe:0', ...args.slice(inputIndex + 2)];
+}
+
+// Containers ffmpeg writes front to back. MP4 (+faststart), FLAC and WAV seek back to fill
+// in their headers once the encode is done, so they can only be written to a file.
+const STREAMABLE_CONTAINERS = ['mp3', 'adts', 'ogg'];
+
+// Write the output to stdout instead of outputPath
+function pipeOutputArgs(args, outputPath) {
+  if (args[args.length - 1] !== outputPath) {
+    return args;
+  }
+  return [...args.slice(0, -1), 'pipe:1'];
+}
+
+// Copy ffmpeg's stdout to the strategy's output file and into uploadOutput(format, stream)
+// as it is written. The upload only ends with finish(), once ffmpeg has exited cleanly, so
+// a failed encode can't complete it; fail(err) gives it up instead. `done` resolves with
+// what uploadOutput resolved once the file and the upload are both complete.
+function teeOutput(stdout, strategy, uploadOutput) {
+  const file = fs.createWriteStream(strategy.outputPath);
+  const upload = new PassThrough();
+  const written = new Promise((resolve, reject) => {
+    file.on('finish', resolve);
+    file.on('error', reject);
+  });
+  const uploaded = uploadOutput(strategy.format, upload);
+
+  stdout.pipe(file);
+  stdout.pipe(upload, { end: false });
+  return {
+    done: Promise.all([written, uploaded]).then(([, stored]) => stored),
+    finish: () => upload.end(),
+    fail: err => upload.destroy(err)
+  };
+}
+
+// Convert using direct spawn, trying the planned strategies in order until one succeeds.
+// options.maxOutputBytes sets the size the bitrate is chosen for, from the expected duration;
+// strategies are ranked against that and the time left (timeoutMs) - see planStrategies.
+// timeoutMs covers all strategies: each one only gets what is left of it.
+// With options.pipeInput ({ demuxer, feed(stdin), fileReady() }) the first strategy reads the
+// streamed source from stdin; any later strategy waits for fileReady() and reads inputPath.
+// With options.uploadOutput(format, stream) a strategy in a STREAMABLE_CONTAINERS format
+// also streams its output into that as it encodes, and resolves with `uploaded` set to
+// what it returned. The output file is written all the same, for the checks that follow.
+function convertWithFFmpeg(ffmpegPath, inputPath, outputPath, timeoutMs, metadata, logger, encoderInfo, options = { legacy: true }, onProgress = null) {
+  return new Promise((resolve, reject) => {
+    const deadline = Date.now() + timeoutMs;
+    const iosM4a = isIosM4a(metadata);
+    const audioStream = metadata?.streams?.find(stream => stream.codec_type === 'audio');
+    
+    logger.log('File analysis:', {
+      isIosM4a: iosM4a,
+      format: metadata?.format?.format_name,
+      codec: audioStream?.codec_name,
+      hasLibmp3lame: encoderInfo?.hasLibmp3lame,
+      hasMp3: encoderInfo?.hasMp3,
+      hasAac: encoderInfo?.hasAac,
+      hasWav: encoderInfo?.hasWav
+    });
+
+    // Trim/fade options, voice cleanup, loudness normalization and tags (all but the edits
+    // planned by the pipeline) are applied by every strategy, so any fallback output gets them too
+    const editArgs = buildEditArgs(options.edits, parseFloat(metadata?.format?.duration) || null, {
+      lengthChanges: Boolean(options.voice?.compactSilence)
+    });
+    const extraFilters = [...(options.voiceFilters || []), ...(options.loudnormFilter ? [options.loudnormFilter] : [])];
+    if (options.edits || extraFilters.length > 0) {
+      logger.debug('Applying filters:', { inputArgs: editArgs.inputArgs, filters: editFilterChain(editArgs, extraFilters) });
+    }
+
+    const planSettings = {
+      encoderInfo,
+      durationSeconds: editArgs.expectedDuration,
+      source: { sampleRate: parseInt(audioStream?.sample_rate, 10) || null, channels: audioStream?.channels || null },
+      maxOutputBytes: options.maxOutputBytes || null,
+      timeBudgetMs: timeoutMs
+    };
+
+    let plan;
+    try {
+      if (!options.legacy) {
+        // Explicitly requested output - exactly the caller's settings, plus other formats if they allow fallback
+        const declarations = [requestedDeclaration(options, options.encoder, 0)];
+        if (options.fallbackPolicy === 'allow') {
+          declarations.push(...fallbackDeclarations(options, encoderInfo));
+        }
+        logger.log('Using requested output settings:', {
+          format: options.format,
+          encoder: options.encoder,
+          bitrate: options.bitrate,
+          sampleRate: options.sampleRate,
+          channels: options.channels,
+          maxOutputBytes: options.maxOutputBytes,
+          fallbackPolicy: options.fallbackPolicy
+        });
+        plan = planOrReject(declarations, planSettings);
+      } else {
+        // The phone cascade aims for a binary-sized response unless the caller set a size.
+        // iOS recordings are AAC already, so AAC output is preferred among equals.
+        plan = planOrReject(legacyDeclarations(options), {
+          ...planSettings,
+          maxOutputBytes: options.maxOutputBytes || LEGACY_TARGET_BYTES,
+          softTarget: !options.maxOutputBytes,
+          preferredFormats: iosM4a ? ['aac'] : []
+        });
+      }
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    if (plan.rejected.length > 0) {
+      logger.debug('Strategies left out:', plan.rejected);
+    }
+    logger.log('Using strategies:', plan.strategies.map(s => ({
+      name: s.name,
+      bitrate: s.bitrate ? `${s.bitrate}k` : null,
+      estimatedBytes: s.estimatedBytes,
+      estimatedMs: s.estimatedMs,
+      fits: s.fitsSize && s.fitsTime
+    })));
+    runStrategies(plan.strategies.map(s => buildStrategy(inputPath, outputPath, s)));
+
+    function runStrategies(availableStrategies) {
+      let currentStrategy = 0;
+      const attemptedStrategies = [];
+      let timedOut = 0;
+      let sourceStreamed = false;
+
+      function tryConversion() {
+        const outOfTime = attemptedStrategies.length > 0 && Date.now() >= deadline;
+        if (currentStrategy >= availableStrategies.length || outOfTime) {
+          logger.error('All conversion strategies failed', { attemptedStrategies, outOfTime });
+          if (outOfTime || (timedOut > 0 && timedOut === attemptedStrategies.length)) {
+            reject(new TimeoutError("Conversion did not finish in time. Try a shorter recording or use async mode (?async=1).", 'conversion_timeout'));
+          } else if (!options.legacy && options.fallbackPolicy === 'strict') {
+            reject(new ConversionError(`Could not produce the requested format "${options.format}" and fallbackPolicy is "strict". Attempted: ${attemptedStrategies.join(', ')}`, 'requested_format_failed'));
+          } else {
+            reject(new ConversionError(`All conversion strategies failed. Attempted: ${attemptedStrategies.join(', ')}`));
+          }
+          return;
+        }
+
+        const strategy = availableStrategies[currentStrategy];
+        logger.log(`Trying conversion strategy: ${strategy.name} (${currentStrategy + 1}/${availableStrategies.length})`);
+        attemptedStrategies.push(strategy.name);
+
+        // A streamed source can only be read once; retries need the copy kept on disk
+        if (options.pipeInput && sourceStreamed) {
+          options.pipeInput.fileReady().then(() => runStrategy(strategy, false), reject);
+          return;
+        }
+        runStrategy(strategy, Boolean(options.pipeInput));
+      }
+
+      function runStrategy(strategy, piped) {
+        // With a progress callback, ffmpeg reports key=value progress blocks on fd 3
+        let strategyArgs = applyTagArgs(applyEditArgs(strategy.args, editArgs, extraFilters), options.tagPlan, OUTPUT_FORMATS[strategy.format]);
+        if (piped) {
+          strategyArgs = pipeInputArgs(strategyArgs, inputPath, options.pipeInput.demuxer);
+          sourceStreamed = true;
+        }
+        const uploading = Boolean(options.uploadOutput) && STREAMABLE_CONTAINERS.includes(OUTPUT_FORMATS[strategy.format].container);
+        if (uploading) {
+          strategyArgs = pipeOutputArgs(strategyArgs, strategy.outputPath);
+        }
+        const args = onProgress ? ['-progress', 'pipe:3', '-nostats', ...strategyArgs] : strategyArgs;
+        const durationSeconds = editArgs.expectedDuration || 0;
+        
+        const ffmpegProcess = spawn(ffmpegPath, args, {
+          stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+        });
+
+        // A source that fails mid-stream (too large, connection lost) fails the conversion outright
+        let feedError = null;
+        if (piped) {
+          options.pipeInput.feed(ffmpegProcess.stdin).catch((err) => {
+            feedError = err;
+            ffmpegProcess.kill('SIGKILL');
+          });
+        }
+        
+        // An upload that fails stops the encode; the next strategy would fail the same way
+        let output = null;
+        let outputError = null;
+        if (uploading) {
+          output = teeOutput(ffmpegProcess.stdout, strategy, options.uploadOutput);
+          output.done.catch((err) => {
+            outputError = outputError || err;
+            ffmpegProcess.kill('SIGKILL');
+          });
+        }
+        
+        let stderr = '';
+        let progress = '';
+        
+        ffmpegProcess.stdio[3].on('data', (data) => {
+          progress += data.toString();
+          if (onProgress) {
+            progress = reportProgress(progress, durationSeconds, strategy.name, onProgress);
+          }
+        });
+        
+        ffmpegProcess.stderr.on('data', (data) => {
+          stderr += data.toString();
+        });
+        
+        // The kill also fires 'close'; the timeout has already moved on to the next strategy
+        let killedByTimeout = false;
+        const timeout = setTimeout(() => {
+          killedByTimeout = true;
+          ffmpegProcess.kill('SIGKILL');
+          if (output) {
+            output.fail(new Error(`Strategy ${strategy.name} timed out`));
+          }
+          logger.warn(`Strategy ${strategy.name} timed out`);
+          timedOut++;
+          currentStrategy++;
+          setTimeout(tryConversion, 100);
+        }, Math.max(0, deadline - Date.now()));
+        
+        ffmpegProcess.on('close', (code) => {
+          clearTimeout(timeout);
+          if (killedByTimeout) {
+            return;
+          }
+
+          if (feedError) {
+            logger.error('Streaming the source failed:', feedError.message);
+            if (output) {
+              output.fail(feedError);
+            }
+            reject(feedError);
+            return;
+          }
+          if (outputError) {
+            logger.error('Streaming the output failed:', outputError.message);
+            reject(outputError);
+            return;
+          }
+          
+          if (code === 0) {
+            logger.log(`FFmpeg conversion successful with strategy: ${strategy.name}`);
+            
+            // Keep the file under its real extension so it gets labelled by what it actually is
+            const converted = { strategy: strategy.name, format: strategy.format, outputPath: strategy.outputPath, stderr, uploaded: null };
+            if (output) {
+              output.finish();
+              output.done.then(uploaded => resolve({ ...converted, uploaded }), reject);
+            } else {
+              resolve(converted);
+            }
+          } else {
+            logger.warn(`Strategy ${strategy.name} failed with exit code: ${code}`);
+            if (output) {
+              output.fail(new Error(`Strategy ${strategy.name} failed`));
+            }
+            if (stderr) {
+              logger.debug(`Strategy ${strategy.name} stderr:`, stderr.substring(0, 300));
+            }
+            
+            // Try next strategy
+            currentStrategy++;
+            setTimeout(tryConversion, 100);
+          }
+        });
+        
+        ffmpegProcess.on('error', (err) => {
+          clearTimeout(timeout);
+          logger.error(`Strategy ${strategy.name} spawn error:`, err.message);
+          if (output) {
+            output.fail(err);
+          }
+          
+          // Try next strategy
+          currentStrategy++;
+          setTimeout(tryConversion, 100);
+        });
+      }
+
+      tryConversion();
+    }
+  });
+}
+
+module.exports = {
+  getFFmpegPaths,
+  checkAvailableEncoders,
+  getProbeVersion,
+  isEncoderAvailable,
+  resolveEncoder,
+  probeAudioFile,
+  isIosM4a,
+  summarizeProbe,
+  verifyOutputFormat,
+  outputPathFor,
+  legacyDeclarations,
+  convertWithFFmpeg
+};
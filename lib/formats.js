@@ -0,0 +1,327 @@
+const { RequestError, ValidationError } = require('./errors');
+const { parseEditOptions } = require('./edits');
+const { parseNormalizeOption } = require('./loudness');
+const { parseVoiceOption } = require('./voice');
+const { parseTagOptions } = require('./tags');
+const { parseWaveformOption } = require('./waveform');
+const { parseSplitOption, assertSplitFormat } = require('./split');
+
+// Output formats callers can ask for. Encoders are listed in order of preference.
+// tagFormat/coverArt say which metadata the container can carry (ADTS carries none);
+// encodeMsPerSecond is the rough encode cost per second of audio, used for time estimates.
+const OUTPUT_FORMATS = {
+  mp3: {
+    encoders: ['libmp3lame', 'libshine'],
+    codec: 'mp3',
+    container: 'mp3',
+    extension: '.mp3',
+    contentType: 'audio/mpeg',
+    defaultBitrate: '128k',
+    sampleRates: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000],
+    bitrateRange: [8, 320],
+    tagFormat: 'id3v2',
+    coverArt: true,
+    encodeMsPerSecond: 25
+  },
+  aac: {
+    encoders: ['libfdk_aac', 'aac'],
+    codec: 'aac',
+    container: 'adts',
+    extension: '.aac',
+    contentType: 'audio/aac',
+    defaultBitrate: '128k',
+    sampleRates: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000, 64000, 88200, 96000],
+    bitrateRange: [8, 512],
+    tagFormat: null,
+    coverArt: false,
+    encodeMsPerSecond: 25
+  },
+  m4a: {
+    encoders: ['libfdk_aac', 'aac'],
+    codec: 'aac',
+    container: 'ipod',
+    extension: '.m4a',
+    contentType: 'audio/mp4',
+    defaultBitrate: '128k',
+    sampleRates: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000, 64000, 88200, 96000],
+    bitrateRange: [8, 512],
+    tagFormat: 'mp4',
+    coverArt: true,
+    encodeMsPerSecond: 25
+  },
+  opus: {
+    encoders: ['libopus', 'opus'],
+    codec: 'opus',
+    container: 'ogg',
+    extension: '.opus',
+    contentType: 'audio/ogg',
+    defaultBitrate: '96k',
+    sampleRates: [8000, 12000, 16000, 24000, 48000],
+    bitrateRange: [6, 510],
+    tagFormat: 'vorbis',
+    coverArt: false,
+    encodeMsPerSecond: 20
+  },
+  ogg: {
+    encoders: ['libopus', 'opus'],
+    codec: 'opus',
+    container: 'ogg',
+    extension: '.ogg',
+    contentType: 'audio/ogg',
+    defaultBitrate: '96k',
+    sampleRates: [8000, 12000, 16000, 24000, 48000],
+    bitrateRange: [6, 510],
+    tagFormat: 'vorbis',
+    coverArt: false,
+    encodeMsPerSecond: 20
+  },
+  flac: {
+    encoders: ['flac'],
+    codec: 'flac',
+    container: 'flac',
+    extension: '.flac',
+    contentType: 'audio/flac',
+    defaultBitrate: null, // Lossless - bitrate does not apply
+    sampleRates: [8000, 11025, 16000, 22050, 32000, 44100, 48000, 88200, 96000, 176400, 192000],
+    bitrateRange: null,
+    tagFormat: 'vorbis',
+    coverArt: true,
+    encodeMsPerSecond: 2
+  },
+  wav: {
+    encoders: ['pcm_s16le'],
+    codec: 'pcm_s16le',
+    container: 'wav',
+    extension: '.wav',
+    contentType: 'audio/wav',
+    defaultBitrate: null,
+    sampleRates: [8000, 11025, 16000, 22050, 32000, 44100, 48000, 88200, 96000, 176400, 192000],
+    bitrateRange: null,
+    tagFormat: 'riff',
+    coverArt: false,
+    encodeMsPerSecond: 1
+  }
+};
+
+// Formats tried, in order, when fallbackPolicy is 'allow' and the requested one fails
+const FALLBACK_ORDER = ['mp3', 'm4a', 'aac', 'opus', 'flac', 'wav'];
+
+const FALLBACK_POLICIES = ['strict', 'allow'];
+
+// Media types clients may send in Accept, mapped to our format names
+const ACCEPT_TYPES = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/aac': 'aac',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/opus': 'opus',
+  'audio/ogg': 'ogg',
+  'audio/flac': 'flac',
+  'audio/x-flac': 'flac',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav'
+};
+
+// Named presets. 'phone' keeps the original size-adaptive ultra-compression cascade.
+const PRESETS = {
+  phone: { legacy: true },
+  podcast: { format: 'mp3', bitrate: '96k', sampleRate: 44100, channels: 1 },
+  music: { format: 'mp3', bitrate: '192k', sampleRate: 44100, channels: 2 },
+  lossless: { format: 'flac' },
+  // Speech cleanup for voice memos, kept at 24kHz rather than the phone cascade's 8-11kHz
+  voice: { format: 'm4a', bitrate: '48k', sampleRate: 24000, channels: 1, voice: true }
+};
+
+// Smallest maxOutputBytes accepted; below this even 8k mono only holds a few seconds
+const MIN_OUTPUT_BYTES = 16 * 1024;
+
+// maxOutputBytes: size the output has to fit in, in bytes. The bitrate is chosen from the
+// source duration to meet it. Null when not set.
+function parseMaxOutputBytes(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const bytes = Number(value);
+  if (!Number.isInteger(bytes) || bytes < MIN_OUTPUT_BYTES) {
+    throw new ValidationError(`maxOutputBytes must be a whole number of bytes, at least ${MIN_OUTPUT_BYTES}`);
+  }
+  return bytes;
+}
+
+// Parse "128k", "128000" or 128 (kbps) into kbps
+function parseBitrate(value) {
+  if (typeof value === 'number') {
+    return value >= 1000 ? Math.round(value / 1000) : value;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*(k?)$/i.exec(String(value).trim());
+  if (!match) {
+    return NaN;
+  }
+  const amount = parseFloat(match[1]);
+  return match[2] ? amount : (amount >= 1000 ? Math.round(amount / 1000) : amount);
+}
+
+// Parse an Accept header into media ranges ordered by preference (q=0 entries dropped)
+function parseAcceptHeader(header) {
+  if (!header) {
+    return [];
+  }
+
+  return header.split(',')
+    .map((part, index) => {
+      const [type, ...params] = part.trim().toLowerCase().split(';');
+      const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.substring(2)) : 1;
+      return { type: type.trim(), q: Number.isFinite(q) ? q : 1, index };
+    })
+    .filter(range => range.type && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+}
+
+// Whether a format's content type is allowed by the parsed Accept ranges
+function isFormatAcceptable(acceptRanges, formatName) {
+  if (acceptRanges.length === 0) {
+    return true;
+  }
+
+  const formatTypes = Object.keys(ACCEPT_TYPES).filter(type => ACCEPT_TYPES[type] === formatName);
+  formatTypes.push(OUTPUT_FORMATS[formatName].contentType);
+
+  return acceptRanges.some(range =>
+    range.type === '*/*' ||
+    range.type === 'audio/*' ||
+    formatTypes.includes(range.type)
+  );
+}
+
+// Pick the most preferred concrete audio format named in the Accept header
+function negotiateFormat(acceptRanges) {
+  const match = acceptRanges.find(range => ACCEPT_TYPES[range.type]);
+  return match ? ACCEPT_TYPES[match.type] : null;
+}
+
+// Validate conversion options from the request body and merge in preset/format defaults
+function parseConversionOptions(body, acceptHeader) {
+  // Only audio ranges (and */*) say anything about the output format; a client that sends
+  // e.g. Accept: application/json gets the defaults
+  const acceptRanges = parseAcceptHeader(acceptHeader)
+    .filter(range => range.type === '*/*' || range.type.startsWith('audio/'));
+  const edits = parseEditOptions(body);
+  const normalize = parseNormalizeOption(body.normalize);
+  const tags = parseTagOptions(body);
+  const waveform = parseWaveformOption(body.waveform);
+  const split = parseSplitOption(body.split);
+  const maxOutputBytes = parseMaxOutputBytes(body.maxOutputBytes);
+
+  const fallbackPolicy = body.fallbackPolicy || 'strict';
+  if (!FALLBACK_POLICIES.includes(fallbackPolicy)) {
+    throw new ValidationError(`Unknown fallbackPolicy "${fallbackPolicy}". Use one of: ${FALLBACK_POLICIES.join(', ')}`);
+  }
+
+  // An explicit format in the body wins; otherwise let the Accept header choose
+  if (!body.format && !body.preset) {
+    const negotiated = negotiateFormat(acceptRanges);
+    if (negotiated) {
+      body = { ...body, format: negotiated };
+    }
+  }
+
+  const presetName = body.preset || (body.format ? null : 'phone');
+  let preset = {};
+
+  if (presetName) {
+    // Own keys only, so "toString" or "constructor" aren't taken for presets
+    preset = Object.hasOwn(PRESETS, presetName) ? PRESETS[presetName] : null;
+    if (!preset) {
+      throw new ValidationError(`Unknown preset "${presetName}". Supported presets: ${Object.keys(PRESETS).join(', ')}`);
+    }
+  }
+
+  // An explicit voice setting (false included) overrides the preset's
+  const voice = parseVoiceOption(body.voice ?? preset.voice);
+
+  // Legacy cascade only applies when the caller didn't ask for anything specific
+  if (preset.legacy && !body.format && !body.bitrate && !body.sampleRate && !body.channels) {
+    if (split?.mode === 'hls') {
+      throw new ValidationError("HLS output needs an explicit format (aac, m4a or mp3)");
+    }
+    return { preset: presetName, legacy: true, fallbackPolicy: 'allow', acceptRanges, maxOutputBytes, edits, normalize, voice, tags, waveform, split };
+  }
+
+  const formatName = String(body.format || preset.format || 'mp3').toLowerCase();
+  const format = Object.hasOwn(OUTPUT_FORMATS, formatName) ? OUTPUT_FORMATS[formatName] : null;
+  if (!format) {
+    throw new ValidationError(`Unsupported output format "${formatName}". Supported formats: ${Object.keys(OUTPUT_FORMATS).join(', ')}`, 'unsupported_format');
+  }
+
+  if (!isFormatAcceptable(acceptRanges, formatName)) {
+    throw new RequestError(`Requested format "${formatName}" (${format.contentType}) is not allowed by the Accept header`, 406);
+  }
+  assertSplitFormat(split, formatName, format);
+
+  const options = {
+    preset: presetName,
+    legacy: false,
+    fallbackPolicy,
+    acceptRanges,
+    format: formatName,
+    bitrate: null,
+    sampleRate: null,
+    channels: null,
+    maxOutputBytes,
+    edits,
+    normalize,
+    voice,
+    tags,
+    waveform,
+    split
+  };
+
+  // Preset values only apply where the chosen format supports them
+  const requestedBitrate = body.bitrate ?? (format.bitrateRange ? preset.bitrate : null);
+  if (requestedBitrate != null) {
+    if (!format.bitrateRange) {
+      throw new ValidationError(`Bitrate cannot be set for lossless format "${formatName}"`);
+    }
+    const kbps = parseBitrate(requestedBitrate);
+    const [min, max] = format.bitrateRange;
+    if (!Number.isFinite(kbps) || kbps < min || kbps > max) {
+      throw new ValidationError(`Bitrate "${requestedBitrate}" is not supported for ${formatName}. Use ${min}k-${max}k.`);
+    }
+    options.bitrate = `${kbps}k`;
+  } else if (format.defaultBitrate) {
+    options.bitrate = format.defaultBitrate;
+  }
+
+  const sampleRate = body.sampleRate ?? (format.sampleRates.includes(preset.sampleRate) ? preset.sampleRate : null);
+  if (sampleRate != null) {
+    const rate = Number(sampleRate);
+    if (!format.sampleRates.includes(rate)) {
+      throw new ValidationError(`Sample rate ${sampleRate} is not supported for ${formatName}. Supported rates: ${format.sampleRates.join(', ')}`);
+    }
+    options.sampleRate = rate;
+  }
+
+  const channels = body.channels ?? preset.channels;
+  if (channels != null) {
+    const count = Number(channels);
+    if (count !== 1 && count !== 2) {
+      throw new ValidationError(`Channels must be 1 (mono) or 2 (stereo), got ${channels}`);
+    }
+    options.channels = count;
+  }
+
+  return options;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  FALLBACK_ORDER,
+  PRESETS,
+  parseBitrate,
+  parseAcceptHeader,
+  isFormatAcceptable,
+  parseConversionOptions
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { RequestError } = require('./errors');
+const { runningOnLambda, createS3Storage } = require('./result-storage');
+
+// Job state storage. Every store implements the same async interface:
+//   create(fields)          -> job
+//   get(id)                 -> job or null
+//   update(id, patch)       -> job
+//   claim(id, patch)        -> moves a queued job to "running" with the patch, atomically:
+//                              the job, or null when it is missing or wasn't queued
+//   saveInput(id, buffer)   -> keeps an upload for the function that runs the job
+//   readInput(id)           -> the kept upload as a Buffer, or null
+//
+// Outputs don't live here: results and split parts go to result storage (see
+// lib/result-storage.js) under "jobs/<id>/...", so they can be served from the bucket.
+
+function assertJobId(id) {
+  if (!/^[a-f0-9-]{36}$/.test(id)) {
+    throw new RequestError(`Malformed job id: ${id}`, 400, 'invalid_job_id');
+  }
+}
+
+// A queued job with the given fields
+function newJob(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    progress: 0,
+    createdAt: now,
+    updatedAt: now,
+    result: null,
+    error: null,
+    ...fields
+  };
+}
+
+// Jobs on the local filesystem, for the dev server and single-host deployments. Netlify
+// function instances don't share /tmp, so createJobStore won't use this on Lambda.
+class FileJobStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    fs.mkdirSync(this.baseDir, { recursive: true });
+  }
+
+  jobPath(id) {
+    assertJobId(id);
+    return path.join(this.baseDir, `${id}.json`);
+  }
+
+  async create(fields) {
+    const job = newJob(fields);
+    this.write(job);
+    return job;
+  }
+
+  async get(id) {
+    let filePath;
+    try {
+      filePath = this.jobPath(id);
+    } catch (e) {
+      return null;
+    }
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  async update(id, patch) {
+    const job = await this.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    const updated = { ...job, ...patch, updatedAt: new Date().toISOString() };
+    this.write(updated);
+    return updated;
+  }
+
+  // The claim is an exclusive create of "<id>.claim", which only one process can win
+  async claim(id, patch) {
+    const job = await this.get(id);
+    if (!job || job.status !== 'queued') {
+      return null;
+    }
+    try {
+      fs.writeFileSync(path.join(this.baseDir, `${job.id}.claim`), '', { flag: 'wx' });
+    } catch (err) {
+      if (err.code === 'EEXIST') {
+        return null;
+      }
+      throw err;
+    }
+    return this.update(id, { ...patch, status: 'running' });
+  }
+
+  inputPath(id) {
+    assertJobId(id);
+    return path.join(this.baseDir, `${id}.input`);
+  }
+
+  async saveInput(id, buffer) {
+    fs.writeFileSync(this.inputPath(id), buffer);
+  }
+
+  async readInput(id) {
+    const inputPath = this.inputPath(id);
+    return fs.existsSync(inputPath) ? fs.readFileSync(inputPath) : null;
+  }
+
+  // Write via a temp file + rename so readers never see a half-written job
+  write(job) {
+    const filePath = this.jobPath(job.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(job, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+// Jobs in the S3-compatible bucket of the S3_* variables, as "jobs/<id>.json" plus
+// "jobs/<id>.input" for uploads, so every function instance sees the same state. Like the
+// file store, update() reads and rewrites the whole job: the last write wins. claim() is a
+// conditional write instead, so two instances can't both start a job.
+class S3JobStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  objectKey(id, suffix) {
+    assertJobId(id);
+    return `jobs/${id}${suffix}`;
+  }
+
+  async create(fields) {
+    const job = newJob(fields);
+    await this.write(job);
+    return job;
+  }
+
+  async get(id) {
+    let key;
+    try {
+      key = this.objectKey(id, '.json');
+    } catch (e) {
+      return null;
+    }
+    const data = await this.storage.read(key);
+    return data ? JSON.parse(data.toString('utf8')) : null;
+  }
+
+  async update(id, patch) {
+    const job = await this.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    const updated = { ...job, ...patch, updatedAt: new Date().toISOString() };
+    await this.write(updated);
+    return updated;
+  }
+
+  async claim(id, patch) {
+    let key;
+    try {
+      key = this.objectKey(id, '.json');
+    } catch (e) {
+      return null;
+    }
+    const current = await this.storage.readVersioned(key);
+    const job = current ? JSON.parse(current.data.toString('utf8')) : null;
+    if (!job || job.status !== 'queued') {
+      return null;
+    }
+    const claimed = { ...job, ...patch, status: 'running', updatedAt: new Date().toISOString() };
+    const written = await this.storage.writeIf(key, Buffer.from(JSON.stringify(claimed)), { contentType: 'application/json', etag: current.etag });
+    return written ? claimed : null;
+  }
+
+  async saveInput(id, buffer) {
+    await this.storage.write(this.objectKey(id, '.input'), buffer, { contentType: 'application/octet-stream' });
+  }
+
+  async readInput(id) {
+    return this.storage.read(this.objectKey(id, '.input'));
+  }
+
+  async write(job) {
+    await this.storage.write(this.objectKey(job.id, '.json'), Buffer.from(JSON.stringify(job)), { contentType: 'application/json' });
+  }
+}
+
+// Store selected by JOB_STORE: 'file' (default, under JOB_STORE_DIR) or 's3'. On Netlify
+// only 's3' works: the background function runs on another instance than the request
+// that queued the job, and /jobs can be answered by any of them.
+function createJobStore() {
+  const driver = process.env.JOB_STORE || 'file';
+
+  if (driver === 'file') {
+    if (runningOnLambda()) {
+      throw new Error("Server configuration error: JOB_STORE=file keeps jobs on a single function instance. Set JOB_STORE=s3 and the S3_* variables");
+    }
+    return new FileJobStore(process.env.JOB_STORE_DIR || path.join(os.tmpdir(), 'audio-convert-jobs'));
+  }
+  if (driver === 's3') {
+    return new S3JobStore(createS3Storage());
+  }
+  throw new Error(`Unknown JOB_STORE "${driver}"`);
+}
+
+module.exports = { FileJobStore, S3JobStore, createJobStore };
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+const { describeError } = require('./errors');
+const { getFFmpegPaths, checkAvailableEncoders } = require('./ffmpeg');
+const { ASYNC_LIMITS, createTempPaths, runConversion, cleanupTempFiles } = require('./pipeline');
+const { runBatch, batchManifest, batchZip, cleanupBatch } = require('./batch');
+const { deliverCallback } = require('./webhooks');
+const { createResultStorage } = require('./result-storage');
+const { OUTPUT_FORMATS } = require('./formats');
+
+const PROGRESS_WRITE_INTERVAL = 1000; // Don't rewrite job state more than once a second
+
+// Content types for split parts that aren't in the output format itself
+const PART_CONTENT_TYPES = {
+  '.ts': 'video/mp2t',
+  '.m3u8': 'application/vnd.apple.mpegurl'
+};
+
+// Public location of a job and of its result
+function jobLocation(id) {
+  return `/.netlify/functions/jobs/${id}`;
+}
+
+function resultLocation(id) {
+  return `${jobLocation(id)}/result`;
+}
+
+function partLocation(id, name) {
+  return `${jobLocation(id)}/parts/${name}`;
+}
+
+// Result storage keys for a job's output and for the parts of a split output
+function jobResultKey(id, extension) {
+  return `jobs/${id}/result${extension}`;
+}
+
+function jobPartKey(id, name) {
+  return `jobs/${id}/parts/${name}`;
+}
+
+// Keep the parts of a split output (and the HLS playlist) in result storage. Returns the
+// manifest given to clients: each part's offset, duration, size and location.
+async function saveSplitParts(storage, jobId, split, mode, contentType) {
+  const parts = [];
+  for (const part of split.parts) {
+    await storage.put(jobPartKey(jobId, part.fileName), part.path, { contentType: PART_CONTENT_TYPES[path.extname(part.fileName)] || contentType });
+    parts.push({
+      index: part.index,
+      fileName: part.fileName,
+      offset: Math.round(part.offset * 1000) / 1000,
+      duration: Math.round(part.duration * 1000) / 1000,
+      fileSize: part.bytes,
+      location: partLocation(jobId, part.fileName)
+    });
+  }
+
+  let playlist = null;
+  if (split.playlistPath) {
+    // Segment URIs in the playlist are relative, so they resolve to the part locations
+    await storage.put(jobPartKey(jobId, path.basename(split.playlistPath)), split.playlistPath, { contentType: PART_CONTENT_TYPES['.m3u8'] });
+    playlist = partLocation(jobId, path.basename(split.playlistPath));
+  }
+
+  return { mode, parts, playlist };
+}
+
+// Hand a queued job to the background function, or run it in this process when
+// there is no Netlify site URL (local development) or JOB_RUNNER=inline. On Netlify the
+// store is shared by then: createJobStore refuses the file store on Lambda.
+async function dispatchJob(job, authHeader, store, logger, meter = null) {
+  const siteUrl = process.env.URL;
+
+  if (siteUrl && process.env.JOB_RUNNER !== 'inline') {
+    logger.log('Dispatching job to background function:', job.id);
+    // Background functions answer 202 straight away and keep running
+    await axios.post(`${siteUrl}/.netlify/functions/convert-background`, { jobId: job.id }, {
+      timeout: 5000,
+      // Same request id, so the job's log lines can be matched to the request that queued it
+      headers: { Authorization: authHeader, "X-Request-Id": logger.requestId }
+    });
+    return 'background';
+  }
+
+  logger.log('Running job inline:', job.id);
+  setImmediate(() => {
+    processJob(job.id, store, logger, meter).catch((err) => {
+      logger.error(`Job ${job.id} could not be processed:`, err.message);
+    });
+  });
+  return 'inline';
+}
+
+// Progress updates, written one after another so a slow write can't land after the
+// job's final state. Call settled() before writing that state.
+function progressWriter(store, jobId, logger) {
+  let pending = Promise.resolve();
+  return {
+    write(percent) {
+      pending = pending.then(() => store.update(jobId, { progress: percent })).catch((err) => {
+        logger.error('Progress update failed:', err.message);
+      });
+    },
+    settled: () => pending
+  };
+}
+
+// Source for a job: its URL, or the upload kept with it in the store
+async function jobSource(job, store) {
+  if (!job.source.upload) {
+    return job.source;
+  }
+  const data = await store.readInput(job.id);
+  if (!data) {
+    throw new Error(`Upload for job ${job.id} is missing from the job store`);
+  }
+  return { data };
+}
+
+// Record a job's final state, then tell its callback URL (if any) how it went
+async function finishJob(store, jobId, update, logger) {
+  const job = await store.update(jobId, update);
+  return job.callback ? deliverCallback(job, store, logger) : job;
+}
+
+// Run a queued job to completion, recording progress, result and errors in the store.
+// With a UsageMeter, the input is charged against the owner's daily quotas. The job is
+// claimed first, so it runs once however often it is dispatched; a job that isn't queued
+// any more is returned as it is.
+async function processJob(jobId, store, logger, meter = null) {
+  const job = await store.claim(jobId, { startedAt: new Date().toISOString() });
+  if (!job) {
+    const current = await store.get(jobId);
+    if (!current) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+    logger.warn(`Job ${jobId} is ${current.status}, not queued; not running it again`);
+    return current;
+  }
+
+  if (job.batch) {
+    return processBatchJob(job, store, logger, meter);
+  }
+
+  const startTime = Date.now();
+  let paths = null;
+  let lastProgressWrite = 0;
+  const progress = progressWriter(store, jobId, logger);
+
+  try {
+    const storage = createResultStorage();
+    const { ffmpegPath, ffprobePath } = getFFmpegPaths(logger);
+    const encoderInfo = await checkAvailableEncoders(ffmpegPath, logger);
+    const options = job.options;
+    paths = createTempPaths(options);
+
+    const onProgress = ({ percent }) => {
+      const now = Date.now();
+      if (percent == null || now - lastProgressWrite < PROGRESS_WRITE_INTERVAL) {
+        return;
+      }
+      lastProgressWrite = now;
+      progress.write(percent);
+    };
+
+    const result = await runConversion({
+      source: await jobSource(job, store),
+      options,
+      paths,
+      ffmpegPath,
+      ffprobePath,
+      encoderInfo,
+      logger,
+      startTime,
+      limits: ASYNC_LIMITS,
+      onProgress,
+      onInput: meter ? input => meter.chargeInput(input) : null,
+      // The output goes into storage while it encodes, when its container allows
+      uploadOutput: (format, stream) => storage.putStream(jobResultKey(jobId, OUTPUT_FORMATS[format].extension), stream, { contentType: OUTPUT_FORMATS[format].contentType })
+    });
+
+    // A split output is kept as its parts only
+    const split = result.split ? await saveSplitParts(storage, jobId, result.split, options.split.mode, result.contentType) : null;
+    const storageKey = split ? null : jobResultKey(jobId, result.extension);
+    if (storageKey && !result.stored) {
+      await storage.put(storageKey, result.outputPath, { contentType: result.contentType });
+    }
+    const processingTime = Date.now() - startTime;
+    logger.log(`Job ${jobId} completed in ${processingTime}ms`);
+
+    await progress.settled();
+    return await finishJob(store, jobId, {
+      status: 'completed',
+      progress: 100,
+      completedAt: new Date().toISOString(),
+      result: {
+        location: split ? null : resultLocation(jobId),
+        storageKey,
+        fileSize: result.outputStats.size,
+        format: result.extension,
+        contentType: result.contentType,
+        requestedFormat: options.legacy ? null : options.format,
+        container: result.outputInfo.container,
+        codec: result.outputInfo.codec,
+        duration: result.outputInfo.duration,
+        fallbackUsed: result.fallbackUsed,
+        loudness: result.loudness,
+        voice: result.voice,
+        waveform: result.waveform,
+        split,
+        processingTime
+      }
+    }, logger);
+  } catch (err) {
+    const { statusCode, code, errorMessage } = describeError(err);
+    logger.error(`Job ${jobId} failed:`, err.message);
+
+    await progress.settled();
+    return await finishJob(store, jobId, {
+      status: 'failed',
+      completedAt: new Date().toISOString(),
+      error: {
+        statusCode,
+        code,
+        error: errorMessage,
+        debug: err.message
+      }
+    }, logger);
+  } finally {
+    cleanupTempFiles(paths);
+  }
+}
+
+// Run a claimed batch job (from /batch?async=1). The result is a ZIP of the outputs plus
+// manifest.json; the per-item manifest is also kept on the job itself.
+async function processBatchJob(job, store, logger, meter = null) {
+  const startTime = Date.now();
+  let results = null;
+  const zipPath = path.join(os.tmpdir(), `batch_${job.id}.zip`);
+  const progress = progressWriter(store, job.id, logger);
+
+  try {
+    const storage = createResultStorage();
+    const { ffmpegPath, ffprobePath } = getFFmpegPaths(logger);
+    const encoderInfo = await checkAvailableEncoders(ffmpegPath, logger);
+    const { items, concurrency } = job.batch;
+
+    results = await runBatch({
+      items,
+      concurrency,
+      ffmpegPath,
+      ffprobePath,
+      encoderInfo,
+      logger,
+      startTime,
+      limits: ASYNC_LIMITS,
+      onInput: meter ? input => meter.chargeInput(input) : null,
+      onItemDone: (result, done) => progress.write(Math.floor((done / items.length) * 100))
+    });
+
+    fs.writeFileSync(zipPath, batchZip(results));
+    const storageKey = jobResultKey(job.id, '.zip');
+    const { size } = await storage.put(storageKey, zipPath, { contentType: 'application/zip' });
+    const manifest = batchManifest(results);
+    const processingTime = Date.now() - startTime;
+    logger.log(`Batch job ${job.id} completed in ${processingTime}ms: ${manifest.completed} completed, ${manifest.failed} failed`);
+
+    await progress.settled();
+    return await finishJob(store, job.id, {
+      status: 'completed',
+      progress: 100,
+      completedAt: new Date().toISOString(),
+      result: {
+        location: resultLocation(job.id),
+        storageKey,
+        fileSize: size,
+        format: '.zip',
+        contentType: 'application/zip',
+        ...manifest,
+        processingTime
+      }
+    }, logger);
+  } catch (err) {
+    const { statusCode, code, errorMessage } = describeError(err);
+    logger.error(`Batch job ${job.id} failed:`, err.message);
+
+    await progress.settled();
+    return await finishJob(store, job.id, {
+      status: 'failed',
+      completedAt: new Date().toISOString(),
+      error: {
+        statusCode,
+        code,
+        error: errorMessage,
+        debug: err.message
+      }
+    }, logger);
+  } finally {
+    cleanupBatch(results);
+    if (fs.existsSync(zipPath)) {
+      fs.unlinkSync(zipPath);
+    }
+  }
+}
+
+// Job as returned to clients - internal storage keys stay private
+function publicJob(job, { debug = false } = {}) {
+  const { storageKey, ...result } = job.result || {};
+  // The raw error message stays in the job store and logs unless debug output was asked for
+  const { debug: rawError, ...error } = job.error || {};
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt || null,
+    location: jobLocation(job.id),
+    result: job.result ? result : null,
+    error: job.error ? (debug ? job.error : error) : null,
+    callback: job.callback || null
+  };
+}
+
+module.exports = { jobLocation, resultLocation, partLocation, jobResultKey, jobPartKey, saveSplitParts, dispatchJob, processJob, publicJob };
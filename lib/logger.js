@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// LOG_LEVEL=silent writes nothing (the test suite uses it); lines are still collected
+const SILENT_LEVEL = 100;
+// Incoming X-Request-Id values are reused only when they look like an id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+// Debug output returned in a header is cut down (oldest lines first) to stay under proxy limits
+const MAX_DEBUG_HEADER_BYTES = 8 * 1024;
+
+// Lowest level written to the function logs (LOG_LEVEL, default info). Debug lines are
+// still collected for callers that asked for debug output.
+function consoleLevel() {
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  return level === 'silent' ? SILENT_LEVEL : LEVELS[level] || LEVELS.info;
+}
+
+// The caller's X-Request-Id when usable, else Netlify's own request id, else a new one
+function requestIdFrom(event) {
+  const headers = event?.headers || {};
+  const lookup = name => headers[Object.keys(headers).find(header => header.toLowerCase() === name)];
+  const candidate = lookup('x-request-id') || lookup('x-nf-request-id');
+  return candidate && REQUEST_ID_PATTERN.test(candidate) ? candidate : crypto.randomUUID();
+}
+
+// Request logger. Every line goes to the function logs as one JSON object tagged with the
+// request id and context; lines and timing spans are also kept so they can be returned to
+// callers that opted into debug output (see enableDebug).
+class DebugLogger {
+  constructor({ requestId = null, context = {}, entries = null, timings = null } = {}) {
+    this.requestId = requestId || crypto.randomUUID();
+    this.context = { ...context };
+    this.entries = entries || [];
+    this.timings = timings || [];
+    this.debugEnabled = false;
+  }
+
+  static forEvent(event) {
+    return new DebugLogger({ requestId: requestIdFrom(event) });
+  }
+
+  // Tag every following line, e.g. with the API key name so requests can be told apart
+  setContext(context) {
+    this.context = { ...this.context, ...context };
+  }
+
+  // Logger for part of the request (e.g. one batch item) that adds to the same lines and timings
+  child(context) {
+    const child = new DebugLogger({ requestId: this.requestId, context: { ...this.context, ...context }, entries: this.entries, timings: this.timings });
+    child.debugEnabled = this.debugEnabled;
+    return child;
+  }
+
+  write(level, message, data) {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      requestId: this.requestId,
+      ...this.context,
+      msg: message,
+      ...(data === null || data === undefined ? {} : { data })
+    };
+    this.entries.push(entry);
+
+    if (LEVELS[level] >= consoleLevel()) {
+      const line = JSON.stringify(entry);
+      if (level === 'error') {
+        console.error(line);
+      } else if (level === 'warn') {
+        console.warn(line);
+      } else {
+        console.log(line);
+      }
+    }
+  }
+
+  debug(message, data = null) {
+    this.write('debug', message, data);
+  }
+
+  info(message, data = null) {
+    this.write('info', message, data);
+  }
+
+  log(message, data = null) {
+    this.write('info', message, data);
+  }
+
+  warn(message, data = null) {
+    this.write('warn', message, data);
+  }
+
+  error(message, data = null) {
+    this.write('error', message, data);
+  }
+
+  // Time a step (download, probe, encode...). end(data) logs it with its duration and
+  // records it in the request's timings; later calls to end are ignored.
+  span(name) {
+    const start = Date.now();
+    let ended = false;
+
+    return {
+      end: (data = null) => {
+        if (ended) {
+          return;
+        }
+        ended = true;
+        const durationMs = Date.now() - start;
+        this.timings.push({ span: name, durationMs, ...(data || {}) });
+        this.info(`${name} finished in ${durationMs}ms`, { span: name, durationMs, ...(data || {}) });
+      }
+    };
+  }
+
+  // Return log lines and timings with this response (see wantsDebug)
+  enableDebug(enabled = true) {
+    this.debugEnabled = Boolean(enabled);
+  }
+
+  getMessages() {
+    return this.entries.map(({ requestId, ...entry }) => entry);
+  }
+
+  // X-Request-Id, plus the log lines for debug callers (capped, newest kept)
+  responseHeaders() {
+    const headers = { "X-Request-Id": this.requestId };
+    if (!this.debugEnabled) {
+      return headers;
+    }
+
+    const messages = this.getMessages();
+    const sizes = messages.map(message => Buffer.byteLength(JSON.stringify(message)) + 1);
+    let total = sizes.reduce((sum, size) => sum + size, 2);
+    let dropped = 0;
+    while (total > MAX_DEBUG_HEADER_BYTES && dropped < messages.length) {
+      total -= sizes[dropped++];
+    }
+    const kept = messages.slice(dropped);
+    headers["X-Debug-Messages"] = JSON.stringify(dropped ? [{ msg: `${dropped} earlier lines omitted` }, ...kept] : kept);
+    return headers;
+  }
+
+  // Fields added to JSON bodies for debug callers: the raw error, log lines and timings
+  debugFields(err = null) {
+    if (!this.debugEnabled) {
+      return {};
+    }
+    return {
+      ...(err ? { debug: err.message } : {}),
+      debugMessages: this.getMessages(),
+      timings: this.timings
+    };
+  }
+}
+
+module.exports = { DebugLogger, requestIdFrom };
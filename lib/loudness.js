@@ -0,0 +1,169 @@
+const { spawn } = require('child_process');
+const { ValidationError } = require('./errors');
+
+// EBU R128 defaults: -16 LUFS suits podcasts and mobile playback (-23 is broadcast)
+const DEFAULT_LOUDNESS = { target: -16, truePeak: -1.5, lra: 11 };
+
+// Rough cost of the measurement pass - loudnorm analyses ~60x realtime on one core
+const MEASURE_MS_PER_AUDIO_SECOND = 20;
+const MIN_CONVERSION_MS = 2000;
+
+// normalize: true for the defaults, a target in LUFS (-16), or { target, truePeak, lra }.
+// Returns null when normalization wasn't asked for.
+function parseNormalizeOption(value) {
+  if (value === undefined || value === null || value === '' || value === false || value === 'false') {
+    return null;
+  }
+
+  let settings;
+  if (value === true || value === 'true' || value === '1') {
+    settings = { ...DEFAULT_LOUDNESS };
+  } else if (typeof value === 'object') {
+    settings = {
+      target: value.target ?? DEFAULT_LOUDNESS.target,
+      truePeak: value.truePeak ?? DEFAULT_LOUDNESS.truePeak,
+      lra: value.lra ?? DEFAULT_LOUDNESS.lra
+    };
+  } else {
+    settings = { ...DEFAULT_LOUDNESS, target: value };
+  }
+
+  // Ranges accepted by ffmpeg's loudnorm filter
+  const checks = [
+    ['target', -70, -5, 'LUFS'],
+    ['truePeak', -9, 0, 'dBTP'],
+    ['lra', 1, 20, 'LU']
+  ];
+  for (const [field, min, max, unit] of checks) {
+    const number = Number(settings[field]);
+    if (!Number.isFinite(number) || number < min || number > max) {
+      throw new ValidationError(`normalize.${field} must be between ${min} and ${max} ${unit}, got "${settings[field]}"`);
+    }
+    settings[field] = number;
+  }
+
+  return settings;
+}
+
+// loudnorm filter for the settings; with measurements from a first pass it normalizes linearly
+function buildLoudnormFilter(settings, measured = null) {
+  let filter = `loudnorm=I=${settings.target}:TP=${settings.truePeak}:LRA=${settings.lra}`;
+  if (measured) {
+    filter += `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+      `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+      `:offset=${measured.target_offset}:linear=true`;
+  }
+  return `${filter}:print_format=json`;
+}
+
+// loudnorm prints its summary as the last JSON object on stderr
+function parseLoudnormOutput(stderr) {
+  const match = /\{[^{}]*"input_i"[^{}]*\}\s*$/.exec(stderr.trim());
+  if (!match) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[0]);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Time the measurement pass is expected to take, or null when the clip length is unknown
+function estimateMeasureTime(clipSeconds) {
+  return clipSeconds ? Math.max(500, clipSeconds * MEASURE_MS_PER_AUDIO_SECOND) : null;
+}
+
+// Both passes run loudnorm over the whole clip, and the encode still has to fit after
+// them - so only measure when the two analyses plus a minimal encode use half the budget
+function canMeasure(measureTime, remainingTime) {
+  return measureTime !== null && 2 * measureTime + MIN_CONVERSION_MS <= remainingTime / 2;
+}
+
+// First loudnorm pass: analyse the (trimmed) input without writing anything. With
+// pipeInput ({ demuxer, feed(stdin) }, see convertWithFFmpeg) it reads the streamed source.
+function measureLoudness(ffmpegPath, inputPath, pipeInput, editArgs, settings, timeoutMs, logger) {
+  return new Promise((resolve, reject) => {
+    const filters = [...editArgs.filters, buildLoudnormFilter(settings)];
+    const input = pipeInput ? ['-f', pipeInput.demuxer, '-i', 'pipe:0'] : ['-i', inputPath];
+    const args = ['-hide_banner', '-nostats', ...editArgs.inputArgs, ...input, '-vn', '-af', filters.join(','), '-f', 'null', '-'];
+
+    logger.log('Measuring loudness (pass 1)...');
+    const measureProcess = spawn(ffmpegPath, args, { stdio: [pipeInput ? 'pipe' : 'ignore', 'ignore', 'pipe'] });
+    if (pipeInput) {
+      pipeInput.feed(measureProcess.stdin).catch(() => measureProcess.kill('SIGKILL'));
+    }
+
+    let stderr = '';
+    measureProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    const timeout = setTimeout(() => {
+      measureProcess.kill('SIGKILL');
+      reject(new Error(`Loudness measurement timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    measureProcess.on('close', (code) => {
+      clearTimeout(timeout);
+      const measured = code === 0 ? parseLoudnormOutput(stderr) : null;
+      if (!measured) {
+        reject(new Error(`Loudness measurement failed (code ${code}): ${stderr.slice(-300)}`));
+        return;
+      }
+      logger.log('Measured loudness:', { integrated: measured.input_i, truePeak: measured.input_tp, lra: measured.input_lra });
+      resolve(measured);
+    });
+
+    measureProcess.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+  });
+}
+
+// Decide between two-pass (linear) and single-pass (dynamic) loudnorm. A streamed source
+// (pipeInput) is read by the measurement pass, if there is one.
+// Returns { mode, settings, filter, measured }.
+async function planLoudnorm({ ffmpegPath, inputPath, pipeInput = null, editArgs, settings, sampleRate, remainingTime, logger }) {
+  let measured = null;
+  let mode = 'single-pass';
+
+  const measureTime = estimateMeasureTime(editArgs.expectedDuration);
+  if (canMeasure(measureTime, remainingTime)) {
+    try {
+      measured = await measureLoudness(ffmpegPath, inputPath, pipeInput, editArgs, settings, 2 * measureTime, logger);
+      mode = 'two-pass';
+    } catch (err) {
+      logger.warn('Loudness measurement failed, using single-pass normalization:', err.message);
+    }
+  } else {
+    logger.log('Not enough time for a measurement pass, using single-pass normalization');
+  }
+
+  // loudnorm upsamples to 192kHz internally; bring it back to the source rate
+  const filter = `${buildLoudnormFilter(settings, measured)},aresample=${sampleRate || 48000}`;
+  return { mode, settings, filter, measured };
+}
+
+// Loudness report for the response: input from pass 1 when there was one, output from the encode
+function describeLoudness(plan, encodeStderr) {
+  const final = parseLoudnormOutput(encodeStderr || '');
+  const input = plan.measured || final;
+  const values = (stats, prefix) => stats ? {
+    integrated: parseFloat(stats[`${prefix}_i`]),
+    truePeak: parseFloat(stats[`${prefix}_tp`]),
+    lra: parseFloat(stats[`${prefix}_lra`]),
+    threshold: parseFloat(stats[`${prefix}_thresh`])
+  } : null;
+
+  return {
+    mode: plan.mode,
+    normalizationType: final?.normalization_type || null,
+    target: { integrated: plan.settings.target, truePeak: plan.settings.truePeak, lra: plan.settings.lra },
+    input: values(input, 'input'),
+    output: values(final, 'output')
+  };
+}
+
+module.exports = { DEFAULT_LOUDNESS, MEASURE_MS_PER_AUDIO_SECOND, parseNormalizeOption, buildLoudnormFilter, parseLoudnormOutput, planLoudnorm, describeLoudness };
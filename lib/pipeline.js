@@ -0,0 +1,683 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+const { ApiError, SourceFetchError, UnsupportedMediaError, TooLargeError, TimeoutError, ConversionError } = require('./errors');
+const { OUTPUT_FORMATS, parseBitrate } = require('./formats');
+const { probeAudioFile, verifyOutputFormat, outputPathFor, convertWithFFmpeg } = require('./ffmpeg');
+const { LEGACY_STRATEGIES, LEGACY_TARGET_BYTES, outputBytesPerSecond, planStrategies } = require('./strategies');
+const { validateEdits, buildEditArgs } = require('./edits');
+const { MEASURE_MS_PER_AUDIO_SECOND, planLoudnorm, describeLoudness } = require('./loudness');
+const { VOICE_MS_PER_AUDIO_SECOND, planVoiceCleanup, voiceFilterChain, describeVoice } = require('./voice');
+const { MAX_COVER_SIZE, assertCoverImage, buildTagPlan } = require('./tags');
+const { WAVEFORM_MS_PER_AUDIO_SECOND, samplesPerPixel, generateWaveform } = require('./waveform');
+const { splitOutput } = require('./split');
+const { httpAgent, httpsAgent, assertSafeSourceUrl, sniffAudioType, assertAudioFile } = require('./source-guard');
+const { STREAM_DEMUXERS, streamingEnabled, readSourceHead, feedSource } = require('./streaming');
+
+// Limits for the synchronous function (Netlify's 10s limit)
+const SYNC_LIMITS = {
+  maxProcessingTime: 9000, // Reduced to 9 seconds to stay under Netlify's 10s limit
+  requestTimeout: 4000,
+  downloadTimeout: 3000
+};
+
+// Limits for background functions, which may run for up to 15 minutes
+const ASYNC_LIMITS = {
+  maxProcessingTime: 14 * 60 * 1000,
+  requestTimeout: 30000,
+  downloadTimeout: 5 * 60 * 1000
+};
+
+const MAX_INPUT_SIZE = 20 * 1024 * 1024; // 20MB+ will almost certainly create output too large
+const MAX_REDIRECTS = 2;
+
+function inputTooLarge() {
+  return new TooLargeError("Input file too large (over 20MB). Please use a shorter recording or compress the file before conversion.");
+}
+
+function coverTooLarge() {
+  return new TooLargeError(`Cover image too large (over ${MAX_COVER_SIZE} bytes). Maximum is ${MAX_COVER_SIZE} bytes.`, 'cover_too_large');
+}
+
+// Sync outputs up to this size go back as binary; bigger ones as base64 inside JSON
+const SYNC_RESPONSE_LIMIT = 3 * 1024 * 1024; // 3MB to be very safe (accounting for base64 encoding overhead)
+// Largest output whose base64 still fits Netlify's 6MB response cap
+const MAX_SYNC_OUTPUT_SIZE = 4.5 * 1024 * 1024;
+
+// Rough costs for sync estimates: spawn/verify overhead, and the legacy cascade, costed at
+// MP3-like speed since long inputs move it from WAV on to the encoded strategies
+const CONVERSION_OVERHEAD_MS = 500;
+const LEGACY_ENCODE_MS_PER_SECOND = 25;
+
+// Temp file locations for one conversion
+function createTempPaths(options) {
+  const timestamp = Date.now();
+  const suffix = `${timestamp}_${Math.random().toString(36).substring(2, 8)}`;
+  return {
+    inPath: path.join(os.tmpdir(), `in_${suffix}.m4a`),
+    coverPath: path.join(os.tmpdir(), `cover_${suffix}`),
+    partsDir: path.join(os.tmpdir(), `parts_${suffix}`),
+    outPath: path.join(os.tmpdir(), `out_${suffix}${options.legacy ? '.mp3' : OUTPUT_FORMATS[options.format].extension}`)
+  };
+}
+
+// Typed error for a source request that failed: a blocked address found by the agents'
+// lookup, a timeout, an error status from the remote server or a network failure
+function sourceRequestError(err) {
+  if (err.cause instanceof ApiError) {
+    return err.cause;
+  }
+  if (err.response) {
+    return new SourceFetchError(`Source server answered ${err.response.status}`, 'source_fetch_failed', err.response.status);
+  }
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+    return new TimeoutError("Source server did not respond in time", 'download_timeout');
+  }
+  return new SourceFetchError(`Could not download the source (${err.code || err.message})`, err.code === 'ENOTFOUND' ? 'host_not_found' : 'source_fetch_failed');
+}
+
+// Request a source URL and return the axios response once its body is ready to stream
+async function requestSource(url, limits, logger) {
+  logger.log('Starting download for:', url);
+
+  // Redirects are followed by hand so every hop goes through the same URL checks
+  let currentUrl = url;
+  let resp;
+  for (let redirects = 0; ; redirects++) {
+    await assertSafeSourceUrl(currentUrl);
+
+    try {
+      resp = await axios.get(currentUrl, {
+        responseType: 'stream',
+        timeout: limits.requestTimeout,
+        maxContentLength: 25 * 1024 * 1024, // Keep 25MB but with faster processing
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        httpAgent,
+        httpsAgent,
+        headers: {
+          'User-Agent': 'Netlify-Audio-Converter/1.0'
+        }
+      });
+    } catch (err) {
+      throw sourceRequestError(err);
+    }
+
+    if (resp.status < 300) {
+      break;
+    }
+
+    resp.data.destroy();
+    if (!resp.headers.location) {
+      throw new SourceFetchError(`Source returned redirect ${resp.status} without a location`, 'source_fetch_failed', resp.status);
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new SourceFetchError(`Source URL redirected more than ${MAX_REDIRECTS} times`, 'too_many_redirects');
+    }
+
+    currentUrl = new URL(resp.headers.location, currentUrl).href;
+    logger.log(`Following redirect ${resp.status} to:`, currentUrl);
+  }
+
+  return resp;
+}
+
+// Write a response body to inPath, after `head` when part of it was already read. Bytes
+// are counted as they arrive: past maxBytes the save fails with tooLarge() rather than
+// filling the disk until the timeout. The response is destroyed whenever the save is
+// given up. Ends the download span once the file is complete.
+function saveSourceStream(stream, inPath, limits, span, { head = null, ended = false, maxBytes = MAX_INPUT_SIZE, tooLarge = inputTooLarge } = {}) {
+  return new Promise((resolve, reject) => {
+    const writeStream = fs.createWriteStream(inPath);
+    let bytes = head ? head.length : 0;
+    let settled = false;
+
+    const downloadTimeout = setTimeout(() => {
+      fail(new TimeoutError("Source download did not finish in time", 'download_timeout'));
+    }, limits.downloadTimeout);
+
+    function fail(err) {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(downloadTimeout);
+      stream.unpipe(writeStream);
+      stream.destroy();
+      writeStream.destroy();
+      reject(err);
+    }
+
+    writeStream.on('finish', () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(downloadTimeout);
+      span.end({ bytes });
+      resolve();
+    });
+    writeStream.on('error', fail);
+    stream.on('error', err => fail(sourceRequestError(err)));
+
+    if (bytes > maxBytes) {
+      fail(tooLarge());
+      return;
+    }
+    if (head) {
+      writeStream.write(head);
+    }
+    if (ended) {
+      writeStream.end();
+      return;
+    }
+    stream.on('data', (chunk) => {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        fail(tooLarge());
+      }
+    });
+    stream.pipe(writeStream);
+  });
+}
+
+// Download a URL to filePath, within the source size limit unless given another one
+async function downloadSource(url, filePath, limits, logger, { spanName = 'download', maxBytes = MAX_INPUT_SIZE, tooLarge = inputTooLarge } = {}) {
+  const span = logger.span(spanName);
+  const resp = await requestSource(url, limits, logger);
+  await saveSourceStream(resp.data, filePath, limits, span, { maxBytes, tooLarge });
+}
+
+// Whether a URL source can be piped into ffmpeg
+function canStreamSource(source) {
+  return Boolean(source.url) && streamingEnabled();
+}
+
+// Whether the conversion may read a streamed source again: the loudness measurement pass
+// reads it before the encode, and the waveform, the legacy cascade and fallback encodes after
+function needsSourceFile(options) {
+  return Boolean(options.waveform) || Boolean(options.normalize) || options.legacy || options.fallbackPolicy === 'allow';
+}
+
+// Start a URL source and decide from its first bytes whether ffmpeg can read it as a
+// stream. Returns { pipeInput, metadata, inputStats, abort } for streaming, or { saved: true }
+// once the source has been written to inPath instead - for MP4s with the moov atom at the
+// end, sources without a Content-Length, and heads ffprobe can't get a duration from.
+// With keepFile the streamed source is also written to inPath for later passes.
+// needsExactDuration rules out durations estimated from the bitrate.
+async function openStreamedSource({ url, inPath, ffprobePath, limits, startTime, keepFile, needsExactDuration, logger }) {
+  const download = logger.span('download');
+  const resp = await requestSource(url, limits, logger);
+  const abortController = new AbortController();
+
+  try {
+    const { head, ended, type, streamable, reason } = await readSourceHead(resp.data, sniffAudioType, limits.downloadTimeout);
+    if (ended && head.length === 0) {
+      throw new UnsupportedMediaError("Source file is empty", 'empty_source');
+    }
+    if (!type) {
+      logger.error('Source failed audio sniffing, leading bytes:', head.slice(0, 16).toString('hex'));
+      throw new UnsupportedMediaError("Source is not a recognised audio file");
+    }
+
+    const size = ended ? head.length : parseInt(resp.headers['content-length'], 10) || null;
+    if (size > MAX_INPUT_SIZE) {
+      throw inputTooLarge();
+    }
+
+    let fallbackReason = streamable ? (size ? null : 'source has no Content-Length') : reason;
+    let metadata = null;
+    if (!fallbackReason) {
+      try {
+        metadata = await probeAudioFile(ffprobePath, null, logger, { data: head, demuxer: STREAM_DEMUXERS[type] });
+        fallbackReason = estimateStreamDuration(metadata, type, size, needsExactDuration) ? null : 'duration is unknown from the first bytes';
+      } catch (err) {
+        fallbackReason = 'the first bytes could not be probed';
+      }
+    }
+
+    if (fallbackReason) {
+      logger.log(`Saving source to a temp file, it can't be streamed: ${fallbackReason}`);
+      await saveSourceStream(resp.data, inPath, limits, download, { head, ended });
+      return { saved: true };
+    }
+
+    logger.log(`Streaming ${type} source into ffmpeg, ${size} bytes`);
+    let fed = null;
+    return {
+      metadata,
+      inputStats: { size },
+      pipeInput: {
+        demuxer: STREAM_DEMUXERS[type],
+        feed: (stdin) => {
+          fed = feedSource({
+            stream: resp.data,
+            head,
+            ended,
+            stdin,
+            keepPath: keepFile ? inPath : null,
+            maxBytes: MAX_INPUT_SIZE,
+            timeoutMs: Math.max(1000, limits.maxProcessingTime - (Date.now() - startTime)),
+            signal: abortController.signal
+          });
+          fed.then(({ bytes }) => download.end({ bytes, streamed: true }), () => {});
+          return fed;
+        },
+        // Resolves once the copy at inPath is complete
+        fileReady: () => (keepFile && fed ? fed : Promise.reject(new Error("Streamed source was not kept for another pass"))),
+        // Whether the stream has been handed to a process already
+        consumed: () => fed !== null
+      },
+      // Stops a download that is still running once the conversion is over
+      abort: () => {
+        abortController.abort();
+        if (!fed) {
+          resp.data.destroy();
+        }
+      }
+    };
+  } catch (err) {
+    resp.data.destroy();
+    throw err;
+  }
+}
+
+// Make sure a probe of a stream head carries a duration. ffprobe can't tell how long a
+// pipe is, so PCM gets an exact one from the Content-Length and bitrate. MP3 and ADTS AAC
+// get an estimate (VBR files are off by a few percent), but not when trims or fades need
+// the real length. Anything else (Ogg, WebM, ...) has to be saved and probed as a file.
+function estimateStreamDuration(metadata, type, size, needsExactDuration) {
+  if (parseFloat(metadata.format?.duration) > 0) {
+    return true;
+  }
+
+  const audioStream = metadata.streams?.find(stream => stream.codec_type === 'audio');
+  const bitrate = parseInt(audioStream?.bit_rate, 10);
+  const exact = audioStream?.codec_name?.startsWith('pcm_');
+  if (!(bitrate > 0) || !(exact || (['mp3', 'aac'].includes(type) && !needsExactDuration))) {
+    return false;
+  }
+  metadata.format = { ...metadata.format, duration: ((size * 8) / bitrate).toFixed(6) };
+  return true;
+}
+
+// Put the source audio at inPath. A source is { url }, { data: Buffer } (an upload,
+// direct or read back from the job store) or { filePath } (a local file, from the CLI).
+async function acquireSource(source, inPath, limits, logger) {
+  if (source.data) {
+    logger.log(`Using uploaded file, size: ${source.data.length} bytes`);
+    fs.writeFileSync(inPath, source.data);
+  } else if (source.filePath) {
+    logger.log('Using local file:', source.filePath);
+    fs.copyFileSync(source.filePath, inPath);
+  } else {
+    await downloadSource(source.url, inPath, limits, logger);
+  }
+}
+
+// Put the source at inPath and check it's a non-empty audio file within the size limit.
+// Returns { inputStats, detectedType }.
+async function acquireInput(source, inPath, limits, logger) {
+  await acquireSource(source, inPath, limits, logger);
+  return checkInputFile(inPath, logger);
+}
+
+// Check the source at inPath is a non-empty audio file within the size limit
+function checkInputFile(inPath, logger) {
+  // Verify input file
+  const inputStats = fs.statSync(inPath);
+  if (inputStats.size === 0) {
+    throw new UnsupportedMediaError("Source file is empty", 'empty_source');
+  }
+
+  // Check if downloaded file is too large for any reasonable conversion
+  if (inputStats.size > MAX_INPUT_SIZE) {
+    throw inputTooLarge();
+  }
+
+  // Reject non-audio payloads before ffprobe ever sees them
+  const detectedType = assertAudioFile(inPath, logger);
+
+  return { inputStats, detectedType };
+}
+
+// Fetch, probe, convert and verify one source. Temp files are left for cleanupTempFiles().
+// onInput({ bytes, durationSeconds }) runs once the input is probed, before encoding - it may throw to stop.
+// URL sources are piped into ffmpeg while they download. With uploadOutput(format, stream),
+// an output that can be written front to back goes straight into it while it encodes (see
+// convertWithFFmpeg), and `stored` is what it resolved; otherwise `stored` is null.
+async function runConversion(params) {
+  const { source, options, paths, ffprobePath, logger, startTime, limits } = params;
+  const streamed = canStreamSource(source)
+    ? await openStreamedSource({
+      url: source.url,
+      inPath: paths.inPath,
+      ffprobePath,
+      limits,
+      startTime,
+      keepFile: needsSourceFile(options),
+      needsExactDuration: Boolean(options.edits),
+      logger
+    })
+    : null;
+
+  try {
+    return await convertSource({ ...params, streamed });
+  } finally {
+    if (streamed?.abort) {
+      streamed.abort();
+    }
+  }
+}
+
+async function convertSource({ source, options, paths, ffmpegPath, ffprobePath, encoderInfo, logger, startTime, limits, onProgress = null, onInput = null, uploadOutput = null, streamed }) {
+  const { inPath, outPath } = paths;
+  const pipeInput = streamed?.pipeInput || null;
+
+  let inputStats;
+  if (pipeInput) {
+    inputStats = streamed.inputStats;
+  } else {
+    if (!streamed?.saved) {
+      await acquireSource(source, inPath, limits, logger);
+    }
+    ({ inputStats } = checkInputFile(inPath, logger));
+  }
+
+  // Probe the audio file to validate format and get metadata (a streamed source was
+  // probed from its first bytes)
+  let metadata = pipeInput ? streamed.metadata : null;
+  if (!pipeInput) {
+    try {
+      metadata = await probeAudioFile(ffprobePath, inPath, logger);
+    } catch (probeErr) {
+      logger.warn('Audio probe failed, proceeding with conversion:', probeErr.message);
+      // Continue with conversion even if probe fails
+    }
+  }
+
+  // Trim/fade options have to fit inside the source, and the waveform within its point limit
+  const sourceDuration = parseFloat(metadata?.format?.duration) || null;
+  const audioStream = metadata?.streams?.find(stream => stream.codec_type === 'audio');
+  const sourceSampleRate = parseInt(audioStream?.sample_rate, 10) || null;
+  validateEdits(options.edits, sourceDuration);
+  const editArgs = buildEditArgs(options.edits, sourceDuration, { lengthChanges: Boolean(options.voice?.compactSilence) });
+  if (options.waveform) {
+    samplesPerPixel(options.waveform, sourceSampleRate || 44100, editArgs.expectedDuration);
+  }
+
+  if (onInput) {
+    await onInput({ bytes: inputStats.size, durationSeconds: sourceDuration });
+  }
+
+  // Artwork from coverUrl replaces whatever picture the source has
+  let coverPath = null;
+  if (options.tags?.coverUrl) {
+    try {
+      await downloadSource(options.tags.coverUrl, paths.coverPath, limits, logger, { spanName: 'cover-download', maxBytes: MAX_COVER_SIZE, tooLarge: coverTooLarge });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        err.message = `Could not download cover image: ${err.message}`;
+      }
+      throw err;
+    }
+    assertCoverImage(paths.coverPath, logger);
+    coverPath = paths.coverPath;
+  }
+  const tagPlan = buildTagPlan(metadata, options.tags, coverPath);
+  logger.debug('Output tags:', { tags: tagPlan.tags, cover: tagPlan.cover ? (coverPath ? 'coverUrl' : 'source') : null });
+
+  // Check remaining time - need at least 2 seconds for conversion
+  const timeElapsed = Date.now() - startTime;
+  const remainingTime = limits.maxProcessingTime - timeElapsed;
+
+  if (remainingTime < 2000) {
+    throw new TimeoutError("Insufficient time remaining for conversion. Try a shorter recording or use async mode (?async=1).", 'time_budget_exhausted');
+  }
+
+  // Voice cleanup runs before normalization, so loudness is measured on the cleaned audio
+  const voicePlan = options.voice ? planVoiceCleanup(options.voice, encoderInfo?.filters || [], sourceSampleRate) : null;
+  const cleanedEditArgs = voicePlan ? { ...editArgs, filters: [...editArgs.filters, ...voicePlan.filters] } : editArgs;
+
+  // Loudness normalization: measure first if there's time, so the encode can be linear.
+  // A streamed source goes to the measurement pass, and the encode reads the copy on disk.
+  let loudnessPlan = null;
+  let encodeInput = pipeInput;
+  if (options.normalize) {
+    loudnessPlan = await planLoudnorm({
+      ffmpegPath,
+      inputPath: inPath,
+      pipeInput,
+      editArgs: cleanedEditArgs,
+      settings: options.normalize,
+      sampleRate: sourceSampleRate,
+      remainingTime,
+      logger
+    });
+    if (pipeInput?.consumed()) {
+      await pipeInput.fileReady();
+      encodeInput = null;
+    }
+  }
+  // Split parts are cut from the output file, so a split output isn't uploaded whole
+  const convertOptions = {
+    ...options,
+    tagPlan,
+    voiceFilters: voicePlan ? voiceFilterChain(voicePlan) : [],
+    loudnormFilter: loudnessPlan ? loudnessPlan.filter : null,
+    pipeInput: encodeInput,
+    uploadOutput: options.split ? null : uploadOutput
+  };
+
+  const conversionTime = limits.maxProcessingTime - (Date.now() - startTime);
+  logger.log(`Starting conversion with ${conversionTime}ms remaining...`);
+
+  // Convert the file with remaining time and metadata (save 500ms for cleanup)
+  const encode = logger.span('encode');
+  let result;
+  try {
+    result = await convertWithFFmpeg(ffmpegPath, inPath, outPath, conversionTime - 500, metadata, logger, encoderInfo, convertOptions, onProgress);
+  } catch (err) {
+    encode.end({ failed: true });
+    throw err;
+  }
+  encode.end({ strategy: result.strategy, format: result.format });
+
+  // Verify output exists under the path of the strategy that produced it
+  const finalOutputPath = result.outputPath;
+  if (!fs.existsSync(finalOutputPath)) {
+    throw new ConversionError("Conversion did not create any output file");
+  }
+
+  const outputStats = fs.statSync(finalOutputPath);
+  if (outputStats.size === 0) {
+    throw new ConversionError("Conversion created empty output file");
+  }
+  // The bitrate was chosen to fit, but an unknown duration or encoder overshoot can still miss
+  if (options.maxOutputBytes && outputStats.size > options.maxOutputBytes) {
+    throw new TooLargeError(`Output is ${outputStats.size} bytes, over maxOutputBytes ${options.maxOutputBytes}`, 'output_too_large');
+  }
+
+  // Check what was really produced rather than trusting the strategy
+  const outputInfo = await verifyOutputFormat(ffprobePath, finalOutputPath, result.format, logger);
+  const fallbackUsed = !options.legacy && result.format !== options.format;
+  if (fallbackUsed) {
+    logger.log(`Requested ${options.format} could not be produced, fell back to ${result.format}`);
+  }
+
+  // Peaks come from the same edited/cleaned/normalized audio, so they line up with the output
+  let waveform = null;
+  if (options.waveform) {
+    if (pipeInput) {
+      await pipeInput.fileReady();
+    }
+    waveform = await generateWaveform({
+      ffmpegPath,
+      inputPath: inPath,
+      editArgs: cleanedEditArgs,
+      extraFilters: convertOptions.loudnormFilter ? [convertOptions.loudnormFilter] : [],
+      sampleRate: sourceSampleRate,
+      settings: options.waveform,
+      timeoutMs: Math.max(1000, limits.maxProcessingTime - (Date.now() - startTime) - 200),
+      logger
+    });
+  }
+
+  // Parts are cut from the finished output, so they carry the same tags and edits
+  let split = null;
+  if (options.split) {
+    split = await splitOutput({
+      ffmpegPath,
+      inputPath: finalOutputPath,
+      formatName: result.format,
+      format: OUTPUT_FORMATS[result.format],
+      split: options.split,
+      durationSeconds: outputInfo.duration,
+      workDir: paths.partsDir,
+      timeoutMs: Math.max(1000, limits.maxProcessingTime - (Date.now() - startTime) - 200),
+      logger
+    });
+  }
+
+  return {
+    outputPath: finalOutputPath,
+    outputStats,
+    outputInfo,
+    fallbackUsed,
+    strategy: result.strategy,
+    format: result.format,
+    // Content type follows the format that was actually produced
+    contentType: OUTPUT_FORMATS[result.format].contentType,
+    extension: OUTPUT_FORMATS[result.format].extension,
+    loudness: loudnessPlan ? describeLoudness(loudnessPlan, result.stderr) : null,
+    voice: voicePlan ? describeVoice(voicePlan, result.stderr) : null,
+    waveform,
+    split,
+    stored: result.uploaded,
+    metadata
+  };
+}
+
+// Expected size of the converted output, in bytes. A size target caps it: the bitrate is
+// lowered to fit, or the conversion fails.
+function estimateOutputBytes(options, durationSeconds, audioStream) {
+  if (options.legacy) {
+    // Size of the cascade's first choice (iOS inputs may get the smaller AAC instead)
+    const { strategies } = planStrategies(LEGACY_STRATEGIES, {
+      encoderInfo: null,
+      durationSeconds,
+      maxOutputBytes: options.maxOutputBytes || LEGACY_TARGET_BYTES,
+      softTarget: true
+    });
+    return strategies[0].estimatedBytes;
+  }
+
+  const format = OUTPUT_FORMATS[options.format];
+  const source = { sampleRate: parseInt(audioStream?.sample_rate, 10) || null, channels: audioStream?.channels || null };
+  const declaration = { format: options.format, sampleRate: options.sampleRate, channels: options.channels };
+  const bytes = durationSeconds * outputBytesPerSecond(declaration, format.bitrateRange ? parseBitrate(options.bitrate) : null, source);
+  return options.maxOutputBytes ? Math.min(bytes, options.maxOutputBytes) : bytes;
+}
+
+// Whether a probed input could be converted with the given options inside the sync
+// limits. elapsedMs is the time already spent getting the input (download included).
+function estimateSyncConversion({ metadata, options, elapsedMs }) {
+  const audioStream = metadata.streams?.find(stream => stream.codec_type === 'audio');
+  const durationSeconds = buildEditArgs(options.edits, parseFloat(metadata.format?.duration) || null).expectedDuration;
+  const limits = {
+    maxProcessingMs: SYNC_LIMITS.maxProcessingTime,
+    maxInputBytes: MAX_INPUT_SIZE,
+    maxOutputBytes: MAX_SYNC_OUTPUT_SIZE
+  };
+
+  if (!durationSeconds) {
+    return {
+      feasible: null,
+      recommendedMode: 'async',
+      estimatedProcessingMs: null,
+      estimatedOutputBytes: null,
+      responseType: null,
+      reasons: ['Duration is unknown, so processing time cannot be estimated'],
+      limits
+    };
+  }
+
+  const encodeMsPerSecond = options.legacy ? LEGACY_ENCODE_MS_PER_SECOND : OUTPUT_FORMATS[options.format].encodeMsPerSecond;
+  let estimatedProcessingMs = elapsedMs + CONVERSION_OVERHEAD_MS + durationSeconds * encodeMsPerSecond;
+  if (options.normalize) {
+    // Worst case: a measurement pass plus loudnorm during the encode
+    estimatedProcessingMs += 2 * durationSeconds * MEASURE_MS_PER_AUDIO_SECOND;
+  }
+  if (options.voice) {
+    // Cleanup filters run in the encode, and again in the loudness measurement and waveform passes
+    const passes = 1 + (options.normalize ? 1 : 0) + (options.waveform ? 1 : 0);
+    estimatedProcessingMs += passes * durationSeconds * VOICE_MS_PER_AUDIO_SECOND;
+  }
+  if (options.waveform) {
+    estimatedProcessingMs += durationSeconds * WAVEFORM_MS_PER_AUDIO_SECOND;
+  }
+  estimatedProcessingMs = Math.round(estimatedProcessingMs);
+  const estimatedOutputBytes = Math.round(estimateOutputBytes(options, durationSeconds, audioStream));
+
+  const reasons = [];
+  if (estimatedProcessingMs > limits.maxProcessingMs) {
+    reasons.push(`Estimated processing time ${estimatedProcessingMs}ms exceeds the ${limits.maxProcessingMs}ms sync limit`);
+  }
+  // Split outputs are answered with a manifest, so only unsplit outputs have to fit the response
+  if (!options.split && estimatedOutputBytes > limits.maxOutputBytes) {
+    reasons.push(`Estimated output size ${estimatedOutputBytes} bytes exceeds the ${limits.maxOutputBytes} byte sync response limit`);
+  }
+
+  return {
+    feasible: reasons.length === 0,
+    recommendedMode: reasons.length === 0 ? 'sync' : 'async',
+    estimatedProcessingMs,
+    estimatedOutputBytes,
+    responseType: options.split || options.waveform || estimatedOutputBytes > SYNC_RESPONSE_LIMIT ? 'json' : 'binary',
+    reasons,
+    limits
+  };
+}
+
+// Remove the input, every possible output file and any split parts for a conversion
+function cleanupTempFiles(paths) {
+  if (!paths) {
+    return;
+  }
+
+  const cleanupFiles = [
+    paths.inPath,
+    paths.coverPath,
+    ...(paths.outPath ? Object.keys(OUTPUT_FORMATS).map(formatName => outputPathFor(paths.outPath, formatName)) : [])
+  ].filter(Boolean);
+
+  for (const filePath of cleanupFiles) {
+    try {
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (e) {
+      // Silent cleanup failure
+    }
+  }
+
+  if (paths.partsDir) {
+    fs.rmSync(paths.partsDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  SYNC_LIMITS,
+  ASYNC_LIMITS,
+  MAX_INPUT_SIZE,
+  SYNC_RESPONSE_LIMIT,
+  MAX_SYNC_OUTPUT_SIZE,
+  createTempPaths,
+  downloadSource,
+  acquireSource,
+  acquireInput,
+  runConversion,
+  estimateSyncConversion,
+  cleanupTempFiles
+};
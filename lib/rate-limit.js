@@ -0,0 +1,126 @@
+const { RateLimitError } = require('./errors');
+const { createCounterStore } = require('./counter-store');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function envLimit(name) {
+  const value = process.env[name];
+  return value ? Number(value) : null;
+}
+
+// A key's own limits from API_KEYS, falling back to the env defaults. null means unlimited.
+function resolveLimits(apiKey) {
+  const own = apiKey.limits || {};
+  return {
+    requestsPerMinute: own.requestsPerMinute ?? envLimit('RATE_LIMIT_REQUESTS_PER_MINUTE'),
+    inputBytesPerDay: own.inputBytesPerDay ?? envLimit('QUOTA_INPUT_BYTES_PER_DAY'),
+    audioMinutesPerDay: own.audioMinutesPerDay ?? envLimit('QUOTA_AUDIO_MINUTES_PER_DAY')
+  };
+}
+
+function rateLimitHeaders(limit, used, resetAt) {
+  return {
+    "X-RateLimit-Limit": String(limit),
+    "X-RateLimit-Remaining": String(Math.max(0, Math.floor(limit - used))),
+    "X-RateLimit-Reset": String(Math.ceil(resetAt / 1000))
+  };
+}
+
+// Quotas get their own header names, so a quota 429 doesn't pass its numbers off as the
+// per-minute limit. The unit is "bytes" or "seconds".
+function quotaHeaders(quota, used, resetAt) {
+  return {
+    "X-Quota-Name": quota.name,
+    "X-Quota-Limit": String(quota.limit),
+    "X-Quota-Remaining": String(Math.max(0, Math.floor(quota.limit - used))),
+    "X-Quota-Reset": String(Math.ceil(resetAt / 1000)),
+    "X-Quota-Unit": quota.unit
+  };
+}
+
+function retryAfter(resetAt) {
+  return { "Retry-After": String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))) };
+}
+
+function rateLimitExceeded(message, limit, used, resetAt) {
+  return new RateLimitError(message, { ...rateLimitHeaders(limit, used, resetAt), ...retryAfter(resetAt) }, 'rate_limited');
+}
+
+function quotaExceeded(message, quota, used, resetAt) {
+  return new RateLimitError(message, { ...quotaHeaders(quota, used, resetAt), ...retryAfter(resetAt) }, 'quota_exceeded');
+}
+
+// Tracks one key's request rate and daily usage against its limits
+class UsageMeter {
+  constructor(apiKey, store = null) {
+    this.keyName = apiKey.name;
+    this.limits = resolveLimits(apiKey);
+    this.store = store;
+    this.rateHeaders = {};
+  }
+
+  // Opened on first use, so keys without limits never need a counter store
+  counters() {
+    this.store = this.store || createCounterStore();
+    return this.store;
+  }
+
+  // Count this request against requests-per-minute
+  async checkRequest() {
+    const { requestsPerMinute } = this.limits;
+    if (!requestsPerMinute) {
+      return;
+    }
+
+    const { count, resetAt } = await this.counters().increment(`${this.keyName}:requests`, 1, MINUTE);
+    this.rateHeaders = rateLimitHeaders(requestsPerMinute, count, resetAt);
+
+    if (count > requestsPerMinute) {
+      throw rateLimitExceeded(`Rate limit exceeded for key "${this.keyName}": ${requestsPerMinute} requests per minute`, requestsPerMinute, count, resetAt);
+    }
+  }
+
+  // Fail early when a daily quota is already used up, before downloading anything
+  async assertQuotaAvailable() {
+    for (const quota of this.quotas()) {
+      const { count, resetAt } = await this.counters().peek(quota.counter, DAY);
+      if (count >= quota.limit) {
+        throw quotaExceeded(`Daily ${quota.label} quota used up for key "${this.keyName}"`, quota, count, resetAt);
+      }
+    }
+  }
+
+  // Charge an input (size in bytes, duration from ffprobe if known) against the daily quotas.
+  // Nothing is charged when it would go over a quota.
+  async chargeInput({ bytes, durationSeconds }) {
+    const amounts = { bytes, seconds: durationSeconds ? Math.ceil(durationSeconds) : 0 };
+    const quotas = this.quotas().filter(quota => amounts[quota.unit] > 0);
+
+    for (const quota of quotas) {
+      const { count, resetAt } = await this.counters().peek(quota.counter, DAY);
+      if (count + amounts[quota.unit] > quota.limit) {
+        throw quotaExceeded(`Daily ${quota.label} quota exceeded for key "${this.keyName}"`, quota, count, resetAt);
+      }
+    }
+
+    for (const quota of quotas) {
+      await this.counters().increment(quota.counter, amounts[quota.unit], DAY);
+    }
+  }
+
+  quotas() {
+    const { inputBytesPerDay, audioMinutesPerDay } = this.limits;
+    return [
+      inputBytesPerDay && { name: 'input-bytes', counter: `${this.keyName}:input-bytes`, limit: inputBytesPerDay, unit: 'bytes', label: 'input bytes' },
+      audioMinutesPerDay && { name: 'audio-seconds', counter: `${this.keyName}:audio-seconds`, limit: audioMinutesPerDay * 60, unit: 'seconds', label: 'audio minutes' }
+    ].filter(Boolean);
+  }
+
+  // X-RateLimit-* headers for the requests-per-minute limit, once checkRequest() has run
+  headers() {
+    return this.rateHeaders;
+  }
+}
+
+module.exports = { resolveLimits, UsageMeter };
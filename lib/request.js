@@ -0,0 +1,156 @@
+const { ValidationError, TooLargeError } = require('./errors');
+const { MAX_INPUT_SIZE } = require('./pipeline');
+
+// Case-insensitive header lookup (Netlify lowercases names, local tools may not)
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+// Whether the caller asked for job mode (?async=1)
+function isAsyncRequest(event) {
+  const value = event.queryStringParameters?.async;
+  return value === '1' || value === 'true';
+}
+
+// Whether log lines go back with the response: always for keys with the "debug" scope.
+// ?debug=1 or an X-Debug: 1 header only count where ALLOW_DEBUG_REQUESTS=true (local
+// development), since the lines carry paths, filter chains and raw errors.
+function wantsDebug(event, apiKey) {
+  if (apiKey?.scopes.includes('debug')) {
+    return true;
+  }
+  if (process.env.ALLOW_DEBUG_REQUESTS !== 'true') {
+    return false;
+  }
+  const value = event.queryStringParameters?.debug || getHeader(event, 'x-debug');
+  return value === '1' || value === 'true';
+}
+
+// Decode the event body into bytes, honouring Netlify's base64 encoding of binary bodies
+function getBodyBuffer(event) {
+  if (!event.body) {
+    return Buffer.alloc(0);
+  }
+  return Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8');
+}
+
+function assertUploadSize(buffer) {
+  if (buffer.length === 0) {
+    throw new ValidationError("Uploaded file is empty");
+  }
+  if (buffer.length > MAX_INPUT_SIZE) {
+    throw new TooLargeError("Input file too large (over 20MB). Please use a shorter recording or compress the file before conversion.");
+  }
+}
+
+// Parse `form-data; name="file"; filename="memo.m4a"` style part headers
+function parsePartHeaders(headerText) {
+  const headers = {};
+  for (const line of headerText.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+    }
+  }
+
+  const disposition = headers['content-disposition'] || '';
+  const nameMatch = /\bname="([^"]*)"/i.exec(disposition);
+  const filenameMatch = /\bfilename="([^"]*)"/i.exec(disposition);
+
+  return {
+    name: nameMatch ? nameMatch[1] : null,
+    filename: filenameMatch ? filenameMatch[1] : null,
+    contentType: headers['content-type'] || null
+  };
+}
+
+// Minimal multipart/form-data parser - enough for one file plus plain text fields
+function parseMultipart(buffer, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let position = buffer.indexOf(delimiter);
+
+  while (position !== -1) {
+    position += delimiter.length;
+
+    // "--" right after the delimiter marks the end of the body
+    if (buffer.slice(position, position + 2).toString() === '--') {
+      break;
+    }
+    position += 2; // CRLF after the delimiter
+
+    const headerEnd = buffer.indexOf('\r\n\r\n', position);
+    if (headerEnd === -1) {
+      break;
+    }
+
+    const next = buffer.indexOf(delimiter, headerEnd + 4);
+    if (next === -1) {
+      throw new ValidationError("Malformed multipart body: missing closing boundary");
+    }
+
+    parts.push({
+      ...parsePartHeaders(buffer.slice(position, headerEnd).toString('utf8')),
+      content: buffer.slice(headerEnd + 4, next - 2) // Drop the CRLF that precedes the delimiter
+    });
+    position = next;
+  }
+
+  return parts;
+}
+
+// Work out where the audio comes from and which options apply:
+//   application/json        -> { url, ...options } as before
+//   audio/* or octet-stream -> raw bytes, options from the query string
+//   multipart/form-data     -> a file field plus option fields
+// Returns { fields, upload } where upload is a Buffer or null.
+function parseRequestInput(event) {
+  const contentType = (getHeader(event, 'content-type') || '').toLowerCase();
+  const query = event.queryStringParameters || {};
+
+  if (contentType.startsWith('audio/') || contentType.startsWith('application/octet-stream')) {
+    const upload = getBodyBuffer(event);
+    assertUploadSize(upload);
+    return { fields: { ...query }, upload };
+  }
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(getHeader(event, 'content-type'));
+    if (!boundaryMatch) {
+      throw new ValidationError("Multipart request is missing its boundary");
+    }
+
+    const parts = parseMultipart(getBodyBuffer(event), (boundaryMatch[1] || boundaryMatch[2]).trim());
+    const filePart = parts.find(part => part.filename !== null) || parts.find(part => part.name === 'file');
+    const fields = { ...query };
+
+    for (const part of parts) {
+      if (part !== filePart && part.name) {
+        fields[part.name] = part.content.toString('utf8');
+      }
+    }
+
+    if (!filePart) {
+      // A multipart form may still point at a URL instead of carrying the file
+      return { fields, upload: null };
+    }
+
+    assertUploadSize(filePart.content);
+    return { fields, upload: filePart.content };
+  }
+
+  let fields;
+  try {
+    fields = JSON.parse(getBodyBuffer(event).toString('utf8') || '{}');
+  } catch (err) {
+    throw new ValidationError(`Request body is not valid JSON (${err.message})`);
+  }
+  if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+    throw new ValidationError("Request body must be a JSON object");
+  }
+  return { fields, upload: null };
+}
+
+module.exports = { getHeader, isAsyncRequest, wantsDebug, parseMultipart, parseRequestInput };
@@ -0,0 +1,411 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+
+// Storage for finished outputs handed out through signed /download URLs. Every store
+// implements the same async interface:
+//   put(key, filePath, { contentType })            -> { key, size }
+//   putStream(key, stream, { contentType })        -> { key, size }, once the stream has ended
+//   write(key, buffer, { contentType })            -> { key, size }
+//   read(key)                                      -> Buffer, or null if missing
+//   download(key, { fileName, expiresInSeconds })  -> { body: Buffer, contentType }
+//                                                     or { redirectUrl }, or null if missing
+//
+// Files and streams are uploaded as they are read, in parts of PART_SIZE, so an output
+// never has to fit in memory. A stream that fails leaves nothing under the key.
+//
+// The S3 store also has readVersioned() and writeIf() for compare-and-swap updates, which
+// the shared counter store relies on.
+//
+// Keys look like "2026-05-01/<uuid>.mp3". Neither store deletes old results: clear the
+// local directory with a cron job, or give the bucket a lifecycle rule.
+
+// S3's smallest part for a multipart upload (all but the last part)
+const PART_SIZE = 5 * 1024 * 1024;
+
+// Netlify runs functions on AWS Lambda, where every instance has its own /tmp. Files
+// written there by one request are gone for the next, so the local stores are refused.
+function runningOnLambda() {
+  return Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME);
+}
+
+// Safe object keys: path segments of letters, digits, dots, dashes and underscores
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !/^[A-Za-z0-9_-][A-Za-z0-9._-]*(\/[A-Za-z0-9_-][A-Za-z0-9._-]*)*$/.test(key)) {
+    throw new Error(`Malformed result key: ${key}`);
+  }
+}
+
+// New key for a result with the given extension, grouped by day
+function createResultKey(extension) {
+  return `${new Date().toISOString().substring(0, 10)}/${crypto.randomUUID()}${extension}`;
+}
+
+// Results on the local filesystem, with the content type in a .meta.json file alongside.
+// For the dev server, the CLI and single-host deployments: /download serves the file
+// itself, so it is only as large as a function response allows.
+class LocalResultStorage {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    fs.mkdirSync(this.baseDir, { recursive: true });
+  }
+
+  filePath(key) {
+    assertValidKey(key);
+    return path.join(this.baseDir, ...key.split('/'));
+  }
+
+  async put(key, filePath, { contentType }) {
+    const target = this.filePath(key);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(filePath, target);
+    fs.writeFileSync(`${target}.meta.json`, JSON.stringify({ contentType }));
+    return { key, size: fs.statSync(target).size };
+  }
+
+  async putStream(key, stream, { contentType }) {
+    const target = this.filePath(key);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(target));
+    } catch (err) {
+      fs.rmSync(target, { force: true });
+      throw err;
+    }
+    fs.writeFileSync(`${target}.meta.json`, JSON.stringify({ contentType }));
+    return { key, size: fs.statSync(target).size };
+  }
+
+  async write(key, buffer, { contentType }) {
+    const target = this.filePath(key);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, buffer);
+    fs.writeFileSync(`${target}.meta.json`, JSON.stringify({ contentType }));
+    return { key, size: buffer.length };
+  }
+
+  async read(key) {
+    const target = this.filePath(key);
+    return fs.existsSync(target) ? fs.readFileSync(target) : null;
+  }
+
+  async download(key) {
+    const target = this.filePath(key);
+    if (!fs.existsSync(target)) {
+      return null;
+    }
+    const { contentType } = JSON.parse(fs.readFileSync(`${target}.meta.json`, 'utf8'));
+    return { body: fs.readFileSync(target), contentType };
+  }
+}
+
+// RFC 3986 encoding as AWS Signature Version 4 expects it
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// "20130524T000000Z" and "20130524" for a Date
+function amzDates(now) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  return { amzDate, dateStamp: amzDate.substring(0, 8) };
+}
+
+// Any S3-compatible object store (AWS S3, MinIO, R2, ...), signed with AWS Signature
+// Version 4. Uses path-style URLs (endpoint/bucket/key) unless pathStyle is false.
+class S3ResultStorage {
+  constructor({ endpoint, bucket, region, accessKeyId, secretAccessKey, pathStyle = true }) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error("Server configuration error: S3 result storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+    }
+    this.endpoint = new URL(endpoint);
+    this.bucket = bucket;
+    this.region = region || 'us-east-1';
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.pathStyle = pathStyle;
+  }
+
+  objectUrl(key) {
+    assertValidKey(key);
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const url = new URL(this.endpoint.href);
+    if (this.pathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodeRfc3986(this.bucket)}/${encodedKey}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodedKey}`;
+    }
+    return url;
+  }
+
+  // Signature for a canonical request; query values must already be RFC 3986 encoded
+  signature({ method, url, query, headers, payloadHash, amzDate, dateStamp }) {
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+    const canonicalQuery = Object.keys(query).sort().map(name => `${encodeRfc3986(name)}=${query[name]}`).join('&');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region));
+
+    return {
+      scope,
+      signedHeaders: headerNames.join(';'),
+      signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+    };
+  }
+
+  // Authorization header for a request signed at `now`; query values must already be
+  // RFC 3986 encoded, as for signature()
+  authorize({ method, url, query = {}, headers, payloadHash, now = new Date() }) {
+    const { amzDate, dateStamp } = amzDates(now);
+    const signedHeaders = { ...headers, host: url.host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+    const { scope, signature, signedHeaders: headerList } = this.signature({ method, url, query, headers: signedHeaders, payloadHash, amzDate, dateStamp });
+
+    return {
+      ...signedHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${headerList}, Signature=${signature}`
+    };
+  }
+
+  // Presigned GET URL; `params` are extra query parameters such as response-content-disposition
+  presign(key, { expiresInSeconds, params = {}, now = new Date() }) {
+    const url = this.objectUrl(key);
+    const { amzDate, dateStamp } = amzDates(now);
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': encodeRfc3986(`${this.accessKeyId}/${dateStamp}/${this.region}/s3/aws4_request`),
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresInSeconds),
+      'X-Amz-SignedHeaders': 'host',
+      ...Object.fromEntries(Object.entries(params).map(([name, value]) => [name, encodeRfc3986(value)]))
+    };
+
+    const { signature } = this.signature({ method: 'GET', url, query, headers: { host: url.host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate, dateStamp });
+    const queryString = Object.keys(query).sort().map(name => `${encodeRfc3986(name)}=${query[name]}`).join('&');
+    return `${url.origin}${url.pathname}?${queryString}&X-Amz-Signature=${signature}`;
+  }
+
+  async put(key, filePath, { contentType }) {
+    return this.putStream(key, fs.createReadStream(filePath), { contentType });
+  }
+
+  // Up to PART_SIZE is buffered while the last part uploads; the stream is not read
+  // meanwhile, so a fast writer is held back to the upload speed. Anything that fits in
+  // one part is a plain PUT. A multipart upload that fails is aborted, so S3 drops its parts.
+  async putStream(key, stream, { contentType }) {
+    let buffered = [];
+    let bufferedBytes = 0;
+    let size = 0;
+    let uploadId = null;
+    const parts = [];
+
+    const uploadBuffered = async () => {
+      const etag = await this.uploadPart(key, uploadId, parts.length + 1, Buffer.concat(buffered));
+      parts.push(etag);
+      buffered = [];
+      bufferedBytes = 0;
+    };
+
+    try {
+      for await (const chunk of stream) {
+        buffered.push(chunk);
+        bufferedBytes += chunk.length;
+        size += chunk.length;
+        if (bufferedBytes >= PART_SIZE) {
+          uploadId = uploadId || await this.createMultipartUpload(key, contentType);
+          await uploadBuffered();
+        }
+      }
+
+      if (!uploadId) {
+        return await this.write(key, Buffer.concat(buffered), { contentType });
+      }
+      if (bufferedBytes > 0) {
+        await uploadBuffered();
+      }
+      await this.completeMultipartUpload(key, uploadId, parts);
+      return { key, size };
+    } catch (err) {
+      stream.destroy();
+      if (uploadId) {
+        await this.abortMultipartUpload(key, uploadId).catch(() => {});
+      }
+      throw err;
+    }
+  }
+
+  // Signed request for a multipart upload step; the response body comes back as text
+  async multipartRequest(method, key, query, body = Buffer.alloc(0), headers = {}) {
+    const url = this.objectUrl(key);
+    const encodedQuery = Object.fromEntries(Object.entries(query).map(([name, value]) => [name, encodeRfc3986(value)]));
+    const signedHeaders = this.authorize({
+      method,
+      url,
+      query: encodedQuery,
+      headers: { ...headers, 'content-length': body.length },
+      payloadHash: sha256Hex(body)
+    });
+    url.search = Object.keys(encodedQuery).sort().map(name => `${encodeRfc3986(name)}=${encodedQuery[name]}`).join('&');
+
+    return axios.request({
+      method,
+      url: url.href,
+      data: body,
+      headers: signedHeaders,
+      timeout: 30000,
+      maxBodyLength: Infinity,
+      responseType: 'text'
+    });
+  }
+
+  async createMultipartUpload(key, contentType) {
+    const response = await this.multipartRequest('POST', key, { uploads: '' }, undefined, { 'content-type': contentType });
+    const match = /<UploadId>([^<]+)<\/UploadId>/.exec(response.data);
+    if (!match) {
+      throw new Error(`S3 did not start a multipart upload for ${key}`);
+    }
+    return match[1];
+  }
+
+  // Resolves with the part's ETag, for completeMultipartUpload()
+  async uploadPart(key, uploadId, partNumber, body) {
+    const response = await this.multipartRequest('PUT', key, { partNumber: String(partNumber), uploadId }, body);
+    return response.headers.etag;
+  }
+
+  async completeMultipartUpload(key, uploadId, etags) {
+    const body = Buffer.from('<CompleteMultipartUpload>' +
+      etags.map((etag, index) => `<Part><PartNumber>${index + 1}</PartNumber><ETag>${etag}</ETag></Part>`).join('') +
+      '</CompleteMultipartUpload>');
+    const response = await this.multipartRequest('POST', key, { uploadId }, body, { 'content-type': 'application/xml' });
+    // S3 can answer 200 and still report a failure in the body
+    if (/<Error>/.test(response.data)) {
+      throw new Error(`S3 could not complete the multipart upload for ${key}: ${response.data}`);
+    }
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await this.multipartRequest('DELETE', key, { uploadId });
+  }
+
+  async write(key, buffer, { contentType }) {
+    const url = this.objectUrl(key);
+    const headers = this.authorize({
+      method: 'PUT',
+      url,
+      headers: { 'content-type': contentType, 'content-length': buffer.length },
+      payloadHash: sha256Hex(buffer)
+    });
+
+    await axios.put(url.href, buffer, { headers, timeout: 30000, maxBodyLength: Infinity });
+    return { key, size: buffer.length };
+  }
+
+  async read(key) {
+    const object = await this.readVersioned(key);
+    return object ? object.data : null;
+  }
+
+  // An object with its ETag, for a later writeIf(). null if missing.
+  async readVersioned(key) {
+    const url = this.objectUrl(key);
+    const headers = this.authorize({ method: 'GET', url, headers: {}, payloadHash: sha256Hex('') });
+
+    const response = await axios.get(url.href, {
+      headers,
+      timeout: 30000,
+      responseType: 'arraybuffer',
+      maxContentLength: Infinity,
+      validateStatus: status => (status >= 200 && status < 300) || status === 404
+    });
+    return response.status === 404 ? null : { data: Buffer.from(response.data), etag: response.headers.etag };
+  }
+
+  // Compare-and-swap: write only if the object still has this ETag, or with etag null only
+  // if there is no object yet (If-Match / If-None-Match). Resolves { key, size }, or null
+  // when another writer got there first.
+  async writeIf(key, buffer, { contentType, etag }) {
+    const url = this.objectUrl(key);
+    const headers = this.authorize({
+      method: 'PUT',
+      url,
+      headers: {
+        'content-type': contentType,
+        'content-length': buffer.length,
+        ...(etag ? { 'if-match': etag } : { 'if-none-match': '*' })
+      },
+      payloadHash: sha256Hex(buffer)
+    });
+
+    // 412 is a failed condition; 409 is S3's answer to a concurrent conditional write
+    const response = await axios.put(url.href, buffer, {
+      headers,
+      timeout: 30000,
+      maxBodyLength: Infinity,
+      validateStatus: status => (status >= 200 && status < 300) || status === 409 || status === 412
+    });
+    return response.status === 409 || response.status === 412 ? null : { key, size: buffer.length };
+  }
+
+  // Objects are served straight from the bucket; the response headers come from the URL
+  async download(key, { fileName, expiresInSeconds }) {
+    return {
+      redirectUrl: this.presign(key, {
+        expiresInSeconds,
+        params: { 'response-content-disposition': `attachment; filename="${fileName}"` }
+      })
+    };
+  }
+}
+
+// The bucket set with the S3_* variables. The job store keeps its state there too.
+function createS3Storage() {
+  return new S3ResultStorage({
+    endpoint: process.env.S3_ENDPOINT,
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    pathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+  });
+}
+
+// Storage selected by RESULT_STORE: 'local' (default, under RESULT_STORE_DIR) or 's3'.
+// On Netlify only 's3' works, since a local result would stay on one function instance.
+function createResultStorage() {
+  const driver = process.env.RESULT_STORE || 'local';
+
+  if (driver === 'local') {
+    if (runningOnLambda()) {
+      throw new Error("Server configuration error: RESULT_STORE=local keeps results on a single function instance. Set RESULT_STORE=s3 and the S3_* variables");
+    }
+    return new LocalResultStorage(process.env.RESULT_STORE_DIR || path.join(os.tmpdir(), 'audio-convert-results'));
+  }
+  if (driver === 's3') {
+    return createS3Storage();
+  }
+  throw new Error(`Unknown RESULT_STORE "${driver}"`);
+}
+
+module.exports = { PART_SIZE, LocalResultStorage, S3ResultStorage, runningOnLambda, createResultKey, createS3Storage, createResultStorage };
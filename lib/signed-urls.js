@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { RequestError } = require('./errors');
+
+const DEFAULT_DOWNLOAD_TTL = 60 * 60; // 1 hour
+const MAX_DOWNLOAD_TTL = 7 * 24 * 60 * 60;
+
+// Secret for download URLs (DOWNLOAD_SIGNING_SECRET). Without it results can't be stored
+// for download and large outputs are returned inline as before.
+function downloadSigningSecret() {
+  return process.env.DOWNLOAD_SIGNING_SECRET || null;
+}
+
+// Lifetime of new download URLs, in seconds (DOWNLOAD_URL_TTL, at most 7 days)
+function downloadTtl() {
+  const ttl = parseInt(process.env.DOWNLOAD_URL_TTL, 10);
+  return ttl > 0 ? Math.min(ttl, MAX_DOWNLOAD_TTL) : DEFAULT_DOWNLOAD_TTL;
+}
+
+function downloadSignature(secret, key, fileName, expires) {
+  return crypto.createHmac('sha256', secret).update(`${key}\n${fileName}\n${expires}`).digest('base64url');
+}
+
+// Time-limited /download URL for a stored result. Absolute when the site URL is known.
+function signDownloadUrl({ key, fileName, ttlSeconds = downloadTtl() }) {
+  const secret = downloadSigningSecret();
+  if (!secret) {
+    throw new Error("Server configuration error: DOWNLOAD_SIGNING_SECRET not set");
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const query = new URLSearchParams({ key, name: fileName, expires: String(expires) });
+  query.set('sig', downloadSignature(secret, key, fileName, expires));
+
+  return {
+    url: `${process.env.URL || ''}/.netlify/functions/download?${query}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+// Check a /download query string. Returns { key, fileName, expiresInSeconds }.
+function verifyDownloadUrl(query) {
+  const secret = downloadSigningSecret();
+  if (!secret) {
+    throw new Error("Server configuration error: DOWNLOAD_SIGNING_SECRET not set");
+  }
+
+  const { key, name: fileName, expires, sig } = query || {};
+  if (!key || !fileName || !expires || !sig) {
+    throw new RequestError("Download link is incomplete", 400, 'invalid_download_link');
+  }
+
+  const expected = Buffer.from(downloadSignature(secret, key, fileName, expires));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new RequestError("Download link signature is invalid", 403, 'invalid_download_link');
+  }
+
+  const expiresInSeconds = Number(expires) - Math.floor(Date.now() / 1000);
+  if (!(expiresInSeconds > 0)) {
+    throw new RequestError("Download link has expired", 410, 'download_link_expired');
+  }
+
+  return { key, fileName, expiresInSeconds };
+}
+
+module.exports = { downloadSigningSecret, signDownloadUrl, verifyDownloadUrl };
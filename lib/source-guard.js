@@ -0,0 +1,261 @@
+const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { ValidationError, SourceFetchError, UnsupportedMediaError } = require('./errors');
+
+// Address ranges a source URL must never reach: loopback, private (RFC1918),
+// link-local (cloud metadata lives at 169.254.169.254), CGNAT, multicast and reserved
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+function allowPrivateSources() {
+  return process.env.SOURCE_ALLOW_PRIVATE_IPS === 'true';
+}
+
+function allowedSchemes() {
+  return (process.env.SOURCE_ALLOWED_SCHEMES || 'https').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function allowedHosts(variable = 'SOURCE_ALLOWED_HOSTS') {
+  return (process.env[variable] || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+// The eight 16-bit groups of an IPv6 address, with "::" expanded and a dotted IPv4 tail
+// (::ffff:10.0.0.1) turned into two groups
+function ipv6Groups(address) {
+  let text = address.replace(/%.*$/, '');
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = text.slice(0, dotted.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const groups = parse(head);
+  if (tail !== undefined) {
+    const rest = parse(tail);
+    groups.push(...new Array(8 - groups.length - rest.length).fill(0), ...rest);
+  }
+  return groups;
+}
+
+// The IPv4 address an IPv6 address carries, if any: IPv4-mapped (::ffff:a.b.c.d),
+// IPv4-compatible (::a.b.c.d) and 6to4 (2002:aabb:ccdd::/48) addresses all reach it
+function embeddedIPv4(address) {
+  const groups = ipv6Groups(address);
+  let high;
+  let low;
+  if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0 || groups[5] === 0xffff)) {
+    [high, low] = groups.slice(6);
+  } else if (groups[0] === 0x2002) {
+    [high, low] = groups.slice(1, 3);
+  } else {
+    return null;
+  }
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+// Whether an IP address falls in one of the blocked ranges
+function isBlockedAddress(address) {
+  let family = net.isIP(address);
+  // IPv6 addresses wrapping an IPv4 one are checked as that IPv4 address
+  const wrapped = family === 6 ? embeddedIPv4(address) : null;
+  if (wrapped) {
+    address = wrapped;
+    family = 4;
+  }
+
+  if (family === 0) {
+    return true;
+  }
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Exact host names or "*.example.com" wildcards from an allowlist (SOURCE_ALLOWED_HOSTS etc.)
+function isHostAllowed(hostname, hosts) {
+  if (hosts.length === 0) {
+    return true;
+  }
+  return hosts.some(allowed => allowed.startsWith('*.')
+    ? hostname.endsWith(allowed.substring(1))
+    : hostname === allowed);
+}
+
+// dns.lookup replacement for the download agents. Every connection - including each
+// redirect hop - goes through here, so a host can't resolve to a public address for
+// the pre-flight check and a private one for the actual request.
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (!allowPrivateSources()) {
+      const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+      if (blocked) {
+        callback(new ValidationError(`Source URL is not allowed: ${hostname} resolves to a private or reserved address (${blocked.address})`, 'url_not_allowed'));
+        return;
+      }
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+// Check scheme, host allowlist and resolved addresses of a URL before fetching it.
+// label names the URL in errors ("Source", "Callback").
+async function assertSafeUrl(rawUrl, label, hosts) {
+  let parsed;
+  try {
+    parsed = new URL(rawUrl);
+  } catch (e) {
+    throw new ValidationError(`${label} URL is malformed: ${rawUrl}`, 'invalid_url');
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, '').toLowerCase();
+  if (!allowedSchemes().includes(scheme)) {
+    throw new ValidationError(`${label} URL scheme "${scheme}" is not allowed. Allowed schemes: ${allowedSchemes().join(', ')}`, 'url_not_allowed');
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new ValidationError(`${label} URL must not contain credentials`, 'url_not_allowed');
+  }
+
+  // URL keeps IPv6 literals in brackets
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (!isHostAllowed(hostname, hosts)) {
+    throw new ValidationError(`${label} host "${hostname}" is not in the allowed host list`, 'url_not_allowed');
+  }
+
+  if (allowPrivateSources()) {
+    return parsed;
+  }
+
+  // IP literals never hit the agent's lookup, so they are checked here
+  if (net.isIP(hostname)) {
+    if (isBlockedAddress(hostname)) {
+      throw new ValidationError(`${label} URL is not allowed: ${hostname} is a private or reserved address`, 'url_not_allowed');
+    }
+    return parsed;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (err) {
+    throw new SourceFetchError(`Could not resolve ${label.toLowerCase()} host "${hostname}" (${err.code || err.message})`, 'host_not_found');
+  }
+
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+  if (blocked) {
+    throw new ValidationError(`${label} URL is not allowed: ${hostname} resolves to a private or reserved address (${blocked.address})`, 'url_not_allowed');
+  }
+
+  return parsed;
+}
+
+function assertSafeSourceUrl(sourceUrl) {
+  return assertSafeUrl(sourceUrl, 'Source', allowedHosts());
+}
+
+// Webhook targets get the same checks, with their own host allowlist (CALLBACK_ALLOWED_HOSTS)
+function assertSafeCallbackUrl(callbackUrl) {
+  return assertSafeUrl(callbackUrl, 'Callback', allowedHosts('CALLBACK_ALLOWED_HOSTS'));
+}
+
+// Identify audio containers by their leading bytes. Returns a short type name or null.
+function sniffAudioType(header) {
+  if (header.length < 4) {
+    return null;
+  }
+
+  const ascii = (start, end) => header.slice(start, end).toString('latin1');
+
+  if (header.length >= 12 && ascii(4, 8) === 'ftyp') return 'mp4';
+  if (ascii(0, 3) === 'ID3') return 'mp3';
+  if (header.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  if (header.length >= 12 && ascii(0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(8, 12))) return 'aiff';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (ascii(0, 4) === 'caff') return 'caf';
+  if (ascii(0, 5) === '#!AMR') return 'amr';
+  if (header[0] === 0x1a && header[1] === 0x45 && header[2] === 0xdf && header[3] === 0xa3) return 'webm';
+  // ADTS AAC (sync word + layer 0) and MPEG audio frames both start with an 11/12-bit sync word
+  if (header[0] === 0xff && (header[1] & 0xf6) === 0xf0) return 'aac';
+  if (header[0] === 0xff && (header[1] & 0xe0) === 0xe0) return 'mp3';
+
+  return null;
+}
+
+// Reject files that aren't audio before handing them to ffprobe/ffmpeg
+function assertAudioFile(filePath, logger) {
+  const fd = fs.openSync(filePath, 'r');
+  const header = Buffer.alloc(16);
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const detected = sniffAudioType(header.slice(0, bytesRead));
+  if (!detected) {
+    logger.error('Source failed audio sniffing, leading bytes:', header.slice(0, bytesRead).toString('hex'));
+    throw new UnsupportedMediaError("Source is not a recognised audio file");
+  }
+
+  logger.log('Source looks like:', detected);
+  return detected;
+}
+
+module.exports = {
+  httpAgent,
+  httpsAgent,
+  isBlockedAddress,
+  assertSafeSourceUrl,
+  assertSafeCallbackUrl,
+  sniffAudioType,
+  assertAudioFile
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { RequestError, ValidationError, ConversionError, TimeoutError } = require('./errors');
+const { parseTime } = require('./edits');
+
+const MIN_PART_SECONDS = 5;
+const MIN_PART_BYTES = 100 * 1024;
+const MAX_PARTS = 500;
+const DEFAULT_HLS_SEGMENT_SECONDS = 6;
+const MAX_HLS_SEGMENT_SECONDS = 60;
+// Codecs HLS players take in MPEG-TS segments
+const HLS_CODECS = ['aac', 'mp3'];
+// Attempts at a part duration that keeps every part under maxBytes
+const MAX_SPLIT_ATTEMPTS = 4;
+
+// split: { duration } (seconds or "MM:SS") per part, { maxBytes } per part, or
+// { hls: true, duration } for an HLS playlist with segments of about that length
+// (a JSON string for uploads). Returns null when no split was asked for.
+function parseSplitOption(value) {
+  if (value === undefined || value === null || value === '' || value === false || value === 'false') {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      throw new ValidationError("split must be an object like { \"duration\": 300 } or { \"maxBytes\": 2000000 }");
+    }
+  }
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new ValidationError("split must be an object with duration, maxBytes or hls");
+  }
+
+  if (value.hls) {
+    const duration = value.duration == null ? DEFAULT_HLS_SEGMENT_SECONDS : parseTime(value.duration, 'split.duration');
+    if (duration < 1 || duration > MAX_HLS_SEGMENT_SECONDS) {
+      throw new ValidationError(`split.duration for HLS must be from 1 to ${MAX_HLS_SEGMENT_SECONDS} seconds`);
+    }
+    if (value.maxBytes != null) {
+      throw new ValidationError("split.maxBytes can't be combined with hls");
+    }
+    return { mode: 'hls', duration, maxBytes: null };
+  }
+
+  if (value.duration != null && value.maxBytes != null) {
+    throw new ValidationError("Use either split.duration or split.maxBytes, not both");
+  }
+
+  if (value.duration != null) {
+    const duration = parseTime(value.duration, 'split.duration');
+    if (duration < MIN_PART_SECONDS) {
+      throw new ValidationError(`split.duration must be at least ${MIN_PART_SECONDS} seconds`);
+    }
+    return { mode: 'duration', duration, maxBytes: null };
+  }
+
+  if (value.maxBytes != null) {
+    const maxBytes = Number(value.maxBytes);
+    if (!Number.isInteger(maxBytes) || maxBytes < MIN_PART_BYTES) {
+      throw new ValidationError(`split.maxBytes must be a whole number of bytes, at least ${MIN_PART_BYTES}`);
+    }
+    return { mode: 'bytes', duration: null, maxBytes };
+  }
+
+  throw new ValidationError("split needs duration, maxBytes or hls");
+}
+
+// HLS segments are MPEG-TS, which only carries some of the output codecs.
+// format is the OUTPUT_FORMATS entry for formatName.
+function assertSplitFormat(split, formatName, format) {
+  if (split?.mode === 'hls' && !HLS_CODECS.includes(format?.codec)) {
+    throw new ValidationError(`HLS output needs an AAC or MP3 format (aac, m4a or mp3), got "${formatName}"`);
+  }
+}
+
+function runFFmpeg(ffmpegPath, args, timeoutMs, label) {
+  return new Promise((resolve, reject) => {
+    const splitProcess = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    splitProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    const timeout = setTimeout(() => {
+      splitProcess.kill('SIGKILL');
+      reject(new TimeoutError(`${label} timed out after ${timeoutMs}ms`, 'split_timeout'));
+    }, timeoutMs);
+
+    splitProcess.on('close', (code) => {
+      clearTimeout(timeout);
+      if (code !== 0) {
+        reject(new Error(`${label} failed (code ${code}): ${stderr.slice(-300)}`));
+        return;
+      }
+      resolve();
+    });
+
+    splitProcess.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+  });
+}
+
+// Cut the output into parts of segmentTime seconds (stream copy, so no re-encoding).
+// The segment muxer's CSV list gives each part's start and end.
+async function segmentFile({ ffmpegPath, inputPath, format, segmentTime, workDir, timeoutMs }) {
+  const listPath = path.join(workDir, 'parts.csv');
+  fs.rmSync(workDir, { recursive: true, force: true });
+  fs.mkdirSync(workDir, { recursive: true });
+
+  await runFFmpeg(ffmpegPath, [
+    '-hide_banner', '-nostats', '-y', '-i', inputPath,
+    '-map', '0:a:0', '-c', 'copy',
+    '-f', 'segment', '-segment_time', String(segmentTime), '-segment_format', format.container,
+    '-segment_list', listPath, '-segment_list_type', 'csv', '-reset_timestamps', '1',
+    path.join(workDir, `part_%03d${format.extension}`)
+  ], timeoutMs, 'Splitting output');
+
+  return fs.readFileSync(listPath, 'utf8').trim().split('\n').filter(Boolean).map((line, index) => {
+    const [fileName, start, end] = line.split(',');
+    const partPath = path.join(workDir, fileName);
+    return {
+      index,
+      fileName,
+      path: partPath,
+      offset: parseFloat(start),
+      duration: parseFloat(end) - parseFloat(start),
+      bytes: fs.statSync(partPath).size
+    };
+  });
+}
+
+// VOD playlist with MPEG-TS segments; segment offsets and durations come from #EXTINF
+async function segmentHls({ ffmpegPath, inputPath, segmentTime, workDir, timeoutMs }) {
+  const playlistPath = path.join(workDir, 'playlist.m3u8');
+  fs.rmSync(workDir, { recursive: true, force: true });
+  fs.mkdirSync(workDir, { recursive: true });
+
+  await runFFmpeg(ffmpegPath, [
+    '-hide_banner', '-nostats', '-y', '-i', inputPath,
+    '-map', '0:a:0', '-c', 'copy',
+    '-f', 'hls', '-hls_time', String(segmentTime), '-hls_playlist_type', 'vod', '-hls_list_size', '0',
+    '-hls_segment_filename', path.join(workDir, 'segment_%03d.ts'),
+    playlistPath
+  ], timeoutMs, 'HLS segmenting');
+
+  const parts = [];
+  let offset = 0;
+  let duration = null;
+  for (const line of fs.readFileSync(playlistPath, 'utf8').split('\n').map(entry => entry.trim())) {
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.substring('#EXTINF:'.length));
+    } else if (line && !line.startsWith('#')) {
+      const partPath = path.join(workDir, line);
+      parts.push({ index: parts.length, fileName: line, path: partPath, offset, duration, bytes: fs.statSync(partPath).size });
+      offset += duration;
+    }
+  }
+
+  return { parts, playlistPath };
+}
+
+// Split a converted output (format: its OUTPUT_FORMATS entry) as asked by options.split.
+// Returns { parts, playlistPath } where each part is { index, fileName, path, offset, duration,
+// bytes }; playlistPath is only set for HLS. durationSeconds is the output's duration.
+async function splitOutput({ ffmpegPath, inputPath, formatName, format, split, durationSeconds, workDir, timeoutMs, logger }) {
+  assertSplitFormat(split, formatName, format);
+  const deadline = Date.now() + timeoutMs;
+
+  if (split.mode === 'hls') {
+    logger.log('Segmenting output for HLS:', { segmentSeconds: split.duration });
+    const result = await segmentHls({ ffmpegPath, inputPath, segmentTime: split.duration, workDir, timeoutMs });
+    logger.log(`HLS playlist ready with ${result.parts.length} segments`);
+    return result;
+  }
+
+  let segmentTime = split.duration;
+  if (split.mode === 'bytes') {
+    const size = fs.statSync(inputPath).size;
+    if (!durationSeconds) {
+      throw new RequestError("Output duration is unknown, cannot split by size", 422, 'duration_unknown');
+    }
+    // Aim a little under the limit; parts with container overhead or VBR peaks are retried
+    segmentTime = size <= split.maxBytes ? durationSeconds + 1 : (split.maxBytes / (size / durationSeconds)) * 0.95;
+  }
+
+  const expectedParts = durationSeconds ? Math.ceil(durationSeconds / segmentTime) : 0;
+  if (expectedParts > MAX_PARTS) {
+    throw new ValidationError(`Split would make ${expectedParts} parts. At most ${MAX_PARTS} are allowed; use longer or larger parts.`);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    logger.log('Splitting output:', { mode: split.mode, segmentSeconds: Math.round(segmentTime * 1000) / 1000, attempt });
+    const parts = await segmentFile({ ffmpegPath, inputPath, format, segmentTime, workDir, timeoutMs: Math.max(1000, deadline - Date.now()) });
+
+    const largest = Math.max(...parts.map(part => part.bytes));
+    if (split.mode !== 'bytes' || largest <= split.maxBytes) {
+      logger.log(`Output split into ${parts.length} parts`);
+      return { parts, playlistPath: null };
+    }
+    if (attempt >= MAX_SPLIT_ATTEMPTS || segmentTime < 1) {
+      throw new ConversionError(`Could not split the output into parts under ${split.maxBytes} bytes (largest part: ${largest} bytes)`, 'split_failed');
+    }
+    segmentTime *= (split.maxBytes / largest) * 0.95;
+  }
+}
+
+module.exports = { HLS_CODECS, parseSplitOption, assertSplitFormat, splitOutput };
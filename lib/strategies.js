@@ -0,0 +1,202 @@
+const { TooLargeError, EncoderUnavailableError } = require('./errors');
+const { OUTPUT_FORMATS } = require('./formats');
+
+// Time a strategy needs besides encoding: spawning ffmpeg, reading headers, writing the trailer
+const STRATEGY_OVERHEAD_MS = 500;
+// Share of a size target the audio bitrate aims for. The rest covers container framing, tags
+// and encoders overshooting low bitrates (the native AAC encoder runs ~7% over at 8k).
+const SIZE_TARGET_HEADROOM = 0.9;
+// MP3 bitrates under 32k only exist at the MPEG-2 sample rates (24kHz and below); at higher
+// rates lame rounds them up to 32k
+const MP3_MPEG1_MIN_KBPS = 32;
+const MP3_MPEG2_MAX_SAMPLE_RATE = 24000;
+// Soft size target of the `phone` cascade: small enough to come back from /convert as binary
+const LEGACY_TARGET_BYTES = 3 * 1024 * 1024;
+
+// The `phone` cascade. Each strategy names the encoders it can use (first available wins), the
+// format it produces (which gives the container) and its fixed settings. bitrate is the kbps
+// range the engine may pick from to meet a size target, highest by default; PCM has none, its
+// size follows from the sample rate. quality ranks strategies that fit; encodeMsPerSecond is
+// the cost per second of audio.
+const LEGACY_STRATEGIES = [
+  {
+    name: 'wav-pcm-compressed',
+    format: 'wav',
+    encoders: ['pcm_s16le'],
+    sampleRate: 11025,
+    channels: 1,
+    bitrate: null,
+    quality: 3,
+    encodeMsPerSecond: 1
+  },
+  {
+    name: 'aac-compressed',
+    format: 'aac',
+    encoders: ['aac'],
+    sampleRate: 11025,
+    channels: 1,
+    bitrate: [16, 32],
+    quality: 3,
+    encodeMsPerSecond: 25
+  },
+  {
+    name: 'libmp3lame-minimal',
+    format: 'mp3',
+    encoders: ['libmp3lame'],
+    sampleRate: 8000,
+    channels: 1,
+    bitrate: [8, 24],
+    quality: 2,
+    encodeMsPerSecond: 25
+  },
+  {
+    name: 'ultra-compressed',
+    format: 'aac',
+    encoders: ['aac'],
+    sampleRate: 8000,
+    channels: 1,
+    bitrate: [8, 24],
+    quality: 1,
+    encodeMsPerSecond: 25
+  }
+];
+
+// Bytes per second of audio a strategy writes at the given bitrate. PCM sizes use the
+// strategy's rate and channels, else the source's; FLAC typically saves ~40% on speech.
+function outputBytesPerSecond(strategy, bitrateKbps, source = {}) {
+  if (bitrateKbps) {
+    return bitrateKbps * 1000 / 8;
+  }
+  const sampleRate = strategy.sampleRate || source.sampleRate || 44100;
+  const channels = strategy.channels || source.channels || 2;
+  const pcmBytes = sampleRate * channels * 2;
+  return OUTPUT_FORMATS[strategy.format].codec === 'flac' ? pcmBytes * 0.6 : pcmBytes;
+}
+
+// Highest bitrate in the strategy's range whose output stays under maxOutputBytes, null if
+// even the lowest doesn't. Without a target or duration the strategy's default is used.
+function targetBitrate(strategy, durationSeconds, maxOutputBytes) {
+  const [min, max] = strategy.bitrate;
+  const preferred = strategy.defaultBitrate || max;
+  if (!maxOutputBytes || !durationSeconds) {
+    return preferred;
+  }
+  const fitting = Math.floor(maxOutputBytes * SIZE_TARGET_HEADROOM * 8 / 1000 / durationSeconds);
+  return fitting >= min ? Math.min(preferred, fitting) : null;
+}
+
+// Turn strategy declarations into the order they are tried in. Each gets its encoder (the
+// first available one; unavailable encoders or muxers drop the strategy), a bitrate for the
+// size target and estimates of output size and encode time. Strategies that fit both
+// maxOutputBytes and timeBudgetMs come first, best quality first, ties going to
+// preferredFormats and then to the faster encode. Strategies that only miss the time budget
+// are kept after them, fastest first, since the estimate is rough. Strategies over the size
+// target are dropped - unless the target is soft (the phone cascade), where they go last,
+// smallest first, rather than failing.
+// Returns { strategies, rejected }; rejected is [{ name, reason }] for the logs, with
+// estimatedBytes on strategies dropped for size and missingEncoders or missingMuxer on
+// those dropped for what this ffmpeg lacks.
+function planStrategies(declarations, { encoderInfo, durationSeconds = null, source = {}, maxOutputBytes = null, softTarget = false, timeBudgetMs = null, preferredFormats = [] }) {
+  // A failed capability detection leaves empty lists; let ffmpeg itself decide then
+  const capabilitiesKnown = Boolean(encoderInfo?.encoders?.length) && !encoderInfo.error;
+  const rejected = [];
+  const candidates = [];
+
+  for (const declaration of declarations) {
+    const format = OUTPUT_FORMATS[declaration.format];
+    const encoder = capabilitiesKnown
+      ? declaration.encoders.find(name => encoderInfo.encoders.includes(name))
+      : declaration.encoders[0];
+    if (!encoder) {
+      rejected.push({ name: declaration.name, reason: `no encoder (needs ${declaration.encoders.join(' or ')})`, missingEncoders: declaration.encoders });
+      continue;
+    }
+    if (capabilitiesKnown && encoderInfo.muxers?.length && !encoderInfo.muxers.includes(format.container)) {
+      rejected.push({ name: declaration.name, reason: `no ${format.container} muxer`, missingMuxer: format.container });
+      continue;
+    }
+
+    let bitrate = declaration.bitrate ? targetBitrate(declaration, durationSeconds, maxOutputBytes) : null;
+    let fitsSize = true;
+    if (declaration.bitrate && bitrate === null) {
+      fitsSize = false;
+      bitrate = declaration.bitrate[0];
+    }
+
+    // Low MP3 bitrates take a lower sample rate, unless the caller fixed the rate
+    let sampleRate = declaration.sampleRate;
+    if (declaration.format === 'mp3' && bitrate < MP3_MPEG1_MIN_KBPS) {
+      if (!sampleRate) {
+        sampleRate = Math.min(source.sampleRate || MP3_MPEG2_MAX_SAMPLE_RATE, MP3_MPEG2_MAX_SAMPLE_RATE);
+      } else if (sampleRate > MP3_MPEG2_MAX_SAMPLE_RATE) {
+        bitrate = MP3_MPEG1_MIN_KBPS;
+      }
+    }
+
+    const bytesPerSecond = outputBytesPerSecond(declaration, bitrate, source);
+    const estimatedBytes = durationSeconds ? Math.round(bytesPerSecond * durationSeconds) : null;
+    if (fitsSize && maxOutputBytes && estimatedBytes !== null) {
+      fitsSize = estimatedBytes <= maxOutputBytes * SIZE_TARGET_HEADROOM;
+    }
+    const estimatedMs = durationSeconds ? Math.round(STRATEGY_OVERHEAD_MS + durationSeconds * declaration.encodeMsPerSecond) : null;
+    const fitsTime = !timeBudgetMs || estimatedMs === null || estimatedMs <= timeBudgetMs;
+
+    if (!fitsSize && !softTarget) {
+      rejected.push({ name: declaration.name, reason: `estimated ${estimatedBytes} bytes is over maxOutputBytes`, estimatedBytes });
+      continue;
+    }
+
+    candidates.push({ ...declaration, encoder, bitrate, sampleRate, sizeTarget: maxOutputBytes, estimatedBytes, estimatedMs, fitsSize, fitsTime });
+  }
+
+  const preference = candidate => {
+    const index = preferredFormats.indexOf(candidate.format);
+    return index === -1 ? preferredFormats.length : index;
+  };
+  candidates.sort((a, b) => {
+    if (a.fitsSize !== b.fitsSize) {
+      return a.fitsSize ? -1 : 1;
+    }
+    if (!a.fitsSize) {
+      return a.estimatedBytes - b.estimatedBytes;
+    }
+    if (a.fitsTime !== b.fitsTime) {
+      return a.fitsTime ? -1 : 1;
+    }
+    if (a.fitsTime && a.quality !== b.quality) {
+      return b.quality - a.quality;
+    }
+    return (a.fitsTime ? preference(a) - preference(b) : 0) || (a.estimatedMs || 0) - (b.estimatedMs || 0);
+  });
+
+  return { strategies: candidates, rejected };
+}
+
+// Plan, and fail up front when nothing is left to try: because a hard size target can't be
+// met by anything available, or because this ffmpeg lacks the encoders (or muxers) of them all
+function planOrReject(declarations, settings) {
+  const plan = planStrategies(declarations, settings);
+  if (plan.strategies.length > 0) {
+    return plan;
+  }
+  const tooLarge = plan.rejected.filter(entry => entry.estimatedBytes);
+  if (tooLarge.length > 0) {
+    const needed = Math.round(Math.min(...tooLarge.map(entry => entry.estimatedBytes)) / SIZE_TARGET_HEADROOM);
+    throw new TooLargeError(`${Math.round(settings.durationSeconds)}s of audio doesn't fit in maxOutputBytes ${settings.maxOutputBytes} with the formats allowed here (needs about ${needed} bytes)`, 'output_too_large');
+  }
+  const encoders = [...new Set(plan.rejected.filter(entry => entry.missingEncoders).map(entry => entry.missingEncoders.join(' or ')))];
+  const muxers = [...new Set(plan.rejected.filter(entry => entry.missingMuxer).map(entry => entry.missingMuxer))];
+  const missing = [
+    ...(encoders.length > 0 ? [`missing encoder: ${encoders.join(', ')}`] : []),
+    ...(muxers.length > 0 ? [`missing muxer: ${muxers.join(', ')}`] : [])
+  ];
+  throw new EncoderUnavailableError(`None of the formats allowed here can be produced on this server (${missing.join('; ')})`);
+}
+
+module.exports = {
+  LEGACY_STRATEGIES,
+  LEGACY_TARGET_BYTES,
+  outputBytesPerSecond,
+  planStrategies,
+  planOrReject
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const { SourceFetchError, TooLargeError, TimeoutError } = require('./errors');
+
+// Streaming of URL sources into ffmpeg's stdin. Outputs that stream go the other way,
+// from ffmpeg's stdout into result storage (see convertWithFFmpeg in lib/ffmpeg.js).
+
+// First read of a streamed source: enough for sniffing and for ffprobe to find the
+// stream parameters of anything but MP4
+const HEAD_BYTES = 256 * 1024;
+// MP4 sources need the whole moov box up front; a longer one is saved to disk instead
+const MAX_MOOV_BYTES = 4 * 1024 * 1024;
+
+// ffmpeg demuxer for each sniffed type (see sniffAudioType)
+const STREAM_DEMUXERS = {
+  mp4: 'mov',
+  mp3: 'mp3',
+  aac: 'aac',
+  wav: 'wav',
+  aiff: 'aiff',
+  ogg: 'ogg',
+  flac: 'flac',
+  caf: 'caf',
+  amr: 'amr',
+  webm: 'matroska'
+};
+
+// Sources are streamed into ffmpeg unless STREAM_SOURCES=false
+function streamingEnabled() {
+  return process.env.STREAM_SOURCES !== 'false';
+}
+
+// Where the moov box sits among the top-level boxes of an MP4 head:
+//   { layout: 'streamable', bytes }  moov comes before mdat and ends at `bytes`
+//   { layout: 'moov-at-end' }        mdat comes first, so ffmpeg would have to seek
+//   { layout: 'incomplete', bytes }  more of the file is needed (at least `bytes`)
+function mp4Layout(head) {
+  let offset = 0;
+
+  while (offset + 8 <= head.length) {
+    let size = head.readUInt32BE(offset);
+    const type = head.toString('latin1', offset + 4, offset + 8);
+
+    if (size === 1) {
+      if (offset + 16 > head.length) {
+        return { layout: 'incomplete', bytes: offset + 16 };
+      }
+      size = Number(head.readBigUInt64BE(offset + 8));
+    } else if (size === 0) {
+      // Box runs to the end of the file
+      return type === 'moov' ? { layout: 'incomplete', bytes: Infinity } : { layout: 'moov-at-end' };
+    }
+    if (size < 8) {
+      return { layout: 'moov-at-end' };
+    }
+
+    if (type === 'moov') {
+      const end = offset + size;
+      return end <= head.length ? { layout: 'streamable', bytes: end } : { layout: 'incomplete', bytes: end };
+    }
+    if (type === 'mdat') {
+      return { layout: 'moov-at-end' };
+    }
+    offset += size;
+  }
+
+  return { layout: 'incomplete', bytes: offset + 8 };
+}
+
+// Read at least minBytes from a paused stream (fewer if it ends first) and pause it again.
+// A source that stalls fails at `deadline` - once headers are in, the request timeout no
+// longer applies.
+function readHead(stream, minBytes, deadline) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+
+    const timeout = setTimeout(() => {
+      cleanup();
+      reject(new TimeoutError("Source download did not finish in time", 'download_timeout'));
+    }, Math.max(0, deadline - Date.now()));
+    const cleanup = () => {
+      clearTimeout(timeout);
+      stream.off('data', onData);
+      stream.off('end', onEnd);
+      stream.off('error', onError);
+    };
+    const finish = (ended) => {
+      cleanup();
+      stream.pause();
+      resolve({ head: Buffer.concat(chunks), ended });
+    };
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= minBytes) {
+        finish(false);
+      }
+    };
+    const onEnd = () => finish(true);
+    const onError = (err) => {
+      cleanup();
+      reject(new SourceFetchError(`Source download failed (${err.code || err.message})`));
+    };
+
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', onError);
+    stream.resume();
+  });
+}
+
+// Buffer the start of a source: HEAD_BYTES, or for MP4 everything up to the end of moov,
+// within timeoutMs. Returns { head, ended, type, streamable, reason } - type is the sniffed
+// type, and reason says why a source can't be streamed.
+async function readSourceHead(stream, sniff, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  let { head, ended } = await readHead(stream, HEAD_BYTES, deadline);
+  const type = sniff(head);
+
+  if (type !== 'mp4') {
+    return { head, ended, type, streamable: true, reason: null };
+  }
+
+  for (;;) {
+    const layout = mp4Layout(head);
+    if (layout.layout === 'streamable') {
+      return { head, ended, type, streamable: true, reason: null };
+    }
+    if (layout.layout === 'moov-at-end') {
+      return { head, ended, type, streamable: false, reason: 'moov atom is at the end of the file' };
+    }
+    if (ended || layout.bytes > MAX_MOOV_BYTES) {
+      return { head, ended, type, streamable: false, reason: 'moov atom is too large to buffer' };
+    }
+
+    const more = await readHead(stream, layout.bytes - head.length, deadline);
+    head = Buffer.concat([head, more.head]);
+    ended = more.ended;
+  }
+}
+
+// Pipe a source into ffmpeg's stdin after the already buffered head. With keepPath the
+// source is also written there, in full, for later passes that need a seekable file.
+// Resolves with the number of bytes read once the source is done with; aborting `signal`
+// stops the download.
+function feedSource({ stream, head, ended, stdin, keepPath = null, maxBytes, timeoutMs, signal = null }) {
+  if (ended) {
+    // The whole source fit in the head
+    stdin.on('error', () => {});
+    stdin.end(head);
+    if (keepPath) {
+      fs.writeFileSync(keepPath, head);
+    }
+    return Promise.resolve({ bytes: head.length });
+  }
+
+  return new Promise((resolve, reject) => {
+    let bytes = head.length;
+    let settled = false;
+    const file = keepPath ? fs.createWriteStream(keepPath) : null;
+
+    const done = (err) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timeout);
+      if (err) {
+        stream.destroy();
+        if (file) {
+          file.destroy();
+        }
+        reject(err);
+      } else {
+        resolve({ bytes });
+      }
+    };
+
+    const timeout = setTimeout(() => done(new TimeoutError("Source download did not finish in time", 'download_timeout')), timeoutMs);
+    if (signal) {
+      signal.addEventListener('abort', () => done(new Error('Source stream aborted')), { once: true });
+    }
+
+    // ffmpeg may stop reading early (e.g. after a trim). Unless a copy is being kept,
+    // the download stops there too.
+    stdin.on('error', () => {});
+    stdin.on('close', () => {
+      stream.unpipe(stdin);
+      if (!file) {
+        stream.destroy();
+        done();
+      }
+    });
+
+    stream.on('data', (chunk) => {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        done(new TooLargeError("Input file too large (over 20MB). Please use a shorter recording or compress the file before conversion."));
+      }
+    });
+    stream.on('error', err => done(new SourceFetchError(`Source download failed (${err.code || err.message})`)));
+
+    if (file) {
+      file.on('error', done);
+      file.on('finish', () => done());
+      file.write(head);
+      stream.pipe(file);
+    } else {
+      stream.on('end', () => done());
+    }
+    stdin.write(head);
+    stream.pipe(stdin);
+  });
+}
+
+module.exports = { STREAM_DEMUXERS, streamingEnabled, mp4Layout, readSourceHead, feedSource };
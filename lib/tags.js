@@ -0,0 +1,167 @@
+const fs = require('fs');
+const { ValidationError, TooLargeError, UnsupportedMediaError } = require('./errors');
+
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 1024;
+const MAX_COVER_SIZE = 5 * 1024 * 1024; // 5MB
+
+// Descriptive tags carried over from the source. Container bookkeeping such as
+// major_brand, encoder or creation_time is left behind.
+const CARRIED_TAGS = [
+  'title', 'artist', 'album', 'album_artist', 'composer', 'genre', 'date', 'track', 'disc',
+  'comment', 'description', 'copyright', 'publisher', 'lyrics', 'grouping'
+];
+
+// "albumArtist" -> "album_artist", "TITLE" -> "title"
+function normalizeTagName(name) {
+  return String(name).replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+// tags: { title: "...", artist: "..." } (a JSON string for uploads), where null removes a
+// carried-over tag; coverUrl: JPEG/PNG artwork to embed. Returns null when neither is given.
+function parseTagOptions(body) {
+  let tags = body.tags ?? null;
+  const coverUrl = body.coverUrl || null;
+
+  if (typeof tags === 'string' && tags !== '') {
+    try {
+      tags = JSON.parse(tags);
+    } catch (e) {
+      throw new ValidationError("tags must be a JSON object");
+    }
+  }
+  if (tags === '') {
+    tags = null;
+  }
+  if (tags !== null && (typeof tags !== 'object' || Array.isArray(tags))) {
+    throw new ValidationError("tags must be an object of tag names to values");
+  }
+  if (coverUrl !== null && typeof coverUrl !== 'string') {
+    throw new ValidationError("coverUrl must be a URL string");
+  }
+
+  if (!tags && !coverUrl) {
+    return null;
+  }
+
+  const entries = Object.entries(tags || {});
+  if (entries.length > MAX_TAGS) {
+    throw new ValidationError(`Too many tags (${entries.length}). At most ${MAX_TAGS} are allowed.`);
+  }
+
+  const overrides = {};
+  for (const [name, value] of entries) {
+    const tagName = normalizeTagName(name);
+    if (!/^[a-z0-9_]{1,64}$/.test(tagName)) {
+      throw new ValidationError(`Invalid tag name "${name}". Use letters, digits and underscores.`);
+    }
+    if (value !== null && !['string', 'number'].includes(typeof value)) {
+      throw new ValidationError(`Tag "${name}" must be a string, a number or null`);
+    }
+    if (value !== null && String(value).length > MAX_TAG_LENGTH) {
+      throw new ValidationError(`Tag "${name}" is longer than ${MAX_TAG_LENGTH} characters`);
+    }
+    overrides[tagName] = value === null ? null : String(value);
+  }
+
+  return { overrides, coverUrl };
+}
+
+// Descriptive tags from the probe. Depending on the container they sit on the format
+// (MP4, ID3) or on the audio stream (Ogg), with keys in either case.
+function sourceTags(metadata) {
+  const audioStream = metadata?.streams?.find(stream => stream.codec_type === 'audio');
+  const tags = {};
+  for (const [name, value] of Object.entries({ ...audioStream?.tags, ...metadata?.format?.tags })) {
+    const tagName = name.toLowerCase();
+    if (CARRIED_TAGS.includes(tagName) && value !== '') {
+      tags[tagName] = value;
+    }
+  }
+  return tags;
+}
+
+// Reject cover downloads that aren't a JPEG or PNG of reasonable size
+function assertCoverImage(filePath, logger) {
+  const size = fs.statSync(filePath).size;
+  if (size > MAX_COVER_SIZE) {
+    throw new TooLargeError(`Cover image too large (${size} bytes). Maximum is ${MAX_COVER_SIZE} bytes.`, 'cover_too_large');
+  }
+
+  const header = Buffer.alloc(8);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const isJpeg = header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff;
+  const isPng = header.toString('hex') === '89504e470d0a1a0a';
+  if (!isJpeg && !isPng) {
+    throw new UnsupportedMediaError("Cover image must be a JPEG or PNG", 'unsupported_cover');
+  }
+
+  logger.log(`Cover image: ${isJpeg ? 'jpeg' : 'png'}, ${size} bytes`);
+}
+
+// What to write into the output: source tags with overrides applied, and the cover art -
+// a downloaded image (coverPath) or the picture already attached to the source
+function buildTagPlan(metadata, tagOptions, coverPath = null) {
+  const tags = { ...sourceTags(metadata) };
+  for (const [name, value] of Object.entries(tagOptions?.overrides || {})) {
+    if (value === null) {
+      delete tags[name];
+    } else {
+      tags[name] = value;
+    }
+  }
+
+  let cover = null;
+  if (coverPath) {
+    cover = { inputPath: coverPath };
+  } else {
+    const picture = metadata?.streams?.find(stream => stream.disposition?.attached_pic === 1);
+    if (picture) {
+      cover = { streamIndex: picture.index };
+    }
+  }
+
+  return { tags, cover };
+}
+
+// Add metadata and cover art arguments to a strategy's ffmpeg args, as far as the
+// output format can hold them (ADTS holds no tags; only ID3, MP4 and FLAC hold pictures)
+function applyTagArgs(args, plan, format) {
+  if (!plan) {
+    return args;
+  }
+
+  const inputIndex = args.indexOf('-i');
+  const inputs = args.slice(0, inputIndex + 2);
+  let rest = args.slice(inputIndex + 2);
+  const outputArgs = ['-map_metadata', '-1'];
+
+  const cover = format.coverArt ? plan.cover : null;
+  if (cover) {
+    if (cover.inputPath) {
+      inputs.push('-i', cover.inputPath);
+    }
+    outputArgs.unshift('-map', '0:a:0', '-map', cover.inputPath ? '1:v:0' : `0:${cover.streamIndex}`,
+      '-c:v', 'copy', '-disposition:v:0', 'attached_pic');
+    rest = rest.filter(arg => arg !== '-vn');
+  }
+
+  if (format.tagFormat) {
+    for (const [name, value] of Object.entries(plan.tags)) {
+      outputArgs.push('-metadata', `${name}=${value}`);
+    }
+    if (format.tagFormat === 'id3v2') {
+      outputArgs.push('-id3v2_version', '3'); // v2.3 is what most players and catalog tools read
+    }
+  }
+
+  return [...inputs, ...outputArgs, ...rest];
+}
+
+module.exports = { CARRIED_TAGS, MAX_COVER_SIZE, parseTagOptions, sourceTags, assertCoverImage, buildTagPlan, applyTagArgs };
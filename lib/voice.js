@@ -0,0 +1,145 @@
+const { ValidationError } = require('./errors');
+
+// Filter settings per strength. highpass cuts rumble and handling noise (Hz); noiseReduction
+// is afftdn's reduction in dB; deess is deesser's intensity (used when the build has it);
+// pauses longer than pauseOver seconds are shortened to pauseKeep seconds.
+const VOICE_STRENGTHS = {
+  light: { highpass: 60, noiseReduction: 6, deess: 0.1, compressor: { threshold: -18, ratio: 2 }, pauseOver: 1.5, pauseKeep: 0.75 },
+  medium: { highpass: 80, noiseReduction: 12, deess: 0.3, compressor: { threshold: -20, ratio: 3 }, pauseOver: 1, pauseKeep: 0.5 },
+  strong: { highpass: 100, noiseReduction: 20, deess: 0.5, compressor: { threshold: -24, ratio: 4 }, pauseOver: 0.6, pauseKeep: 0.3 }
+};
+const DEFAULT_STRENGTH = 'medium';
+
+// dB - pauses are stretches quieter than this (after denoising)
+const PAUSE_THRESHOLD = -45;
+
+// Rough cost of the cleanup filters (afftdn dominates), used for time estimates
+const VOICE_MS_PER_AUDIO_SECOND = 10;
+
+// voice: true for the default strength, a strength name, or { strength, compactSilence }
+// (a JSON string for uploads). Returns null when no cleanup was asked for.
+function parseVoiceOption(value) {
+  if (value === undefined || value === null || value === '' || value === false || value === 'false') {
+    return null;
+  }
+
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      throw new ValidationError("voice must be true, a strength or an object like { \"strength\": \"strong\" }");
+    }
+  }
+
+  let settings;
+  if (value === true || value === 'true' || value === '1') {
+    settings = { strength: DEFAULT_STRENGTH, compactSilence: true };
+  } else if (typeof value === 'object' && !Array.isArray(value)) {
+    settings = { strength: value.strength ?? DEFAULT_STRENGTH, compactSilence: value.compactSilence ?? true };
+  } else {
+    settings = { strength: value, compactSilence: true };
+  }
+
+  if (!Object.hasOwn(VOICE_STRENGTHS, settings.strength)) {
+    throw new ValidationError(`voice.strength must be one of: ${Object.keys(VOICE_STRENGTHS).join(', ')}, got "${settings.strength}"`);
+  }
+  if (typeof settings.compactSilence !== 'boolean') {
+    throw new ValidationError("voice.compactSilence must be true or false");
+  }
+
+  return settings;
+}
+
+// Cleanup filters for the settings, in order: high-pass, FFT denoise, de-essing (only
+// when the ffmpeg build has deesser), compression and pause compaction.
+// Returns { settings, steps, filters, sampleRate }.
+function planVoiceCleanup(settings, availableFilters, sampleRate) {
+  const level = VOICE_STRENGTHS[settings.strength];
+  const steps = [];
+  const filters = [];
+  const add = (step, filter) => {
+    steps.push(step);
+    filters.push(filter);
+  };
+
+  add('highpass', `highpass=f=${level.highpass}`);
+  add('denoise', `afftdn=nr=${level.noiseReduction}:nf=-50:tn=1`);
+  if (availableFilters.includes('deesser')) {
+    add('deess', `deesser=i=${level.deess}`);
+  }
+  add('compress', `acompressor=threshold=${level.compressor.threshold}dB:ratio=${level.compressor.ratio}:attack=5:release=100`);
+  if (settings.compactSilence) {
+    add('compactSilence', `silenceremove=stop_periods=-1:stop_duration=${level.pauseOver}:stop_threshold=${PAUSE_THRESHOLD}dB:stop_silence=${level.pauseKeep}`);
+  }
+
+  return { settings, steps, filters, sampleRate };
+}
+
+// Filters for the encode: the cleanup between two astats, whose summaries give the report
+function voiceFilterChain(plan) {
+  return ['astats', ...plan.filters, 'astats'];
+}
+
+// Overall section of each astats summary on stderr, in filter graph order
+function parseAstatsOutput(stderr) {
+  const instances = new Map();
+  const pattern = /^\[Parsed_astats_(\d+) @ [^\]]+\] (.+?)(?:: (.+))?$/gm;
+  let match;
+  while ((match = pattern.exec(stderr)) !== null) {
+    const index = parseInt(match[1], 10);
+    if (!instances.has(index)) {
+      instances.set(index, { overall: false, stats: {} });
+    }
+    const instance = instances.get(index);
+    if (match[2] === 'Overall') {
+      instance.overall = true;
+    } else if (instance.overall && match[3] !== undefined) {
+      instance.stats[match[2]] = match[3].trim();
+    }
+  }
+
+  return [...instances.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, instance]) => instance.stats);
+}
+
+// Noise floor in dBFS: astats' own estimate where the build has one, otherwise the
+// level of the quietest window
+function noiseFloor(stats) {
+  const value = parseFloat(stats['Noise floor dB'] ?? stats['RMS trough dB']);
+  return Number.isFinite(value) ? value : null;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Before/after report for the response, from the astats around the cleanup filters
+function describeVoice(plan, encodeStderr) {
+  const [before, after] = parseAstatsOutput(encodeStderr || '');
+  const difference = (a, b) => a !== null && b !== null ? round(a - b) : null;
+
+  const floorBefore = before ? noiseFloor(before) : null;
+  const floorAfter = after ? noiseFloor(after) : null;
+  const seconds = stats => {
+    const samples = parseInt(stats?.['Number of samples'], 10);
+    return plan.sampleRate && Number.isFinite(samples) ? round(samples / plan.sampleRate) : null;
+  };
+  const durationBefore = seconds(before);
+  const durationAfter = seconds(after);
+
+  return {
+    strength: plan.settings.strength,
+    steps: plan.steps,
+    noiseFloor: {
+      before: floorBefore === null ? null : round(floorBefore),
+      after: floorAfter === null ? null : round(floorAfter),
+      reduction: difference(floorBefore, floorAfter)
+    },
+    duration: {
+      before: durationBefore,
+      after: durationAfter,
+      saved: difference(durationBefore, durationAfter)
+    }
+  };
+}
+
+module.exports = { VOICE_STRENGTHS, VOICE_MS_PER_AUDIO_SECOND, parseVoiceOption, planVoiceCleanup, voiceFilterChain, parseAstatsOutput, describeVoice };
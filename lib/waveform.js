@@ -0,0 +1,166 @@
+const { spawn } = require('child_process');
+const { RequestError, ValidationError, TimeoutError } = require('./errors');
+const { applyEditArgs } = require('./edits');
+
+const DEFAULT_PIXELS_PER_SECOND = 20;
+const MAX_PIXELS_PER_SECOND = 1000;
+const MIN_POINTS = 10;
+const MAX_POINTS = 100000;
+
+// Rough cost of decoding for the waveform, used for time estimates
+const WAVEFORM_MS_PER_AUDIO_SECOND = 5;
+
+// waveform: true for the defaults, or { pixelsPerSecond | points, bits: 8 | 16 }
+// (a JSON string for uploads). Returns null when no waveform was asked for.
+function parseWaveformOption(value) {
+  if (value === undefined || value === null || value === '' || value === false || value === 'false') {
+    return null;
+  }
+
+  if (typeof value === 'string' && value !== 'true' && value !== '1') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      throw new ValidationError("waveform must be true or an object like { \"pixelsPerSecond\": 20, \"bits\": 8 }");
+    }
+  }
+  const settings = typeof value === 'object' && value !== null ? value : {};
+  if (Array.isArray(settings)) {
+    throw new ValidationError("waveform must be true or an object");
+  }
+
+  if (settings.pixelsPerSecond != null && settings.points != null) {
+    throw new ValidationError("Use either waveform.pixelsPerSecond or waveform.points, not both");
+  }
+
+  const bits = Number(settings.bits ?? 8);
+  if (bits !== 8 && bits !== 16) {
+    throw new ValidationError(`waveform.bits must be 8 or 16, got ${settings.bits}`);
+  }
+
+  if (settings.points != null) {
+    const points = Number(settings.points);
+    if (!Number.isInteger(points) || points < MIN_POINTS || points > MAX_POINTS) {
+      throw new ValidationError(`waveform.points must be a whole number from ${MIN_POINTS} to ${MAX_POINTS}`);
+    }
+    return { pixelsPerSecond: null, points, bits };
+  }
+
+  const pixelsPerSecond = Number(settings.pixelsPerSecond ?? DEFAULT_PIXELS_PER_SECOND);
+  if (!Number.isFinite(pixelsPerSecond) || pixelsPerSecond <= 0 || pixelsPerSecond > MAX_PIXELS_PER_SECOND) {
+    throw new ValidationError(`waveform.pixelsPerSecond must be above 0 and at most ${MAX_PIXELS_PER_SECOND}`);
+  }
+  return { pixelsPerSecond, points: null, bits };
+}
+
+// Samples per output point for the settings, checked against the point limit
+function samplesPerPixel(settings, sampleRate, durationSeconds) {
+  if (settings.points) {
+    if (!durationSeconds) {
+      throw new RequestError("waveform.points needs a known duration; use waveform.pixelsPerSecond for this file", 422, 'duration_unknown');
+    }
+    return Math.max(1, Math.ceil((durationSeconds * sampleRate) / settings.points));
+  }
+
+  const perPixel = Math.max(1, Math.round(sampleRate / settings.pixelsPerSecond));
+  if (durationSeconds && (durationSeconds * sampleRate) / perPixel > MAX_POINTS) {
+    throw new ValidationError(`waveform would have more than ${MAX_POINTS} points for ${durationSeconds.toFixed(1)}s of audio; lower waveform.pixelsPerSecond`);
+  }
+  return perPixel;
+}
+
+// Decode the input (through the same edits and filters as the conversion) to mono 16-bit
+// PCM and collect min/max pairs. Returns audiowaveform/peaks.js JSON (version 2).
+function generateWaveform({ ffmpegPath, inputPath, editArgs, extraFilters = [], sampleRate, settings, timeoutMs, logger }) {
+  return new Promise((resolve, reject) => {
+    const rate = sampleRate || 44100;
+    const perPixel = samplesPerPixel(settings, rate, editArgs.expectedDuration);
+    const args = applyEditArgs(
+      ['-hide_banner', '-nostats', '-i', inputPath, '-vn', '-ac', '1', '-ar', String(rate), '-f', 's16le', '-acodec', 'pcm_s16le', '-'],
+      editArgs,
+      extraFilters
+    );
+
+    logger.log('Generating waveform:', { samplesPerPixel: perPixel, bits: settings.bits });
+    const decodeProcess = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const data = [];
+    const shift = settings.bits === 8 ? 8 : 0; // 8-bit peaks are the top byte of the sample
+    let min = 0;
+    let max = 0;
+    let count = 0;
+    let leftover = null;
+    let stderr = '';
+
+    decodeProcess.stdout.on('data', (chunk) => {
+      if (leftover) {
+        chunk = Buffer.concat([leftover, chunk]);
+        leftover = null;
+      }
+      const usable = chunk.length - (chunk.length % 2);
+      for (let offset = 0; offset < usable; offset += 2) {
+        const sample = chunk.readInt16LE(offset);
+        if (count === 0) {
+          min = sample;
+          max = sample;
+        } else if (sample < min) {
+          min = sample;
+        } else if (sample > max) {
+          max = sample;
+        }
+        if (++count === perPixel) {
+          data.push(min >> shift, max >> shift);
+          count = 0;
+        }
+      }
+      if (usable < chunk.length) {
+        leftover = chunk.slice(usable);
+      }
+    });
+
+    decodeProcess.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    const timeout = setTimeout(() => {
+      decodeProcess.kill('SIGKILL');
+      reject(new TimeoutError(`Waveform generation timed out after ${timeoutMs}ms`, 'waveform_timeout'));
+    }, timeoutMs);
+
+    decodeProcess.on('close', (code) => {
+      clearTimeout(timeout);
+      if (code !== 0) {
+        reject(new Error(`Waveform decode failed (code ${code}): ${stderr.slice(-300)}`));
+        return;
+      }
+      if (count > 0) {
+        data.push(min >> shift, max >> shift);
+      }
+      // Decoders can emit a few samples more than the probed duration; fold them into the
+      // last point so a fixed point count is exact
+      while (settings.points && data.length / 2 > settings.points) {
+        const [extraMin, extraMax] = data.splice(-2, 2);
+        data[data.length - 2] = Math.min(data[data.length - 2], extraMin);
+        data[data.length - 1] = Math.max(data[data.length - 1], extraMax);
+      }
+
+      logger.log(`Waveform ready: ${data.length / 2} points`);
+      resolve({
+        version: 2,
+        channels: 1,
+        sample_rate: rate,
+        samples_per_pixel: perPixel,
+        bits: settings.bits,
+        length: data.length / 2,
+        data
+      });
+    });
+
+    decodeProcess.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+  });
+}
+
+module.exports = { WAVEFORM_MS_PER_AUDIO_SECOND, parseWaveformOption, samplesPerPixel, generateWaveform };
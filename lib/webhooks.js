@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { ValidationError } = require('./errors');
+const { loadApiKeys } = require('./auth');
+const { assertSafeCallbackUrl, httpAgent, httpsAgent } = require('./source-guard');
+const { downloadSigningSecret, signDownloadUrl } = require('./signed-urls');
+
+const MAX_CALLBACK_URL_LENGTH = 2048;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const ATTEMPT_TIMEOUT = 5000;
+// Backoff between attempts: 1s, 2s, 4s, ... up to 30s, plus up to 25% jitter
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Attempts per callback, including the first (WEBHOOK_MAX_ATTEMPTS)
+function maxAttempts() {
+  const attempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10);
+  return attempts > 0 ? attempts : DEFAULT_MAX_ATTEMPTS;
+}
+
+function retryDelay(attempt) {
+  const delay = Math.min(BASE_RETRY_DELAY * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+  return delay + Math.floor(Math.random() * delay * 0.25);
+}
+
+// Signing secret for a key's callbacks: its "webhookSecret", else WEBHOOK_SECRET.
+// Looked up by key name at delivery time so secrets never end up in job state.
+function webhookSecretFor(keyName) {
+  const entry = loadApiKeys().find(key => key.name === keyName && key.webhookSecret);
+  return entry ? entry.webhookSecret : (process.env.WEBHOOK_SECRET || null);
+}
+
+// "sha256=<hex>" over "<timestamp>.<body>", so a captured payload can't be replayed
+// later with a fresh timestamp
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Validate body.callbackUrl for a key. Returns the URL, or null when none was given.
+async function parseCallbackUrl(value, apiKey) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > MAX_CALLBACK_URL_LENGTH) {
+    throw new ValidationError(`callbackUrl must be a URL of at most ${MAX_CALLBACK_URL_LENGTH} characters`);
+  }
+  if (!webhookSecretFor(apiKey.name)) {
+    throw new ValidationError(`API key "${apiKey.name}" has no webhook secret configured, so callbackUrl can't be used`, 'webhook_secret_missing');
+  }
+
+  await assertSafeCallbackUrl(value);
+  return value;
+}
+
+// Initial callback state kept on a job
+function pendingCallback(url) {
+  return url ? { url, status: 'pending', attempts: 0, lastError: null, deliveredAt: null } : null;
+}
+
+// Signed download link for a finished job's result, when links can be signed. The result
+// is already in result storage, so the link points straight at it.
+function callbackDownload(job) {
+  if (!job.result?.storageKey || !downloadSigningSecret()) {
+    return null;
+  }
+  return signDownloadUrl({ key: job.result.storageKey, fileName: `converted_${job.id}${job.result.format}` });
+}
+
+// Body POSTed to the callback URL. Locations are absolute when the site URL is known.
+function buildCallbackPayload(job) {
+  const siteUrl = process.env.URL || '';
+  const payload = {
+    event: job.status === 'completed' ? 'job.completed' : 'job.failed',
+    jobId: job.id,
+    status: job.status,
+    completedAt: job.completedAt || null,
+    result: null,
+    error: null
+  };
+
+  if (job.status === 'completed') {
+    const download = callbackDownload(job);
+    const { result } = job;
+    payload.result = {
+      format: result.format,
+      contentType: result.contentType,
+      fileSize: result.fileSize,
+      duration: result.duration ?? null,
+      location: result.location ? `${siteUrl}${result.location}` : null,
+      downloadUrl: download ? download.url : null,
+      expiresAt: download ? download.expiresAt : null,
+      ...(result.split ? { split: result.split } : {}),
+      ...(result.items ? { completed: result.completed, failed: result.failed } : {})
+    };
+  } else {
+    payload.error = { statusCode: job.error.statusCode, code: job.error.code, error: job.error.error };
+  }
+
+  return payload;
+}
+
+// One POST. Resolves { delivered, retry, error }: network errors, timeouts, 408, 429 and
+// 5xx are worth retrying, other answers are final. Redirects are not followed.
+async function postCallback(url, body, headers) {
+  try {
+    await assertSafeCallbackUrl(url);
+  } catch (err) {
+    return { delivered: false, retry: false, error: err.message };
+  }
+
+  try {
+    const response = await axios.post(url, body, {
+      headers,
+      timeout: ATTEMPT_TIMEOUT,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      validateStatus: () => true,
+      transformRequest: [data => data]
+    });
+    if (response.status >= 200 && response.status < 300) {
+      return { delivered: true };
+    }
+    const retry = response.status === 408 || response.status === 429 || response.status >= 500;
+    return { delivered: false, retry, error: `Callback answered ${response.status}` };
+  } catch (err) {
+    return { delivered: false, retry: true, error: err.code || err.message };
+  }
+}
+
+// POST a finished job's outcome to its callback URL, retrying with exponential backoff.
+// Delivery state is recorded on the job; failures are logged, never thrown.
+async function deliverCallback(job, store, logger) {
+  if (!job.callback?.url) {
+    return job;
+  }
+
+  const secret = webhookSecretFor(job.owner);
+  if (!secret) {
+    logger.error(`Callback for job ${job.id} not sent: no webhook secret for key "${job.owner}"`);
+    return store.update(job.id, { callback: { ...job.callback, status: 'failed', lastError: 'No webhook secret configured' } });
+  }
+
+  const body = JSON.stringify(buildCallbackPayload(job));
+  // Same id on every attempt so receivers can drop duplicates
+  const deliveryId = crypto.randomUUID();
+  const attempts = maxAttempts();
+  let outcome = null;
+  let attempt = 0;
+
+  while (attempt < attempts) {
+    attempt++;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    outcome = await postCallback(job.callback.url, body, {
+      "Content-Type": "application/json",
+      "User-Agent": "Netlify-Audio-Converter/1.0",
+      "X-Webhook-Id": deliveryId,
+      "X-Webhook-Timestamp": timestamp,
+      "X-Webhook-Signature": signPayload(secret, timestamp, body)
+    });
+
+    if (outcome.delivered) {
+      logger.log(`Callback for job ${job.id} delivered on attempt ${attempt}`);
+      break;
+    }
+    logger.warn(`Callback attempt ${attempt} for job ${job.id} failed:`, outcome.error);
+    if (!outcome.retry || attempt >= attempts) {
+      break;
+    }
+    await sleep(retryDelay(attempt));
+  }
+
+  return store.update(job.id, {
+    callback: {
+      ...job.callback,
+      status: outcome.delivered ? 'delivered' : 'failed',
+      attempts: attempt,
+      lastError: outcome.delivered ? null : outcome.error,
+      deliveredAt: outcome.delivered ? new Date().toISOString() : null
+    }
+  });
+}
+
+module.exports = { webhookSecretFor, signPayload, parseCallbackUrl, pendingCallback, buildCallbackPayload, deliverCallback };
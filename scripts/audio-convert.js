@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+// Convert a local file or a URL with the same pipeline as /convert, without deploying.
+//
+//   audio-convert <url|file> [-o out.mp3] [--format mp3] [--bitrate 128k] [options]
+//
+// Options are the /convert body fields in kebab-case (--sample-rate 44100, --fade-in 2,
+// --tags '{"title":"Memo"}'); --body replays a saved JSON request body, with flags taking
+// precedence. Conversions get the background function's time limits unless --sync is given.
+// Prints a JSON summary on success; on failure, the error code and status /convert would answer.
+const fs = require('fs');
+const path = require('path');
+const { DebugLogger } = require('../lib/logger');
+const { describeError } = require('../lib/errors');
+const { getFFmpegPaths, checkAvailableEncoders, resolveEncoder, outputPathFor } = require('../lib/ffmpeg');
+const { parseConversionOptions } = require('../lib/formats');
+const { SYNC_LIMITS, ASYNC_LIMITS, createTempPaths, runConversion, cleanupTempFiles } = require('../lib/pipeline');
+
+// Request fields settable from the command line (as --kebab-case)
+const BODY_FIELDS = [
+  'format', 'bitrate', 'sampleRate', 'channels', 'preset', 'fallbackPolicy', 'maxOutputBytes',
+  'start', 'end', 'duration', 'fadeIn', 'fadeOut', 'trimSilence', 'normalize', 'voice',
+  'tags', 'coverUrl', 'waveform', 'split'
+];
+// Fields that may be given without a value to mean true; a following argument is only
+// taken as their value when it looks like one (so `--normalize memo.m4a` still works)
+const FLAG_FIELDS = ['trimSilence', 'normalize', 'voice', 'waveform'];
+const FLAG_VALUE_PATTERN = /^(true|false|light|medium|strong|-?\d+(\.\d+)?|\{.*\})$/s;
+
+const USAGE = `Usage: audio-convert <url|file> [-o output] [options]
+
+  -o, --output <path>      Where to write the result (default: input name, output extension)
+  --body <file.json>       Take options from a saved /convert request body
+  --sync                   Use the sync function's time limits (9s) instead of 14 minutes
+  --verbose                Print log lines (LOG_LEVEL=debug)
+  -h, --help               Show this help
+
+Conversion options (see README, Conversion Options):
+  ${BODY_FIELDS.map(field => '--' + kebabCase(field)).join(' ')}`;
+
+function kebabCase(name) {
+  return name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+}
+
+class UsageError extends Error {}
+
+// Split argv into the source, CLI settings and request body fields
+function parseArgs(argv) {
+  const settings = { source: null, output: null, bodyFile: null, sync: false, verbose: false, help: false };
+  const fields = {};
+  const byFlag = new Map(BODY_FIELDS.map(field => [kebabCase(field), field]));
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-')) {
+      if (settings.source) {
+        throw new UsageError(`Unexpected argument "${arg}"`);
+      }
+      settings.source = arg;
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    const next = () => {
+      if (inlineValue !== undefined) {
+        return inlineValue;
+      }
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        throw new UsageError(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+
+    if (flag === 'h' || flag === 'help') {
+      settings.help = true;
+    } else if (flag === 'o' || flag === 'output') {
+      settings.output = next();
+    } else if (flag === 'body') {
+      settings.bodyFile = next();
+    } else if (flag === 'sync') {
+      settings.sync = true;
+    } else if (flag === 'verbose') {
+      settings.verbose = true;
+    } else if (byFlag.has(flag)) {
+      const field = byFlag.get(flag);
+      const hasFlagValue = inlineValue !== undefined || FLAG_VALUE_PATTERN.test(argv[i + 1] || '');
+      fields[field] = FLAG_FIELDS.includes(field) && !hasFlagValue ? 'true' : next();
+    } else {
+      throw new UsageError(`Unknown option ${arg}`);
+    }
+  }
+
+  return { settings, fields };
+}
+
+function readBody(bodyFile) {
+  try {
+    const body = JSON.parse(fs.readFileSync(bodyFile, 'utf8'));
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+      throw new Error("not a JSON object");
+    }
+    return body;
+  } catch (err) {
+    throw new UsageError(`Could not read --body ${bodyFile}: ${err.message}`);
+  }
+}
+
+// Copy the result (and any split parts, into <output>_parts/) next to where the caller asked.
+// A fallback format keeps its own extension so the file is labelled by what it is.
+function writeOutputs(result, requestedOutput) {
+  const outputPath = path.extname(requestedOutput) === result.extension
+    ? requestedOutput
+    : outputPathFor(requestedOutput, result.format);
+  fs.copyFileSync(result.outputPath, outputPath);
+
+  let parts = null;
+  if (result.split) {
+    const partsDir = outputPath.slice(0, outputPath.length - path.extname(outputPath).length) + '_parts';
+    fs.mkdirSync(partsDir, { recursive: true });
+    parts = result.split.parts.map((part) => {
+      const partPath = path.join(partsDir, part.fileName);
+      fs.copyFileSync(part.path, partPath);
+      return { fileName: part.fileName, path: partPath, offset: part.offset, duration: part.duration, bytes: part.bytes };
+    });
+    if (result.split.playlistPath) {
+      fs.copyFileSync(result.split.playlistPath, path.join(partsDir, path.basename(result.split.playlistPath)));
+    }
+  }
+
+  return { outputPath, parts };
+}
+
+async function main() {
+  const { settings, fields } = parseArgs(process.argv.slice(2));
+  if (settings.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!settings.source) {
+    throw new UsageError("No source given");
+  }
+  if (!process.env.LOG_LEVEL) {
+    process.env.LOG_LEVEL = settings.verbose ? 'debug' : 'warn';
+  }
+
+  const isUrl = /^https?:\/\//i.test(settings.source);
+  if (!isUrl && !fs.existsSync(settings.source)) {
+    throw new UsageError(`No such file: ${settings.source}`);
+  }
+
+  const body = { ...(settings.bodyFile ? readBody(settings.bodyFile) : {}), ...fields };
+  const logger = new DebugLogger({ context: { cli: true } });
+  const startTime = Date.now();
+  let paths = null;
+
+  try {
+    const { ffmpegPath, ffprobePath } = getFFmpegPaths(logger);
+    const options = parseConversionOptions(body, null);
+    const encoderInfo = await checkAvailableEncoders(ffmpegPath, logger);
+    if (!options.legacy) {
+      options.encoder = resolveEncoder(options, encoderInfo);
+    }
+
+    paths = createTempPaths(options);
+    const result = await runConversion({
+      source: isUrl ? { url: settings.source } : { filePath: path.resolve(settings.source) },
+      options,
+      paths,
+      ffmpegPath,
+      ffprobePath,
+      encoderInfo,
+      logger,
+      startTime,
+      limits: settings.sync ? SYNC_LIMITS : ASYNC_LIMITS
+    });
+
+    const sourceName = isUrl ? path.basename(new URL(settings.source).pathname) || 'converted' : path.basename(settings.source);
+    let defaultOutput = sourceName.slice(0, sourceName.length - path.extname(sourceName).length) + result.extension;
+    if (!isUrl && path.resolve(defaultOutput) === path.resolve(settings.source)) {
+      defaultOutput = defaultOutput.slice(0, defaultOutput.length - result.extension.length) + '_converted' + result.extension;
+    }
+    const { outputPath, parts } = writeOutputs(result, settings.output || defaultOutput);
+
+    console.log(JSON.stringify({
+      output: outputPath,
+      fileSize: result.outputStats.size,
+      duration: result.outputInfo.duration,
+      format: result.extension,
+      requestedFormat: options.legacy ? null : options.format,
+      container: result.outputInfo.container,
+      codec: result.outputInfo.codec,
+      strategy: result.strategy,
+      fallbackUsed: result.fallbackUsed,
+      loudness: result.loudness,
+      voice: result.voice,
+      waveform: result.waveform,
+      parts,
+      processingTime: Date.now() - startTime,
+      requestId: logger.requestId
+    }, null, 2));
+    return 0;
+  } catch (err) {
+    const { statusCode, code } = describeError(err);
+    console.error(`audio-convert: ${err.message}`);
+    console.error(`(/convert would answer ${statusCode} ${code}; request id ${logger.requestId})`);
+    return 1;
+  } finally {
+    cleanupTempFiles(paths);
+  }
+}
+
+if (require.main === module) {
+  main().then((exitCode) => {
+    process.exitCode = exitCode;
+  }, (err) => {
+    console.error(`audio-convert: ${err.message}`);
+    if (err instanceof UsageError) {
+      console.error(USAGE);
+      process.exitCode = 2;
+    } else {
+      process.exitCode = 1;
+    }
+  });
+}
+
+module.exports = { UsageError, parseArgs };
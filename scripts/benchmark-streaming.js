@@ -0,0 +1,130 @@
+// Wall-clock comparison of the two ways a URL source gets into ffmpeg: downloading it to
+// a temp file first (STREAM_SOURCES=false) and piping it into ffmpeg while it downloads.
+//
+//   node scripts/benchmark-streaming.js [durationSeconds] [runs]
+//
+// Sources are generated with ffmpeg and served from a local server throttled to
+// BENCH_BANDWIDTH bytes per second (default 2MB/s), with a Content-Length like most CDNs.
+// Each case converts to 128k MP3 and reports the median of `runs` runs of runConversion.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFileSync } = require('child_process');
+
+process.env.SOURCE_ALLOWED_SCHEMES = 'http';
+process.env.SOURCE_ALLOW_PRIVATE_IPS = 'true';
+
+const { getFFmpegPaths, checkAvailableEncoders, resolveEncoder } = require('../lib/ffmpeg');
+const { parseConversionOptions } = require('../lib/formats');
+const { ASYNC_LIMITS, createTempPaths, runConversion, cleanupTempFiles } = require('../lib/pipeline');
+
+const durationSeconds = parseInt(process.argv[2], 10) || 120;
+const runs = parseInt(process.argv[3], 10) || 3;
+const bandwidth = parseInt(process.env.BENCH_BANDWIDTH, 10) || 2 * 1024 * 1024;
+const CHUNK_INTERVAL_MS = 20;
+
+const SOURCES = [
+  { name: 'M4A (AAC), moov first', file: 'faststart.m4a', args: ['-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart'] },
+  { name: 'M4A (AAC), moov at end', file: 'moov-end.m4a', args: ['-c:a', 'aac', '-b:a', '128k'] },
+  { name: 'MP3 192k CBR', file: 'cbr.mp3', args: ['-c:a', 'libmp3lame', '-b:a', '192k', '-write_xing', '0'] },
+  { name: 'WAV 44.1kHz stereo', file: 'pcm.wav', args: ['-c:a', 'pcm_s16le'] }
+];
+
+const quietLogger = { debug() {}, log() {}, warn() {}, error() {}, setContext() {}, span: () => ({ end() {} }) };
+
+// Serve files from dir at roughly `bandwidth` bytes per second
+function startServer(dir) {
+  const server = http.createServer((req, res) => {
+    const filePath = path.join(dir, path.basename(req.url));
+    if (!fs.existsSync(filePath)) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    const data = fs.readFileSync(filePath);
+    const chunkSize = Math.ceil(bandwidth * CHUNK_INTERVAL_MS / 1000);
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': data.length });
+
+    let offset = 0;
+    const timer = setInterval(() => {
+      res.write(data.subarray(offset, offset + chunkSize));
+      offset += chunkSize;
+      if (offset >= data.length) {
+        clearInterval(timer);
+        res.end();
+      }
+    }, CHUNK_INTERVAL_MS);
+    res.on('close', () => clearInterval(timer));
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function timeConversion({ url, streaming, ffmpegPath, ffprobePath, encoderInfo }) {
+  process.env.STREAM_SOURCES = streaming ? 'true' : 'false';
+  const options = parseConversionOptions({ url, format: 'mp3', bitrate: '128k' }, null);
+  options.encoder = resolveEncoder(options, encoderInfo);
+  const paths = createTempPaths(options);
+  const startTime = Date.now();
+
+  try {
+    await runConversion({ source: { url }, options, paths, ffmpegPath, ffprobePath, encoderInfo, logger: quietLogger, startTime, limits: ASYNC_LIMITS });
+    return Date.now() - startTime;
+  } finally {
+    cleanupTempFiles(paths);
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function main() {
+  const { ffmpegPath, ffprobePath } = getFFmpegPaths(quietLogger);
+  const encoderInfo = await checkAvailableEncoders(ffmpegPath, quietLogger);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bench-streaming-'));
+
+  console.log(`Generating ${durationSeconds}s sources...`);
+  for (const source of SOURCES) {
+    execFileSync(ffmpegPath, ['-v', 'error', '-y', '-f', 'lavfi', '-i', `sine=frequency=440:duration=${durationSeconds}`, '-ac', '2', ...source.args, path.join(dir, source.file)]);
+  }
+
+  const server = await startServer(dir);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  console.log(`Serving at ${Math.round(bandwidth / 1024)}KB/s, median of ${runs} runs, output mp3 128k\n`);
+
+  const rows = [];
+  try {
+    for (const source of SOURCES) {
+      const url = `${baseUrl}/${source.file}`;
+      const times = { file: [], stream: [] };
+      for (let run = 0; run < runs; run++) {
+        times.file.push(await timeConversion({ url, streaming: false, ffmpegPath, ffprobePath, encoderInfo }));
+        times.stream.push(await timeConversion({ url, streaming: true, ffmpegPath, ffprobePath, encoderInfo }));
+      }
+
+      const fileMs = median(times.file);
+      const streamMs = median(times.stream);
+      rows.push({
+        source: source.name,
+        size: `${(fs.statSync(path.join(dir, source.file)).size / 1024 / 1024).toFixed(1)}MB`,
+        'temp file (ms)': fileMs,
+        'streamed (ms)': streamMs,
+        change: `${streamMs <= fileMs ? '-' : '+'}${Math.round(Math.abs(fileMs - streamMs) / fileMs * 100)}%`
+      });
+    }
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.table(rows);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
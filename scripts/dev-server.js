@@ -0,0 +1,253 @@
+// Local stand-in for Netlify: serves functions/ at /.netlify/functions/<name>, applies the
+// [[redirects]] and [[headers]] from netlify.toml (so /api/* works) and turns each request
+// into the event Netlify would pass to exports.handler.
+//
+//   npm run dev [-- --port 8888]
+//
+// Variables from .env are loaded unless already set. URL defaults to this server, so async
+// jobs are dispatched to convert-background here (JOB_RUNNER=inline keeps them in-process)
+// and download links point here too. Handlers are loaded once; use `node --watch` to reload.
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FUNCTIONS_DIR = path.join(ROOT_DIR, 'functions');
+const FUNCTIONS_PREFIX = '/.netlify/functions/';
+// Netlify's limit on request and response payloads; over it a deploy fails where this only warns
+const PAYLOAD_LIMIT_BYTES = 6 * 1024 * 1024;
+// Bodies of these types reach functions as text; anything else is base64 with isBase64Encoded
+const TEXT_CONTENT_TYPES = [/^text\//, /^application\/(json|x-www-form-urlencoded|xml|javascript)\b/, /\+json\b/];
+
+// KEY=VALUE lines, without overriding the environment
+function loadEnvFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    const match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (match && process.env[match[1]] === undefined) {
+      process.env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+  }
+}
+
+// The part of TOML netlify.toml uses for redirects and headers: [[tables]], [sub.tables]
+// and key = "string" / number / boolean lines
+function readNetlifyConfig(filePath) {
+  const config = { redirects: [], headers: [] };
+  let current = null;
+
+  for (const rawLine of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    const line = rawLine.replace(/^\s*#.*$/, '').trim();
+    const arrayTable = /^\[\[(\w+)\]\]$/.exec(line);
+    const table = /^\[([\w."-]+)\]$/.exec(line);
+    const pair = /^("?[\w-]+"?)\s*=\s*(.+)$/.exec(line);
+
+    if (arrayTable) {
+      current = config[arrayTable[1]] ? {} : null;
+      if (current) {
+        config[arrayTable[1]].push(current);
+      }
+    } else if (table) {
+      // [headers.values] belongs to the last [[headers]]; other tables aren't needed here
+      current = table[1] === 'headers.values' && config.headers.length > 0
+        ? (config.headers[config.headers.length - 1].values = {})
+        : null;
+    } else if (pair && current) {
+      current[pair[1].replace(/"/g, '')] = JSON.parse(pair[2]);
+    }
+  }
+
+  return config;
+}
+
+// Match a netlify.toml path pattern ("/api/*", ":name" placeholders) against a path.
+// Returns the placeholder values (splat for the *) or null.
+function matchPattern(pattern, pathname) {
+  const names = [];
+  const source = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/:(\w+)|\*/g, (placeholder, name) => {
+    names.push(name || 'splat');
+    return name ? '([^/]+)' : '(.*)';
+  });
+  const match = new RegExp(`^${source}$`).exec(pathname);
+  return match ? Object.fromEntries(names.map((name, index) => [name, match[index + 1]])) : null;
+}
+
+// First redirect rule matching the path, as { to, status }
+function applyRedirects(redirects, pathname) {
+  for (const rule of redirects) {
+    const params = matchPattern(rule.from, pathname);
+    if (params) {
+      const to = rule.to.replace(/:(\w+)/g, (placeholder, name) => params[name] ?? placeholder);
+      return { to, status: rule.status || 301 };
+    }
+  }
+  return null;
+}
+
+// Headers from [[headers]] rules that match the path
+function configuredHeaders(rules, pathname) {
+  return Object.assign({}, ...rules.filter(rule => matchPattern(rule.for, pathname)).map(rule => rule.values || {}));
+}
+
+// The event Netlify builds for a function call. path is the path the client asked for,
+// before any rewrite.
+function toEvent(req, url, body) {
+  const contentType = req.headers['content-type'] || '';
+  const isText = body.length === 0 || TEXT_CONTENT_TYPES.some(pattern => pattern.test(contentType));
+  const multiValueQueryStringParameters = {};
+  for (const [name, value] of url.searchParams) {
+    (multiValueQueryStringParameters[name] = multiValueQueryStringParameters[name] || []).push(value);
+  }
+
+  return {
+    path: url.pathname,
+    httpMethod: req.method,
+    headers: { ...req.headers },
+    queryStringParameters: Object.fromEntries(Object.entries(multiValueQueryStringParameters).map(([name, values]) => [name, values.join(',')])),
+    multiValueQueryStringParameters,
+    rawUrl: url.href,
+    rawQuery: url.search.substring(1),
+    body: body.length === 0 ? null : body.toString(isText ? 'utf8' : 'base64'),
+    isBase64Encoded: !isText
+  };
+}
+
+function loadHandler(name) {
+  const filePath = path.join(FUNCTIONS_DIR, `${name}.js`);
+  if (!/^[\w-]+$/.test(name) || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return require(filePath).handler;
+}
+
+// The whole request body; rejects when the client goes away before sending all of it
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+    req.on('close', () => {
+      if (!req.complete) {
+        reject(new Error("Request aborted before the body was complete"));
+      }
+    });
+  });
+}
+
+function send(res, statusCode, headers, body) {
+  res.writeHead(statusCode, headers);
+  res.end(body);
+}
+
+// Route one request like Netlify would: redirects, then the function named by the path
+async function handleRequest(config, req, res) {
+  const startTime = Date.now();
+  let url;
+  try {
+    url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  } catch (err) {
+    send(res, 400, { "Content-Type": "text/plain" }, 'Bad request URL or Host header\n');
+    console.log(`${req.method} ${req.url} 400 (${err.message})`);
+    return;
+  }
+  let target = url.pathname;
+
+  const redirect = applyRedirects(config.redirects, url.pathname);
+  if (redirect && redirect.status >= 300 && redirect.status < 400) {
+    send(res, redirect.status, { "Location": redirect.to + url.search }, '');
+    return;
+  }
+  if (redirect) {
+    target = redirect.to;
+  }
+
+  const name = target.startsWith(FUNCTIONS_PREFIX) ? target.substring(FUNCTIONS_PREFIX.length).split('/')[0] : null;
+  const handler = name ? loadHandler(name) : null;
+  if (!handler) {
+    send(res, 404, { "Content-Type": "text/plain" }, 'Not found\n');
+    console.log(`${req.method} ${url.pathname} 404`);
+    return;
+  }
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (err) {
+    send(res, 400, { "Content-Type": "text/plain" }, `Could not read the request body: ${err.message}\n`);
+    console.log(`${req.method} ${url.pathname} 400 (${err.message})`);
+    return;
+  }
+  if (body.length > PAYLOAD_LIMIT_BYTES) {
+    console.warn(`Request body is ${body.length} bytes; Netlify rejects payloads over ${PAYLOAD_LIMIT_BYTES}`);
+  }
+  const event = toEvent(req, url, body);
+  const headers = configuredHeaders(config.headers, target);
+
+  // Background functions answer 202 right away and keep running
+  if (name.endsWith('-background')) {
+    send(res, 202, headers, '');
+    console.log(`${req.method} ${url.pathname} -> ${name} 202 (background)`);
+    Promise.resolve(handler(event, {})).then(
+      result => console.log(`${name} finished with ${result?.statusCode} after ${Date.now() - startTime}ms`),
+      err => console.error(`${name} threw:`, err)
+    );
+    return;
+  }
+
+  let result;
+  try {
+    result = await handler(event, {});
+  } catch (err) {
+    console.error(`${name} threw:`, err);
+    send(res, 500, { ...headers, "Content-Type": "text/plain" }, `Function ${name} threw: ${err.message}\n`);
+    return;
+  }
+
+  const responseBody = result.body ? Buffer.from(result.body, result.isBase64Encoded ? 'base64' : 'utf8') : Buffer.alloc(0);
+  // Netlify counts the body as sent by the function, i.e. after base64 encoding
+  if (Buffer.byteLength(result.body || '') > PAYLOAD_LIMIT_BYTES) {
+    console.warn(`Response body is ${Buffer.byteLength(result.body)} bytes; Netlify fails responses over ${PAYLOAD_LIMIT_BYTES}`);
+  }
+  send(res, result.statusCode || 200, { ...headers, ...result.headers, ...result.multiValueHeaders }, responseBody);
+  console.log(`${req.method} ${url.pathname} -> ${name} ${result.statusCode || 200} (${Date.now() - startTime}ms, ${responseBody.length} bytes)`);
+}
+
+// Anything a request breaks is answered (or the connection dropped) rather than left as an
+// unhandled rejection, which would stop the server
+function createDevServer(config) {
+  return http.createServer((req, res) => {
+    handleRequest(config, req, res).catch((err) => {
+      console.error(`${req.method} ${req.url} failed:`, err);
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        send(res, 500, { "Content-Type": "text/plain" }, `Dev server error: ${err.message}\n`);
+      }
+    });
+  });
+}
+
+function main() {
+  const portArg = process.argv.indexOf('--port');
+  const port = parseInt(portArg !== -1 ? process.argv[portArg + 1] : process.env.PORT, 10) || 8888;
+
+  loadEnvFile(path.join(ROOT_DIR, '.env'));
+  process.env.URL = process.env.URL || `http://localhost:${port}`;
+  const config = readNetlifyConfig(path.join(ROOT_DIR, 'netlify.toml'));
+
+  createDevServer(config).listen(port, () => {
+    console.log(`Functions at http://localhost:${port}${FUNCTIONS_PREFIX}<name>`);
+    for (const rule of config.redirects) {
+      console.log(`Redirect ${rule.from} -> ${rule.to} (${rule.status || 301})`);
+    }
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { readNetlifyConfig, applyRedirects, toEvent, createDevServer };
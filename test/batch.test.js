@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { jsonEvent, uploadEvent, bodyBuffer, jsonBody, assertProblem } = require('./helpers/events');
+const { createFixtures, probeMedia } = require('./helpers/media');
+const { startSourceServer } = require('./helpers/source-server');
+const { getJob, waitForJob } = require('./helpers/jobs');
+const { handler } = require('../functions/batch');
+
+let fixtures;
+let server;
+
+test.before(async () => {
+  fixtures = createFixtures();
+  server = await startSourceServer(fixtures.dir);
+});
+
+test.after(async () => {
+  await server.close();
+  fixtures.remove();
+});
+
+// Entries of a ZIP with stored (uncompressed) entries, read from the local headers
+function readZip(buffer) {
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const dataStart = offset + 30 + nameLength + buffer.readUInt16LE(offset + 28);
+    entries[buffer.toString('utf8', offset + 30, offset + 30 + nameLength)] = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + size;
+  }
+  return entries;
+}
+
+const ITEMS = () => [
+  { url: server.url('/files/tone.m4a'), format: 'mp3', name: 'intro' },
+  { url: server.url('/files/notes.txt'), format: 'mp3' },
+  { url: server.url('/files/tone.mp3'), format: 'opus' }
+];
+
+test('the manifest lists every item in order, and one failure fails only that item', async () => {
+  const response = await handler(jsonEvent({ items: ITEMS(), defaults: { bitrate: '64k' } }));
+  const manifest = jsonBody(response);
+
+  assert.equal(response.statusCode, 200, response.body);
+  assert.equal(response.headers['X-Batch-Completed'], '2');
+  assert.equal(response.headers['X-Batch-Failed'], '1');
+  assert.equal(manifest.success, false);
+  assert.deepEqual(manifest.items.map(item => item.status), ['completed', 'failed', 'completed']);
+
+  const [intro, notes, tone] = manifest.items;
+  assert.equal(intro.fileName, '01-intro.mp3');
+  assert.equal(probeMedia(Buffer.from(intro.fileData, 'base64')).codec, 'mp3');
+  assert.equal(notes.code, 'unsupported_media');
+  assert.equal(notes.debug, undefined);
+  assert.equal(tone.fileName, '03-tone.opus');
+  assert.equal(probeMedia(Buffer.from(tone.fileData, 'base64')).codec, 'opus');
+});
+
+test('output "zip" returns the outputs and manifest.json in a ZIP', async () => {
+  const response = await handler(jsonEvent({ items: ITEMS(), output: 'zip' }));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Content-Type'], 'application/zip');
+  const entries = readZip(bodyBuffer(response));
+  assert.deepEqual(Object.keys(entries), ['01-intro.mp3', '03-tone.opus', 'manifest.json']);
+  assert.equal(probeMedia(entries['01-intro.mp3']).codec, 'mp3');
+  const manifest = JSON.parse(entries['manifest.json']);
+  assert.equal(manifest.completed, 2);
+  assert.equal(manifest.items[0].fileData, undefined);
+});
+
+test('request-level problems fail the whole batch', async () => {
+  assertProblem(await handler(jsonEvent({ items: [] })), 400, 'validation_failed');
+  assertProblem(await handler(jsonEvent({ items: ITEMS(), output: 'tar' })), 400, 'validation_failed');
+  assertProblem(await handler(jsonEvent({ items: ITEMS(), concurrency: 99 })), 400, 'validation_failed');
+  assertProblem(await handler(jsonEvent({ items: Array(21).fill({ url: server.url('/files/tone.m4a') }) })), 400, 'validation_failed');
+  assertProblem(await handler(uploadEvent(fixtures.read('tone.m4a'), 'audio/mp4')), 400, 'validation_failed');
+});
+
+test('?async=1 runs the batch as a job whose result is the ZIP', async () => {
+  const queued = await handler(jsonEvent({ items: ITEMS() }, { query: { async: '1' } }));
+  assert.equal(queued.statusCode, 202, queued.body);
+  const { jobId } = jsonBody(queued);
+
+  const job = await waitForJob(jobId);
+  assert.equal(job.status, 'completed', JSON.stringify(job.error));
+  assert.equal(job.progress, 100);
+  assert.equal(job.result.completed, 2);
+  assert.equal(job.result.failed, 1);
+
+  const result = await getJob(`${jobId}/result`);
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.headers['Content-Type'], 'application/zip');
+  assert.ok(readZip(bodyBuffer(result))['manifest.json']);
+});
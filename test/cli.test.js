@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+require('./helpers/events'); // test environment
+const { createFixtures, probeMedia } = require('./helpers/media');
+const { UsageError, parseArgs } = require('../scripts/audio-convert');
+
+const CLI_PATH = path.join(__dirname, '..', 'scripts', 'audio-convert.js');
+let fixtures;
+
+test.before(() => {
+  fixtures = createFixtures();
+});
+
+test.after(() => {
+  fixtures.remove();
+});
+
+// Run the CLI and resolve with { code, stdout, stderr }
+function runCli(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI_PATH, ...args], { timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('parseArgs maps kebab-case flags to body fields', () => {
+  const { settings, fields } = parseArgs(['memo.m4a', '-o', 'out.mp3', '--format', 'mp3', '--sample-rate=22050', '--fade-in', '2', '--sync']);
+
+  assert.equal(settings.source, 'memo.m4a');
+  assert.equal(settings.output, 'out.mp3');
+  assert.equal(settings.sync, true);
+  assert.deepEqual(fields, { format: 'mp3', sampleRate: '22050', fadeIn: '2' });
+});
+
+test('parseArgs takes a value for a flag field only when it looks like one', () => {
+  assert.deepEqual(parseArgs(['--normalize', 'memo.m4a']), {
+    settings: { source: 'memo.m4a', output: null, bodyFile: null, sync: false, verbose: false, help: false },
+    fields: { normalize: 'true' }
+  });
+  assert.equal(parseArgs(['--normalize', '-23', 'memo.m4a']).fields.normalize, '-23');
+  assert.equal(parseArgs(['--voice', 'strong', 'memo.m4a']).fields.voice, 'strong');
+  assert.equal(parseArgs(['--waveform', '{"bits":16}', 'memo.m4a']).fields.waveform, '{"bits":16}');
+  assert.equal(parseArgs(['memo.m4a', '--trim-silence']).fields.trimSilence, 'true');
+});
+
+test('parseArgs rejects unknown options, missing values and a second source', () => {
+  assert.throws(() => parseArgs(['--colour', 'red']), err => err instanceof UsageError && /Unknown option --colour/.test(err.message));
+  assert.throws(() => parseArgs(['memo.m4a', '--format']), err => err instanceof UsageError && /--format needs a value/.test(err.message));
+  assert.throws(() => parseArgs(['--bitrate', '--format', 'mp3']), /--bitrate needs a value/);
+  assert.throws(() => parseArgs(['a.m4a', 'b.m4a']), /Unexpected argument "b.m4a"/);
+});
+
+test('converts a file and prints a summary', async () => {
+  const outputPath = path.join(fixtures.dir, 'cli-output.opus');
+  const { code, stdout } = await runCli([fixtures.path('tone.m4a'), '--format', 'opus', '--bitrate', '48k', '-o', outputPath]);
+
+  assert.equal(code, 0);
+  const summary = JSON.parse(stdout);
+  assert.equal(summary.output, outputPath);
+  assert.equal(summary.format, '.opus');
+  assert.equal(probeMedia(outputPath).codec, 'opus');
+  assert.equal(fs.statSync(outputPath).size, summary.fileSize);
+});
+
+test('exits 1 with the /convert error code, and 2 for usage errors', async () => {
+  const failed = await runCli([fixtures.path('notes.txt'), '--format', 'mp3']);
+  assert.equal(failed.code, 1);
+  assert.match(failed.stderr, /\/convert would answer 415 unsupported_media/);
+
+  const usage = await runCli(['--format', 'mp3']);
+  assert.equal(usage.code, 2);
+  assert.match(usage.stderr, /No source given/);
+  assert.match(usage.stderr, /Usage: audio-convert/);
+});
@@ -0,0 +1,569 @@
+const test = require('node:test');
+const http = require('http');
+const assert = require('node:assert/strict');
+const { withEnv, baseEvent, jsonEvent, uploadEvent, multipartEvent, bodyBuffer, jsonBody, assertProblem } = require('./helpers/events');
+const { SOURCE_TAGS, createFixtures, probeMedia, measureLevels } = require('./helpers/media');
+const { startSourceServer } = require('./helpers/source-server');
+const { SYNC_LIMITS, MAX_INPUT_SIZE } = require('../lib/pipeline');
+const { handler } = require('../functions/convert');
+
+let fixtures;
+let server;
+
+test.before(async () => {
+  fixtures = createFixtures();
+  server = await startSourceServer(fixtures.dir);
+});
+
+test.after(async () => {
+  await server.close();
+  fixtures.remove();
+});
+
+// Assert the source server saw a response cut off by the client, after little more than
+// maxBytes when given
+async function assertClosedEarly(pathname, maxBytes = null) {
+  let response;
+  for (let waited = 0; !response && waited < 2000; waited += 20) {
+    response = server.served.find(served => served.path === pathname && !served.checked);
+    if (!response) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+  assert.ok(response, `${pathname} was not closed`);
+  response.checked = true;
+  assert.equal(response.closedEarly, true);
+  if (maxBytes) {
+    assert.ok(response.bytesSent < maxBytes + 8 * 1024 * 1024, `${response.bytesSent} bytes sent`);
+  }
+}
+
+// Assert a binary audio response and return what ffprobe finds in it
+function assertAudio(response, contentType, codec) {
+  assert.equal(response.statusCode, 200, response.isBase64Encoded ? null : response.body);
+  assert.equal(response.headers['Content-Type'], contentType);
+  assert.equal(response.headers['X-Output-Codec'], codec);
+  const output = probeMedia(bodyBuffer(response));
+  assert.equal(output.codec, codec);
+  return output;
+}
+
+test.describe('conversions', () => {
+  test('URL source, web M4A to MP3 (streamed)', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/tone.m4a'), format: 'mp3', bitrate: '64k' }));
+
+    assertAudio(response, 'audio/mpeg', 'mp3');
+    assert.equal(response.headers['X-Fallback-Used'], 'false');
+    assert.match(response.headers['Content-Disposition'], /converted\.mp3/);
+  });
+
+  test('URL source, iOS M4A with moov at the end to M4A', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/voice-memo.m4a'), format: 'm4a' }));
+
+    const output = assertAudio(response, 'audio/mp4', 'aac');
+    assert.ok(Math.abs(output.duration - 10) < 0.2, `duration ${output.duration}`);
+  });
+
+  test('URL source with the phone cascade', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/voice-memo.m4a') }));
+
+    const output = assertAudio(response, 'audio/aac', 'aac');
+    assert.equal(response.headers['X-Output-Format'], '.aac');
+    assert.equal(output.sampleRate, 11025);
+  });
+
+  test('Accept header picks the format', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/tone.mp3') }, { headers: { accept: 'audio/flac' } }));
+
+    assertAudio(response, 'audio/flac', 'flac');
+  });
+
+  test('follows a redirect', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/redirect/1/tone.mp3'), format: 'opus' }));
+
+    assertAudio(response, 'audio/ogg', 'opus');
+  });
+
+  test('waits for a slow source within the request timeout', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/slow/1000/tone.mp3'), format: 'mp3' }));
+
+    assertAudio(response, 'audio/mpeg', 'mp3');
+  });
+
+  test('raw audio upload', async () => {
+    const response = await handler(uploadEvent(fixtures.read('voice-memo.m4a'), 'audio/mp4', { query: { format: 'wav' } }));
+
+    assertAudio(response, 'audio/wav', 'pcm_s16le');
+  });
+
+  test('multipart upload', async () => {
+    const response = await handler(multipartEvent(
+      { format: 'aac', bitrate: '48k' },
+      { name: 'memo.m4a', contentType: 'audio/mp4', data: fixtures.read('tone.m4a') }
+    ));
+
+    assertAudio(response, 'audio/aac', 'aac');
+  });
+
+  test('maxOutputBytes is met by lowering the bitrate', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/long.mp3'), format: 'mp3', maxOutputBytes: 65536 }));
+
+    assertAudio(response, 'audio/mpeg', 'mp3');
+    assert.ok(bodyBuffer(response).length <= 65536);
+  });
+
+  test('voice preset cleans up a voice memo and reports before and after', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/speech.m4a'), preset: 'voice' }));
+
+    const output = assertAudio(response, 'audio/mp4', 'aac');
+    assert.equal(output.sampleRate, 24000);
+    assert.equal(output.channels, 1);
+    const report = JSON.parse(response.headers['X-Voice-Cleanup']);
+    assert.equal(report.strength, 'medium');
+    assert.ok(report.noiseFloor.after < report.noiseFloor.before, JSON.stringify(report.noiseFloor));
+    assert.equal(report.duration.before, 12);
+    assert.ok(report.duration.saved > 1, JSON.stringify(report.duration));
+    assert.ok(Math.abs(output.duration - report.duration.after) < 0.2, `duration ${output.duration}`);
+  });
+
+  test('voice cleanup can keep pauses as they are', async () => {
+    const response = await handler(uploadEvent(fixtures.read('speech.m4a'), 'audio/mp4', {
+      query: { format: 'opus', voice: '{"strength": "strong", "compactSilence": false}' }
+    }));
+
+    const output = assertAudio(response, 'audio/ogg', 'opus');
+    assert.ok(Math.abs(output.duration - 12) < 0.2, `duration ${output.duration}`);
+    const report = JSON.parse(response.headers['X-Voice-Cleanup']);
+    assert.equal(report.strength, 'strong');
+    assert.ok(!report.steps.includes('compactSilence'), report.steps.join(', '));
+  });
+
+  test('?debug=1 returns log lines only where ALLOW_DEBUG_REQUESTS is set', async (t) => {
+    const request = () => handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3' }, { query: { debug: '1' } }));
+
+    const ignored = await request();
+    assert.equal(ignored.statusCode, 200, ignored.body);
+    assert.equal(ignored.headers['X-Debug-Messages'], undefined);
+
+    withEnv(t, { ALLOW_DEBUG_REQUESTS: 'true' });
+    const allowed = await request();
+    assert.ok(JSON.parse(allowed.headers['X-Debug-Messages']).length > 0);
+  });
+
+  // The log lines come back in X-Debug-Messages for a key with the debug scope
+  for (const [name, body] of [['the phone cascade', {}], ['normalize', { format: 'mp3', normalize: true }]]) {
+    test(`a URL source is streamed with ${name}`, async (t) => {
+      withEnv(t, { API_KEYS: JSON.stringify([{ name: 'debugging', key: 'sk_debugging', scopes: ['convert', 'debug'] }]) });
+      const response = await handler(jsonEvent({ url: server.url('/files/tone.mp3'), ...body }, { token: 'sk_debugging' }));
+
+      assert.equal(response.statusCode, 200, response.body);
+      assert.ok(probeMedia(bodyBuffer(response)).duration > 2.9);
+      const messages = JSON.parse(response.headers['X-Debug-Messages']).map(entry => entry.msg);
+      assert.ok(messages.some(message => /^Streaming mp3 source into ffmpeg/.test(message)), messages.join('\n'));
+      if (body.normalize) {
+        assert.equal(JSON.parse(response.headers['X-Loudness']).mode, 'two-pass');
+      }
+    });
+  }
+});
+
+test.describe('trimming and fades', () => {
+  test('start and end cut the clip', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/long.mp3'), format: 'mp3', start: 5, end: '00:12.5' }));
+
+    const output = assertAudio(response, 'audio/mpeg', 'mp3');
+    assert.ok(Math.abs(output.duration - 7.5) < 0.1, `duration ${output.duration}`);
+  });
+
+  test('fades ramp the start and end of a clip set by start and duration', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/long.mp3'), format: 'flac', start: '0:10', duration: 10, fadeIn: 2, fadeOut: 3 }));
+
+    const output = bodyBuffer(response);
+    assert.ok(Math.abs(assertAudio(response, 'audio/flac', 'flac').duration - 10) < 0.05);
+    const steady = measureLevels(output, { start: 4, duration: 2 }).meanVolume;
+    assert.ok(measureLevels(output, { start: 0, duration: 0.5 }).meanVolume < steady - 10, 'fade in');
+    assert.ok(measureLevels(output, { start: 9.5, duration: 0.5 }).meanVolume < steady - 10, 'fade out');
+  });
+
+  test('trimSilence strips the silence before and after the audio', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/padded.mp3'), format: 'wav', trimSilence: true }));
+
+    // 0.1s of silence is kept at each end, so the cut isn't abrupt
+    const output = assertAudio(response, 'audio/wav', 'pcm_s16le');
+    assert.ok(Math.abs(output.duration - 3.2) < 0.1, `duration ${output.duration}`);
+    assert.ok(measureLevels(bodyBuffer(response), { duration: 0.5 }).meanVolume > -30, 'no silence left at the start');
+  });
+
+  test('400 for a start beyond the end of the audio', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3', start: 10 }));
+
+    assertProblem(response, 400, 'validation_failed');
+    assert.match(JSON.parse(response.body).detail, /start \(10s\) is beyond the end of the audio/);
+  });
+
+  test('400 for fades longer than the clip', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3', end: 2, fadeIn: 1, fadeOut: 1.5 })), 400, 'validation_failed');
+  });
+});
+
+test.describe('loudness normalization', () => {
+  for (const [normalize, target] of [[true, -16], [-23, -23]]) {
+    test(`normalize ${JSON.stringify(normalize)} measures in two passes and reaches ${target} LUFS`, async () => {
+      const response = await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3', normalize }));
+
+      const output = assertAudio(response, 'audio/mpeg', 'mp3');
+      assert.ok(Math.abs(output.duration - 3) < 0.1);
+      const loudness = JSON.parse(response.headers['X-Loudness']);
+      assert.equal(loudness.mode, 'two-pass');
+      assert.equal(loudness.target.integrated, target);
+      assert.ok(Math.abs(loudness.input.integrated - measureLevels(fixtures.path('tone.mp3')).integrated) < 0.5, JSON.stringify(loudness.input));
+      assert.ok(Math.abs(loudness.output.integrated - target) < 1, JSON.stringify(loudness.output));
+      assert.ok(Math.abs(measureLevels(bodyBuffer(response)).integrated - target) < 1);
+    });
+  }
+
+  test('normalize is reported in the JSON form too', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3', normalize: { target: -20, truePeak: -2 }, waveform: true }));
+
+    assert.equal(response.statusCode, 200, response.body);
+    const { loudness } = JSON.parse(response.body);
+    assert.deepEqual(loudness.target, { integrated: -20, truePeak: -2, lra: 11 });
+    assert.equal(response.headers['X-Loudness'], JSON.stringify(loudness));
+  });
+
+  test('400 for a target outside what loudnorm takes', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3', normalize: -80 })), 400, 'validation_failed');
+  });
+});
+
+test.describe('tags and cover art', () => {
+  // Each format's codec here, and whether it holds artwork (Ogg Opus outputs don't)
+  for (const [format, contentType, codec, holdsCover] of [
+    ['mp3', 'audio/mpeg', 'mp3', true],
+    ['ogg', 'audio/ogg', 'opus', false],
+    ['m4a', 'audio/mp4', 'aac', true],
+    ['flac', 'audio/flac', 'flac', true]
+  ]) {
+    test(`${format}: source tags and artwork are carried over, with overrides applied`, async () => {
+      const response = await handler(jsonEvent({
+        url: server.url('/files/tagged.m4a'),
+        format,
+        tags: { title: 'Episode 12', albumArtist: 'Studio', album: null }
+      }));
+
+      const output = assertAudio(response, contentType, codec);
+      assert.equal(output.tags.title, 'Episode 12');
+      assert.equal(output.tags.artist, SOURCE_TAGS.artist);
+      assert.equal(output.tags.album_artist ?? output.tags.albumartist, 'Studio');
+      assert.equal(output.tags.album, undefined);
+      assert.deepEqual(output.cover, holdsCover ? { codec: 'png', width: 64 } : null);
+    });
+
+    test(`${format}: coverUrl replaces the source artwork`, async () => {
+      const response = await handler(jsonEvent({ url: server.url('/files/tagged.m4a'), format, coverUrl: server.url('/files/cover-small.png') }));
+
+      const output = assertAudio(response, contentType, codec);
+      assert.equal(output.tags.title, SOURCE_TAGS.title);
+      assert.deepEqual(output.cover, holdsCover ? { codec: 'png', width: 32 } : null);
+    });
+  }
+
+  test('415 for a coverUrl that is not an image', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3', coverUrl: server.url('/files/notes.txt') }));
+    assertProblem(response, 415, 'unsupported_cover');
+  });
+});
+
+test.describe('waveforms', () => {
+  // The JSON form of a conversion: the audio from fileData, and the waveform
+  function waveformResponse(response) {
+    assert.equal(response.statusCode, 200, response.body);
+    assert.equal(response.headers['Content-Type'], 'application/json');
+    const body = JSON.parse(response.body);
+    return { audio: Buffer.from(body.fileData, 'base64'), waveform: body.waveform };
+  }
+
+  test('8-bit peaks at pixelsPerSecond come back with the audio', async () => {
+    const { audio, waveform } = waveformResponse(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3', waveform: { pixelsPerSecond: 10, bits: 8 } })));
+
+    assert.equal(probeMedia(audio).codec, 'mp3');
+    assert.equal(waveform.version, 2);
+    assert.equal(waveform.channels, 1);
+    assert.equal(waveform.bits, 8);
+    assert.equal(waveform.samples_per_pixel, waveform.sample_rate / 10);
+    assert.ok(Math.abs(waveform.length - 30) <= 1, `length ${waveform.length}`);
+    assert.equal(waveform.data.length, 2 * waveform.length);
+    assert.ok(waveform.data.every(value => Number.isInteger(value) && value >= -128 && value <= 127));
+    // A steady tone: every point's min and max are well away from silence
+    assert.ok(waveform.data.every((value, index) => (index % 2 === 0 ? value < -8 : value > 8)), waveform.data.join(','));
+  });
+
+  test('16-bit peaks at a points count follow the trimmed clip', async () => {
+    const { audio, waveform } = waveformResponse(await handler(jsonEvent({
+      url: server.url('/files/long.mp3'),
+      format: 'opus',
+      start: 10,
+      duration: 5,
+      waveform: { points: 50, bits: 16 }
+    })));
+
+    assert.ok(Math.abs(probeMedia(audio).duration - 5) < 0.1);
+    assert.equal(waveform.bits, 16);
+    assert.equal(waveform.length, 50);
+    assert.equal(waveform.data.length, 100);
+    assert.ok(Math.max(...waveform.data) > 1000 && Math.max(...waveform.data) <= 32767);
+  });
+
+  test('400 for a waveform past its point limit', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/long.mp3'), format: 'mp3', waveform: { pixelsPerSecond: 5000 } })), 400, 'validation_failed');
+  });
+});
+
+test.describe('request errors', () => {
+  test('401 without a token', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3') }, { token: null })), 401, 'missing_credentials');
+  });
+
+  test('401 with an unknown token', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3') }, { token: 'sk_wrong' })), 401, 'invalid_credentials');
+  });
+
+  test('403 when the key allows none of the phone cascade formats', async (t) => {
+    process.env.API_KEYS = JSON.stringify([{ name: 'flac-only', key: 'sk_flac_only', formats: ['flac'] }]);
+    t.after(() => {
+      delete process.env.API_KEYS;
+    });
+    const token = 'sk_flac_only';
+
+    const problem = assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3') }, { token })), 403, 'format_not_allowed');
+    assert.match(problem.detail, /Allowed formats: flac/);
+    assertAudio(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'flac' }, { token })), 'audio/flac', 'flac');
+  });
+
+  test('400 without a source', async () => {
+    assertProblem(await handler(jsonEvent({ format: 'mp3' })), 400, 'missing_source');
+  });
+
+  test('400 for a body that is not JSON', async () => {
+    const event = baseEvent({ headers: { 'content-type': 'application/json' } });
+    event.body = '{"url": ';
+    assertProblem(await handler(event), 400, 'validation_failed');
+  });
+
+  test('400 for an unknown format', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'wma' })), 400, 'unsupported_format');
+  });
+
+  test('400 for presets and formats named after Object.prototype members', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), preset: 'toString' })), 400, 'validation_failed');
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'constructor' })), 400, 'unsupported_format');
+  });
+
+  test('400 for a bitrate out of range', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3', bitrate: '999k' })), 400, 'validation_failed');
+  });
+
+  test('400 for a maxOutputBytes under the minimum', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), maxOutputBytes: 1000 })), 400, 'validation_failed');
+  });
+
+  test('400 for an unknown voice strength', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), voice: 'loud' })), 400, 'validation_failed');
+  });
+
+  test('Accept without audio types leaves the defaults', async () => {
+    assertAudio(await handler(jsonEvent({ url: server.url('/files/tone.mp3') }, { headers: { accept: 'application/json' } })), 'audio/wav', 'pcm_s16le');
+    assertAudio(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3' }, { headers: { accept: 'application/json, text/plain;q=0.5' } })), 'audio/mpeg', 'mp3');
+  });
+
+  test('406 when Accept rules out the whole phone cascade', async () => {
+    const event = jsonEvent({ url: server.url('/files/tone.mp3') }, { headers: { accept: 'audio/x-unknown' } });
+    assertProblem(await handler(event), 406, 'not_acceptable');
+  });
+
+  test('406 when Accept rules out the requested format', async () => {
+    const event = jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3' }, { headers: { accept: 'audio/flac' } });
+    assertProblem(await handler(event), 406, 'not_acceptable');
+  });
+
+  test('400 for an empty upload', async () => {
+    assertProblem(await handler(uploadEvent(Buffer.alloc(0), 'audio/mp4')), 400, 'validation_failed');
+  });
+});
+
+test.describe('source errors', () => {
+  test('400 for a source on a private address', async (t) => {
+    process.env.SOURCE_ALLOW_PRIVATE_IPS = 'false';
+    t.after(() => {
+      process.env.SOURCE_ALLOW_PRIVATE_IPS = 'true';
+    });
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.mp3') })), 400, 'url_not_allowed');
+  });
+
+  // Loopback and the metadata address wrapped in IPv6: IPv4-mapped, IPv4-compatible and 6to4
+  for (const host of ['::ffff:127.0.0.1', '::127.0.0.1', '::7f00:1', '2002:7f00:1::', '2002:a9fe:a9fe::1']) {
+    test(`400 for a source on [${host}]`, async (t) => {
+      withEnv(t, { SOURCE_ALLOW_PRIVATE_IPS: 'false' });
+      const { port } = new URL(server.url('/'));
+      assertProblem(await handler(jsonEvent({ url: `http://[${host}]:${port}/files/tone.mp3` })), 400, 'url_not_allowed');
+    });
+  }
+
+  test('400 for a malformed source URL', async () => {
+    assertProblem(await handler(jsonEvent({ url: 'http://exa mple.com/memo.m4a' })), 400, 'invalid_url');
+  });
+
+  for (const status of [404, 503]) {
+    test(`502 with sourceStatus when the source answers ${status}`, async () => {
+      const problem = assertProblem(await handler(jsonEvent({ url: server.url(`/status/${status}`) })), 502, 'source_fetch_failed');
+      assert.equal(problem.sourceStatus, status);
+      assert.equal(problem.title, 'Bad Gateway');
+    });
+  }
+
+  test('502 when the source host cannot be reached', async () => {
+    // A port that was just free, so nothing is listening on it
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const problem = assertProblem(await handler(jsonEvent({ url: `http://127.0.0.1:${port}/tone.mp3` })), 502, 'source_fetch_failed');
+    assert.match(problem.detail, /ECONNREFUSED/);
+  });
+
+  test('502 after too many redirects', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/redirect/3/tone.mp3') })), 502, 'too_many_redirects');
+  });
+
+  test('504 when the source does not answer in time', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/slow/5000/tone.mp3'), format: 'mp3' })), 504, 'download_timeout');
+  });
+
+  for (const [mode, env] of [['streamed', {}], ['saved', { STREAM_SOURCES: 'false' }]]) {
+    test(`504 when a ${mode} source stalls mid-body`, async (t) => {
+      withEnv(t, env);
+      assertProblem(await handler(jsonEvent({ url: server.url('/stall/tone.mp3') })), 504, 'download_timeout');
+    });
+
+    test(`415 for a ${mode} source that is not audio`, async (t) => {
+      withEnv(t, env);
+      assertProblem(await handler(jsonEvent({ url: server.url('/files/notes.txt') })), 415, 'unsupported_media');
+    });
+
+    test(`415 for an empty ${mode} source`, async (t) => {
+      withEnv(t, env);
+      assertProblem(await handler(jsonEvent({ url: server.url('/files/empty.m4a') })), 415, 'empty_source');
+    });
+
+    test(`413 for an oversized ${mode} source`, async (t) => {
+      withEnv(t, env);
+      assertProblem(await handler(jsonEvent({ url: server.url('/files/oversized.wav') })), 413, 'input_too_large');
+    });
+
+    test(`413 as soon as a ${mode} source without a Content-Length passes 20MB`, async (t) => {
+      withEnv(t, env);
+      const started = Date.now();
+      assertProblem(await handler(jsonEvent({ url: server.url('/endless/tone.mp3') })), 413, 'input_too_large');
+      assert.ok(Date.now() - started < SYNC_LIMITS.downloadTimeout, 'gave up before the download timeout');
+      await assertClosedEarly('/endless/tone.mp3', MAX_INPUT_SIZE);
+    });
+
+    test(`502 when a ${mode} source drops the connection mid-body`, async (t) => {
+      withEnv(t, env);
+      assertProblem(await handler(jsonEvent({ url: server.url('/reset/tone.mp3') })), 502, 'source_fetch_failed');
+    });
+
+    test(`the stalled ${mode} download is closed on timeout`, async (t) => {
+      withEnv(t, env);
+      assertProblem(await handler(jsonEvent({ url: server.url('/stall/tone.m4a') })), 504, 'download_timeout');
+      await assertClosedEarly('/stall/tone.m4a');
+    });
+  }
+
+  test('413 for a cover image past 5MB, without downloading the rest', async () => {
+    const response = await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3', coverUrl: server.url('/endless/tone.mp3') }));
+    assertProblem(response, 413, 'cover_too_large');
+    await assertClosedEarly('/endless/tone.mp3', 5 * 1024 * 1024);
+  });
+
+  test('413 for an oversized upload', async () => {
+    assertProblem(await handler(uploadEvent(fixtures.read('oversized.wav'), 'audio/wav')), 413, 'input_too_large');
+  });
+
+  test('415 for an upload that is not audio', async () => {
+    assertProblem(await handler(uploadEvent(fixtures.read('notes.txt'), 'application/octet-stream')), 415, 'unsupported_media');
+  });
+});
+
+test.describe('conversion errors', () => {
+  test('422 when the phone cascade cannot read a corrupt file', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/corrupt.m4a') })), 422, 'conversion_failed');
+  });
+
+  test('422 when a strict request cannot read a corrupt upload', async () => {
+    const response = await handler(uploadEvent(fixtures.read('corrupt.m4a'), 'audio/mp4', { query: { format: 'mp3' } }));
+    assertProblem(response, 422, 'requested_format_failed');
+  });
+
+  test('413 when no format can meet maxOutputBytes', async () => {
+    assertProblem(await handler(jsonEvent({ url: server.url('/files/long.mp3'), maxOutputBytes: 16384 })), 413, 'output_too_large');
+  });
+});
+
+test.describe('rate limits and quotas', () => {
+  // Counters live in the process-wide memory store, so every test gets a key of its own
+  function withLimitedKey(t, name, limits) {
+    withEnv(t, { API_KEYS: JSON.stringify([{ name, key: `sk_${name}`, limits }]) });
+    return `sk_${name}`;
+  }
+
+  test('429 with Retry-After past the per-minute limit', async (t) => {
+    const token = withLimitedKey(t, 'per-minute', { requestsPerMinute: 2 });
+
+    const first = await handler(jsonEvent({ format: 'mp3' }, { token }));
+    assert.equal(first.headers['X-RateLimit-Limit'], '2');
+    assert.equal(first.headers['X-RateLimit-Remaining'], '1');
+    assert.equal((await handler(jsonEvent({ format: 'mp3' }, { token }))).headers['X-RateLimit-Remaining'], '0');
+
+    const limited = await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3' }, { token }));
+    assertProblem(limited, 429, 'rate_limited');
+    assert.equal(limited.headers['X-RateLimit-Limit'], '2');
+    assert.equal(limited.headers['X-RateLimit-Remaining'], '0');
+    const retryAfter = Number(limited.headers['Retry-After']);
+    assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+    assert.equal(limited.headers['X-RateLimit-Reset'], String(Math.ceil(Date.now() / 60000) * 60));
+  });
+
+  test('an input over the audio quota gets X-Quota-* and keeps the per-minute headers', async (t) => {
+    // 6 seconds a day: the 3 second tone fits, the 10 second memo then doesn't
+    const token = withLimitedKey(t, 'audio-quota', { requestsPerMinute: 5, audioMinutesPerDay: 0.1 });
+    assertAudio(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3' }, { token })), 'audio/mpeg', 'mp3');
+
+    const over = await handler(jsonEvent({ url: server.url('/files/voice-memo.m4a'), format: 'mp3' }, { token }));
+    assertProblem(over, 429, 'quota_exceeded');
+    assert.equal(over.headers['X-Quota-Name'], 'audio-seconds');
+    assert.equal(over.headers['X-Quota-Unit'], 'seconds');
+    assert.equal(over.headers['X-Quota-Limit'], '6');
+    assert.equal(over.headers['X-Quota-Remaining'], String(6 - Math.ceil(probeMedia(fixtures.path('tone.mp3')).duration)));
+    assert.equal(over.headers['X-Quota-Reset'], String(Math.ceil(Date.now() / 86400000) * 86400));
+    assert.ok(Number(over.headers['Retry-After']) >= 1);
+    assert.equal(over.headers['X-RateLimit-Limit'], '5');
+    assert.equal(over.headers['X-RateLimit-Remaining'], '3');
+  });
+
+  test('a used-up byte quota is refused before the source is fetched', async (t) => {
+    const size = fixtures.read('tone.mp3').length;
+    const token = withLimitedKey(t, 'byte-quota', { inputBytesPerDay: size });
+    assertAudio(await handler(jsonEvent({ url: server.url('/files/tone.mp3'), format: 'mp3' }, { token })), 'audio/mpeg', 'mp3');
+
+    const refused = await handler(jsonEvent({ url: server.url('/files/not-there.mp3'), format: 'mp3' }, { token }));
+    assertProblem(refused, 429, 'quota_exceeded');
+    assert.equal(refused.headers['X-Quota-Name'], 'input-bytes');
+    assert.equal(refused.headers['X-Quota-Unit'], 'bytes');
+    assert.equal(refused.headers['X-Quota-Limit'], String(size));
+    assert.equal(refused.headers['X-Quota-Remaining'], '0');
+    assert.ok(Number(refused.headers['Retry-After']) >= 1);
+    assert.equal(refused.headers['X-RateLimit-Limit'], undefined);
+  });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withEnv, jsonEvent, assertProblem } = require('./helpers/events');
+const { startS3Server } = require('./helpers/s3-server');
+const { createCounterStore } = require('../lib/counter-store');
+const { UsageMeter } = require('../lib/rate-limit');
+const { handler } = require('../functions/convert');
+
+const MINUTE = 60 * 1000;
+let s3;
+
+test.before(async () => {
+  s3 = await startS3Server();
+});
+
+test.after(() => s3.close());
+
+test('S3 counters are shared by every instance and lose no concurrent increments', async (t) => {
+  withEnv(t, { ...s3.env, RATE_LIMIT_STORE: 's3' });
+  // One store per simulated function instance
+  const instances = Array.from({ length: 4 }, () => createCounterStore());
+
+  const results = await Promise.all(Array.from({ length: 12 }, (_, i) => instances[i % 4].increment('app key:requests', 1, MINUTE)));
+  assert.deepEqual(results.map(result => result.count).sort((a, b) => a - b), Array.from({ length: 12 }, (_, i) => i + 1));
+  assert.equal((await instances[0].peek('app key:requests', MINUTE)).count, 12);
+  assert.equal((await instances[1].peek('another key:requests', MINUTE)).count, 0);
+
+  const { count, resetAt } = await instances[2].increment('app key:input-bytes', 500, MINUTE);
+  assert.equal(count, 500);
+  assert.equal(resetAt, Math.ceil(Date.now() / MINUTE) * MINUTE);
+});
+
+test('the per-minute limit holds across instances with the S3 store', async (t) => {
+  withEnv(t, {
+    ...s3.env,
+    RATE_LIMIT_STORE: 's3',
+    API_KEYS: JSON.stringify([{ name: 'shared-limit', key: 'sk_shared_limit', limits: { requestsPerMinute: 1 } }])
+  });
+
+  const first = await handler(jsonEvent({ format: 'mp3' }, { token: 'sk_shared_limit' }));
+  assertProblem(first, 400, 'missing_source');
+  assert.ok([...s3.objects.keys()].some(key => key.startsWith('rate-limits/')));
+
+  const second = await handler(jsonEvent({ format: 'mp3' }, { token: 'sk_shared_limit' }));
+  assertProblem(second, 429, 'rate_limited');
+  assert.ok(Number(second.headers['Retry-After']) >= 1);
+});
+
+test('per-instance counter stores are refused on Lambda, but only keys with limits need one', async (t) => {
+  withEnv(t, { AWS_LAMBDA_FUNCTION_NAME: 'convert', RATE_LIMIT_STORE: 'memory' });
+
+  assert.throws(() => createCounterStore(), /RATE_LIMIT_STORE=memory counts per function instance/);
+  process.env.RATE_LIMIT_STORE = 'file';
+  assert.throws(() => createCounterStore(), /RATE_LIMIT_STORE=file counts per function instance/);
+
+  await new UsageMeter({ name: 'unlimited' }).checkRequest();
+  await assert.rejects(new UsageMeter({ name: 'limited', limits: { requestsPerMinute: 10 } }).checkRequest(), /Server configuration error/);
+});
@@ -0,0 +1,122 @@
+const net = require('net');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TOKEN } = require('./helpers/events');
+const { createFixtures, probeMedia } = require('./helpers/media');
+const { readNetlifyConfig, applyRedirects, toEvent, createDevServer } = require('../scripts/dev-server');
+
+const config = readNetlifyConfig(path.join(__dirname, '..', 'netlify.toml'));
+let fixtures;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  fixtures = createFixtures();
+  server = createDevServer(config);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fixtures.remove();
+});
+
+// The dev server logs every request; keep the test output to the results
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// Send raw HTTP (for requests fetch won't make) and resolve with the status line; with
+// abortAfter the socket is destroyed once that much has been written
+function rawRequest(text, { abortAfter = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1', () => {
+      socket.write(text);
+      if (abortAfter) {
+        socket.destroy();
+        resolve(null);
+      }
+    });
+    let received = '';
+    socket.on('data', (data) => {
+      received += data.toString();
+    });
+    socket.on('end', () => resolve(received.split('\r\n')[0]));
+    socket.on('error', reject);
+  });
+}
+
+test('toEvent passes text bodies as they are and binary bodies as base64', () => {
+  const url = new URL('http://localhost/api/convert?format=mp3&tag=a&tag=b');
+  const json = toEvent({ method: 'POST', headers: { 'content-type': 'application/json' } }, url, Buffer.from('{"url":"x"}'));
+  assert.equal(json.body, '{"url":"x"}');
+  assert.equal(json.isBase64Encoded, false);
+  assert.deepEqual(json.queryStringParameters, { format: 'mp3', tag: 'a,b' });
+  assert.deepEqual(json.multiValueQueryStringParameters, { format: ['mp3'], tag: ['a', 'b'] });
+
+  const audio = Buffer.from([0x00, 0xff, 0x10, 0x80]);
+  const binary = toEvent({ method: 'POST', headers: { 'content-type': 'audio/mp4' } }, url, audio);
+  assert.equal(binary.isBase64Encoded, true);
+  assert.deepEqual(Buffer.from(binary.body, 'base64'), audio);
+
+  const empty = toEvent({ method: 'GET', headers: {} }, url, Buffer.alloc(0));
+  assert.equal(empty.body, null);
+  assert.equal(empty.isBase64Encoded, false);
+});
+
+test('netlify.toml rewrites /api/* to the functions', () => {
+  assert.deepEqual(applyRedirects(config.redirects, '/api/jobs'), { to: '/.netlify/functions/jobs', status: 200 });
+  assert.equal(applyRedirects(config.redirects, '/elsewhere'), null);
+});
+
+test('/api/convert reaches the function, with the configured headers', async () => {
+  const response = await fetch(`${baseUrl}/api/convert`, {
+    method: 'POST',
+    headers: { "Authorization": `Bearer ${TOKEN}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ format: 'mp3' })
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.headers.get('access-control-allow-origin'), '*');
+  assert.equal((await response.json()).code, 'missing_source');
+});
+
+test('a binary upload arrives intact and the converted audio comes back', async () => {
+  const response = await fetch(`${baseUrl}/.netlify/functions/convert?format=mp3`, {
+    method: 'POST',
+    headers: { "Authorization": `Bearer ${TOKEN}`, "Content-Type": "audio/mp4" },
+    body: fixtures.read('tone.m4a')
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'audio/mpeg');
+  const output = probeMedia(Buffer.from(await response.arrayBuffer()));
+  assert.equal(output.codec, 'mp3');
+});
+
+test('unknown paths and functions are 404', async () => {
+  assert.equal((await fetch(`${baseUrl}/api/no-such-function`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/index.html`)).status, 404);
+});
+
+test('a malformed Host header or an aborted upload does not stop the server', async (t) => {
+  const unhandled = [];
+  const onUnhandled = reason => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  assert.equal(await rawRequest('GET /api/health HTTP/1.1\r\nHost: [bad\r\nConnection: close\r\n\r\n'), 'HTTP/1.1 400 Bad Request');
+
+  await rawRequest(
+    'POST /api/convert HTTP/1.1\r\nHost: localhost\r\nContent-Type: audio/mp4\r\nContent-Length: 100000\r\n\r\n' + 'x'.repeat(1000),
+    { abortAfter: true }
+  );
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  assert.deepEqual(unhandled, []);
+  assert.equal((await fetch(`${baseUrl}/api/no-such-function`)).status, 404);
+});
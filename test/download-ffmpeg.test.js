@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withEnv } = require('./helpers/events');
+const { ffmpegPath } = require('./helpers/media');
+const { startSourceServer } = require('./helpers/source-server');
+const { FFMPEG_RELEASE, targetArch, obtainTarball, missingCapabilities } = require('../download-ffmpeg');
+
+const build = FFMPEG_RELEASE.builds.amd64;
+let workDir;
+let server;
+let tarball;
+let tarballSha256;
+let installer;
+
+test.before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-convert-install-'));
+  // A copy of the script with the shipped pins, so whatever it installs lands in workDir/bin
+  fs.mkdirSync(path.join(workDir, 'installer'));
+  fs.copyFileSync(path.join(__dirname, '..', 'download-ffmpeg.js'), path.join(workDir, 'installer', 'download-ffmpeg.js'));
+  installer = require(path.join(workDir, 'installer', 'download-ffmpeg.js'));
+  // obtainTarball only checks bytes; a stand-in keeps the tests from handling real builds
+  tarball = crypto.randomBytes(64 * 1024);
+  tarballSha256 = crypto.createHash('sha256').update(tarball).digest('hex');
+  fs.mkdirSync(path.join(workDir, 'mirror'));
+  fs.writeFileSync(path.join(workDir, 'mirror', build.file), tarball);
+  server = await startSourceServer(path.join(workDir, 'mirror'));
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('FFMPEG_ARCH picks the build and unknown architectures are rejected', (t) => {
+  withEnv(t, { FFMPEG_ARCH: 'arm64' });
+  assert.equal(targetArch(), 'arm64');
+
+  process.env.FFMPEG_ARCH = 'ppc64';
+  assert.throws(() => targetArch(), /No ffmpeg build for architecture "ppc64"/);
+});
+
+test('a local tarball is used when its checksum matches', async (t) => {
+  const localPath = path.join(workDir, 'local.tar.xz');
+  fs.writeFileSync(localPath, tarball);
+  withEnv(t, { FFMPEG_TARBALL: localPath });
+
+  const result = await obtainTarball(build, tarballSha256);
+  assert.deepEqual(result, { tarballPath: localPath, sha256: tarballSha256, source: 'FFMPEG_TARBALL' });
+  await assert.rejects(obtainTarball(build, 'f'.repeat(64)), /has SHA-256 .*, expected f{64}/);
+});
+
+test('downloads from FFMPEG_MIRROR are verified and cached', async (t) => {
+  const cache = path.join(workDir, 'cache-download');
+  withEnv(t, { FFMPEG_MIRROR: server.url('/files/'), FFMPEG_CACHE_DIR: cache });
+
+  const downloaded = await obtainTarball(build, tarballSha256);
+  assert.equal(downloaded.source, 'download');
+  assert.deepEqual(fs.readFileSync(path.join(cache, build.file)), tarball);
+
+  const cached = await obtainTarball(build, tarballSha256);
+  assert.equal(cached.source, 'cache');
+});
+
+test('offline, a cached tarball with the wrong checksum is dropped, not used', async (t) => {
+  const cache = path.join(workDir, 'cache-corrupt');
+  fs.mkdirSync(cache);
+  fs.writeFileSync(path.join(cache, build.file), Buffer.from('not the pinned build'));
+  withEnv(t, { FFMPEG_CACHE_DIR: cache, FFMPEG_OFFLINE: 'true' });
+
+  await assert.rejects(obtainTarball(build, tarballSha256), /FFMPEG_OFFLINE is set/);
+  assert.equal(fs.existsSync(path.join(cache, build.file)), false);
+});
+
+test('every shipped build is pinned, and installFFmpeg holds tarballs to the pin', async (t) => {
+  const localPath = path.join(workDir, 'stand-in.tar.xz');
+  fs.writeFileSync(localPath, tarball);
+  withEnv(t, { FFMPEG_TARBALL: localPath, FFMPEG_ARCH: 'amd64', FFMPEG_SHA256: '', FFMPEG_SKIP_DOWNLOAD: '' });
+
+  for (const [arch, { sha256 }] of Object.entries(installer.FFMPEG_RELEASE.builds)) {
+    process.env.FFMPEG_ARCH = arch;
+    await assert.rejects(installer.installFFmpeg(), new RegExp(`has SHA-256 ${tarballSha256}, expected ${sha256}$`));
+  }
+  assert.equal(fs.existsSync(path.join(workDir, 'installer', 'bin')), false);
+});
+
+test('a build with no pinned SHA-256 is never installed', async (t) => {
+  const localPath = path.join(workDir, 'unpinned.tar.xz');
+  fs.writeFileSync(localPath, tarball);
+  withEnv(t, { FFMPEG_TARBALL: localPath, FFMPEG_ARCH: 'amd64', FFMPEG_SHA256: '', FFMPEG_SKIP_DOWNLOAD: '' });
+  const pinned = installer.FFMPEG_RELEASE.builds.amd64.sha256;
+  installer.FFMPEG_RELEASE.builds.amd64.sha256 = null;
+  t.after(() => { installer.FFMPEG_RELEASE.builds.amd64.sha256 = pinned; });
+
+  await assert.rejects(installer.installFFmpeg(), /No SHA-256 pinned for ffmpeg-.*-amd64-static\.tar\.xz/);
+  assert.equal(fs.existsSync(path.join(workDir, 'installer', 'bin')), false);
+});
+
+test('the ffmpeg the tests run with has everything the functions need', async () => {
+  assert.deepEqual(await missingCapabilities(ffmpegPath), []);
+});
+
+test('a build without libmp3lame is reported', async () => {
+  const wrapperPath = path.join(workDir, 'ffmpeg-without-lame');
+  fs.writeFileSync(wrapperPath, `#!/bin/sh\n"${ffmpegPath}" "$@" | grep -v libmp3lame\n`, { mode: 0o755 });
+
+  assert.deepEqual(await missingCapabilities(wrapperPath), [
+    'no encoder for mp3 (needs libmp3lame or libshine)',
+    'no libmp3lame encoder (used by the phone preset)'
+  ]);
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withEnv, baseEvent, bodyBuffer, assertProblem } = require('./helpers/events');
+const { createResultStorage } = require('../lib/result-storage');
+const { signDownloadUrl } = require('../lib/signed-urls');
+const { handler } = require('../functions/download');
+
+const KEY = '2026-05-01/memo.mp3';
+const DATA = Buffer.from('ID3 stand-in for a stored mp3');
+let workDir;
+
+test.before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-convert-download-'));
+});
+
+test.after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Local result storage in the work dir and a signing secret, for one test
+function withLocalStorage(t) {
+  withEnv(t, { RESULT_STORE: 'local', RESULT_STORE_DIR: workDir, DOWNLOAD_SIGNING_SECRET: 'test-download-secret' });
+}
+
+// GET /download with the query of a signed link, optionally edited first
+function download(url, edit = query => query) {
+  const query = edit(Object.fromEntries(new URL(url, 'http://localhost').searchParams));
+  return handler(baseEvent({ method: 'GET', token: null, query }));
+}
+
+test('a signed link serves a local result without a bearer token', async (t) => {
+  withLocalStorage(t);
+  await createResultStorage().write(KEY, DATA, { contentType: 'audio/mpeg' });
+
+  const response = await download(signDownloadUrl({ key: KEY, fileName: 'memo.mp3' }).url);
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Content-Type'], 'audio/mpeg');
+  assert.equal(response.headers['Content-Disposition'], 'attachment; filename="memo.mp3"');
+  assert.equal(response.headers['Content-Length'], String(DATA.length));
+  assert.deepEqual(bodyBuffer(response), DATA);
+});
+
+test('tampered, incomplete and expired links are refused', async (t) => {
+  withLocalStorage(t);
+  await createResultStorage().write(KEY, DATA, { contentType: 'audio/mpeg' });
+  const { url } = signDownloadUrl({ key: KEY, fileName: 'memo.mp3' });
+
+  assertProblem(await download(url, query => ({ ...query, name: 'other.mp3' })), 403, 'invalid_download_link');
+  assertProblem(await download(url, query => ({ ...query, expires: String(Number(query.expires) + 3600) })), 403, 'invalid_download_link');
+  assertProblem(await download(url, ({ sig, ...query }) => query), 400, 'invalid_download_link');
+  assertProblem(await download(signDownloadUrl({ key: KEY, fileName: 'memo.mp3', ttlSeconds: -1 }).url), 410, 'download_link_expired');
+});
+
+test('a link to a result that is gone answers 410', async (t) => {
+  withLocalStorage(t);
+  assertProblem(await download(signDownloadUrl({ key: '2026-05-01/never-stored.mp3', fileName: 'memo.mp3' }).url), 410, 'result_expired');
+});
+
+test('only GET is allowed, and links need the signing secret', async (t) => {
+  withLocalStorage(t);
+  const { url } = signDownloadUrl({ key: KEY, fileName: 'memo.mp3' });
+  assertProblem(await handler(baseEvent({ method: 'POST', token: null })), 405, 'method_not_allowed');
+
+  delete process.env.DOWNLOAD_SIGNING_SECRET;
+  assertProblem(await download(url), 500, 'internal_error');
+});
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/events'); // test environment
+const { ffmpegPath, ffprobePath, createFixtures, probeMedia } = require('./helpers/media');
+const { DebugLogger } = require('../lib/logger');
+const { ConversionError, TimeoutError, EncoderUnavailableError } = require('../lib/errors');
+const { OUTPUT_FORMATS, parseConversionOptions } = require('../lib/formats');
+const { checkAvailableEncoders, resolveEncoder, probeAudioFile, convertWithFFmpeg } = require('../lib/ffmpeg');
+
+let fixtures;
+let outputDir;
+let encoderInfo;
+
+test.before(async () => {
+  fixtures = createFixtures();
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-convert-output-'));
+  encoderInfo = await checkAvailableEncoders(ffmpegPath, new DebugLogger());
+});
+
+test.after(() => {
+  fixtures.remove();
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+// ffmpeg that fails every Opus encode after writing part of the output
+function failingOpusFFmpeg() {
+  const failingOpusPath = path.join(outputDir, 'ffmpeg-fails-opus');
+  fs.writeFileSync(failingOpusPath, `#!/bin/sh\ncase "$*" in *opus*) printf OggS; exit 1;; esac\nexec "${ffmpegPath}" "$@"\n`, { mode: 0o755 });
+  return failingOpusPath;
+}
+
+// Convert a fixture the way the pipeline does: options from a request body (and Accept
+// header), the encoder resolved against the capabilities, metadata from ffprobe
+async function convert(fixtureName, body, { accept = null, capabilities = encoderInfo, binary = ffmpegPath, timeoutMs = 30000, onProgress = null, prepare = null } = {}) {
+  const logger = new DebugLogger();
+  const inputPath = fixtures.path(fixtureName);
+  const options = parseConversionOptions(body, accept);
+  if (!options.legacy) {
+    options.encoder = resolveEncoder(options, capabilities);
+  }
+  if (prepare) {
+    prepare(options);
+  }
+  const metadata = await probeAudioFile(ffprobePath, inputPath, logger);
+  const outputPath = path.join(outputDir, `${path.basename(fixtureName, path.extname(fixtureName))}_${Date.now()}.mp3`);
+
+  const result = await convertWithFFmpeg(binary, inputPath, outputPath, timeoutMs, metadata, logger, capabilities, options, onProgress);
+  return { result, output: probeMedia(result.outputPath), bytes: fs.statSync(result.outputPath).size };
+}
+
+test('phone cascade: wav-pcm-compressed for a short MP3', async () => {
+  const { result, output } = await convert('tone.mp3', {});
+
+  assert.equal(result.strategy, 'wav-pcm-compressed');
+  assert.equal(path.extname(result.outputPath), '.wav');
+  assert.equal(output.codec, 'pcm_s16le');
+  assert.equal(output.sampleRate, 11025);
+  assert.equal(output.channels, 1);
+});
+
+test('phone cascade: aac-compressed for an iOS voice memo', async () => {
+  const { result, output } = await convert('voice-memo.m4a', {});
+
+  assert.equal(result.strategy, 'aac-compressed');
+  assert.equal(output.container, 'aac');
+  assert.equal(output.codec, 'aac');
+  assert.equal(output.sampleRate, 11025);
+});
+
+test('phone cascade: libmp3lame-minimal when Accept allows only MP3', async () => {
+  const { result, output } = await convert('tone.m4a', { preset: 'phone' }, { accept: 'audio/mpeg' });
+
+  assert.equal(result.strategy, 'libmp3lame-minimal');
+  assert.equal(output.codec, 'mp3');
+  assert.equal(output.sampleRate, 8000);
+  assert.equal(output.channels, 1);
+});
+
+test('phone cascade: ultra-compressed when aac-compressed cannot meet maxOutputBytes', async () => {
+  const { result, output, bytes } = await convert('voice-memo.m4a', { preset: 'phone', maxOutputBytes: 16384 }, { accept: 'audio/aac' });
+
+  assert.equal(result.strategy, 'ultra-compressed');
+  assert.equal(output.codec, 'aac');
+  assert.equal(output.sampleRate, 8000);
+  assert.ok(bytes <= 16384, `${bytes} bytes`);
+});
+
+for (const [formatName, format] of Object.entries(OUTPUT_FORMATS)) {
+  test(`requested format: ${formatName}`, async () => {
+    const { result, output } = await convert('tone.m4a', { format: formatName });
+
+    assert.equal(result.format, formatName);
+    assert.equal(path.extname(result.outputPath), format.extension);
+    assert.equal(output.codec, format.codec);
+    assert.ok(Math.abs(output.duration - 3) < 0.2, `duration ${output.duration}`);
+  });
+}
+
+test('requested settings are applied as given', async () => {
+  const progress = [];
+  const { result, output } = await convert('tone.m4a', { format: 'mp3', bitrate: '64k', sampleRate: 22050, channels: 1 }, {
+    onProgress: update => progress.push(update)
+  });
+
+  assert.equal(result.strategy, 'mp3-libmp3lame');
+  assert.equal(output.sampleRate, 22050);
+  assert.equal(output.channels, 1);
+  assert.equal(progress.at(-1).percent, 100);
+});
+
+test('maxOutputBytes lowers the requested bitrate to fit', async () => {
+  const { result, bytes } = await convert('voice-memo.m4a', { format: 'opus', bitrate: '96k', maxOutputBytes: 20000 });
+
+  assert.equal(result.format, 'opus');
+  assert.ok(bytes <= 20000, `${bytes} bytes`);
+});
+
+test('fallback: a format without an encoder falls back in FALLBACK_ORDER', async () => {
+  const withoutOpus = { ...encoderInfo, encoders: encoderInfo.encoders.filter(name => !OUTPUT_FORMATS.opus.encoders.includes(name)) };
+  const { result, output } = await convert('tone.m4a', { format: 'opus', fallbackPolicy: 'allow' }, { capabilities: withoutOpus });
+
+  assert.equal(result.format, 'mp3');
+  assert.equal(output.codec, 'mp3');
+});
+
+test('fallback: no encoder for the format or any fallback is encoder_unavailable, naming them', async () => {
+  const onlyDca = { ...encoderInfo, encoders: ['dca'] };
+  await assert.rejects(
+    convert('tone.m4a', { format: 'opus', fallbackPolicy: 'allow' }, { capabilities: onlyDca }),
+    err => err instanceof EncoderUnavailableError && err.code === 'encoder_unavailable' && err.statusCode === 501 &&
+      err.message.includes(OUTPUT_FORMATS.opus.encoders.join(' or '))
+  );
+});
+
+test('fallback: a failing encoder is followed by the fallbacks', async () => {
+  const { result, output } = await convert('tone.m4a', { format: 'opus', fallbackPolicy: 'allow' }, { binary: failingOpusFFmpeg() });
+
+  assert.equal(result.format, 'mp3');
+  assert.equal(output.codec, 'mp3');
+});
+
+test('strict: a failing encoder fails with requested_format_failed', async () => {
+  await assert.rejects(
+    convert('tone.m4a', { format: 'opus' }, { binary: failingOpusFFmpeg() }),
+    err => err instanceof ConversionError && err.code === 'requested_format_failed' && err.statusCode === 422
+  );
+});
+
+test('every strategy failing on unreadable input is conversion_failed', async () => {
+  const logger = new DebugLogger();
+  const outputPath = path.join(outputDir, 'corrupt.mp3');
+
+  await assert.rejects(
+    convertWithFFmpeg(ffmpegPath, fixtures.path('corrupt.m4a'), outputPath, 30000, null, logger, encoderInfo, parseConversionOptions({}, null)),
+    err => err instanceof ConversionError && err.code === 'conversion_failed'
+  );
+});
+
+test('strategies that run out of time fail with conversion_timeout', async () => {
+  await assert.rejects(
+    convert('long.mp3', { format: 'flac' }, { timeoutMs: 1 }),
+    err => err instanceof TimeoutError && err.code === 'conversion_timeout' && err.statusCode === 504
+  );
+});
+
+test('fallbacks only get the time left, not a fresh timeout each', async () => {
+  const hangingPath = path.join(outputDir, 'ffmpeg-hangs');
+  fs.writeFileSync(hangingPath, '#!/bin/sh\nexec sleep 10\n', { mode: 0o755 });
+  const outputPath = path.join(outputDir, 'hangs.mp3');
+  const started = Date.now();
+
+  await assert.rejects(
+    convertWithFFmpeg(hangingPath, fixtures.path('tone.mp3'), outputPath, 500, null, new DebugLogger(), encoderInfo, parseConversionOptions({}, null)),
+    err => err instanceof TimeoutError && err.code === 'conversion_timeout'
+  );
+  // The phone cascade has four strategies; with the full timeout each this took over 2s
+  assert.ok(Date.now() - started < 1500, `${Date.now() - started}ms`);
+});
+
+// uploadOutput stand-in that keeps what each strategy streamed, and whether it ended or failed
+function recordUploads() {
+  const uploads = [];
+  const uploadOutput = (format, stream) => {
+    const upload = { format, chunks: [], error: null };
+    uploads.push(upload);
+    return new Promise((resolve, reject) => {
+      stream.on('data', chunk => upload.chunks.push(chunk));
+      stream.on('end', () => resolve({ key: `result.${format}`, size: Buffer.concat(upload.chunks).length }));
+      stream.on('error', (err) => {
+        upload.error = err;
+        reject(err);
+      });
+    });
+  };
+  return { uploads, uploadOutput };
+}
+
+test('uploadOutput: an MP3 output streams into the upload while it encodes, with progress still reported', async () => {
+  const { uploads, uploadOutput } = recordUploads();
+  const updates = [];
+  const { result, output } = await convert('long.mp3', { format: 'mp3', bitrate: '128k' }, {
+    onProgress: update => updates.push(update),
+    prepare: (options) => {
+      options.uploadOutput = uploadOutput;
+    }
+  });
+
+  assert.equal(uploads.length, 1);
+  assert.ok(uploads[0].chunks.length > 1, `${uploads[0].chunks.length} chunks`);
+  const uploaded = Buffer.concat(uploads[0].chunks);
+  assert.deepEqual(uploaded, fs.readFileSync(result.outputPath));
+  assert.deepEqual(result.uploaded, { key: 'result.mp3', size: uploaded.length });
+  assert.equal(output.codec, 'mp3');
+  assert.ok(Math.abs(probeMedia(uploaded).duration - 30) < 0.2);
+  assert.ok(updates.length > 0);
+});
+
+test('uploadOutput: M4A and FLAC outputs are written to a file only', async () => {
+  const { uploads, uploadOutput } = recordUploads();
+  for (const format of ['m4a', 'flac']) {
+    const { result } = await convert('tone.m4a', { format }, {
+      prepare: (options) => {
+        options.uploadOutput = uploadOutput;
+      }
+    });
+    assert.equal(result.uploaded, null);
+  }
+  assert.equal(uploads.length, 0);
+});
+
+test('uploadOutput: a failed strategy gives up its upload, and the fallback uploads its own output', async () => {
+  const { uploads, uploadOutput } = recordUploads();
+  const options = parseConversionOptions({ format: 'opus', fallbackPolicy: 'allow' }, null);
+  options.encoder = resolveEncoder(options, encoderInfo);
+  options.uploadOutput = uploadOutput;
+  const inputPath = fixtures.path('tone.m4a');
+  const metadata = await probeAudioFile(ffprobePath, inputPath, new DebugLogger());
+
+  const result = await convertWithFFmpeg(failingOpusFFmpeg(), inputPath, path.join(outputDir, 'fails-opus.mp3'), 30000, metadata, new DebugLogger(), encoderInfo, options);
+
+  assert.deepEqual(uploads.map(upload => upload.format), ['opus', 'mp3']);
+  assert.match(uploads[0].error.message, /failed/);
+  assert.equal(uploads[1].error, null);
+  assert.equal(result.format, 'mp3');
+  assert.deepEqual(result.uploaded, { key: 'result.mp3', size: fs.statSync(result.outputPath).size });
+});
+
+test('uploadOutput: an upload that fails stops the conversion with its error', async () => {
+  const uploadOutput = (format, stream) => new Promise((resolve, reject) => {
+    stream.once('data', () => reject(new Error('bucket unreachable')));
+  });
+
+  await assert.rejects(
+    convert('long.mp3', { format: 'mp3' }, {
+      prepare: (options) => {
+        options.uploadOutput = uploadOutput;
+      }
+    }),
+    /bucket unreachable/
+  );
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { baseEvent, jsonBody } = require('./helpers/events');
+const { OUTPUT_FORMATS } = require('../lib/formats');
+const { handler } = require('../functions/health');
+
+test('answers 200 with only the status when no token is given', async () => {
+  const response = await handler(baseEvent({ method: 'GET', token: null }));
+
+  assert.equal(response.statusCode, 200, response.body);
+  assert.equal(response.headers['Cache-Control'], 'no-store');
+  assert.deepEqual(jsonBody(response), { status: 'ok' });
+});
+
+test('a valid token also gets the checks, problems, paths, versions and capabilities', async () => {
+  const response = await handler(baseEvent({ method: 'GET' }));
+  const health = jsonBody(response);
+
+  assert.equal(response.statusCode, 200, JSON.stringify(health.problems));
+  assert.equal(health.status, 'ok');
+  assert.deepEqual(health.problems, []);
+  assert.equal(health.checks.ffmpeg, true);
+  assert.equal(health.checks.tmp, true);
+  assert.deepEqual(Object.keys(health.checks.formats).sort(), Object.keys(OUTPUT_FORMATS).sort());
+  assert.equal(health.checks.filters.loudnorm, true);
+
+  assert.match(health.ffmpeg.path, /ffmpeg$/);
+  assert.ok(health.ffmpeg.encoders.includes('libmp3lame'));
+  assert.ok(health.ffmpeg.muxers.includes('mp3'));
+  assert.match(health.ffprobe.version, /\S/);
+  assert.ok(health.tmp.freeBytes > 0);
+});
+
+test('a wrong token or method is an error, not a health report', async () => {
+  const unauthorized = await handler(baseEvent({ method: 'GET', token: 'sk_wrong' }));
+  assert.equal(unauthorized.statusCode, 401);
+  assert.equal(jsonBody(unauthorized).code, 'invalid_credentials');
+
+  const wrongMethod = await handler(baseEvent({ method: 'POST', token: null }));
+  assert.equal(wrongMethod.statusCode, 405);
+  assert.equal(wrongMethod.headers['Content-Type'], 'application/problem+json');
+});
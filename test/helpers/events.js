@@ -0,0 +1,97 @@
+// Netlify function events for the handlers, and readers for what they return.
+// Requiring this sets up the environment the tests run in: one API token, sources allowed
+// over plain http on localhost, and no log output.
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+
+const TOKEN = 'sk_test_token';
+
+Object.assign(process.env, {
+  API_TOKEN: TOKEN,
+  SOURCE_ALLOWED_SCHEMES: 'http,https',
+  SOURCE_ALLOW_PRIVATE_IPS: 'true',
+  JOB_STORE: 'file',
+  JOB_STORE_DIR: path.join(os.tmpdir(), `audio-convert-test-jobs-${process.pid}`),
+  JOB_RUNNER: 'inline',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'silent'
+});
+delete process.env.API_KEYS;
+delete process.env.API_KEYS_FILE;
+delete process.env.DOWNLOAD_SIGNING_SECRET;
+
+function baseEvent({ headers = {}, query = {}, method = 'POST', token = TOKEN } = {}) {
+  return {
+    path: '/.netlify/functions/convert',
+    httpMethod: method,
+    headers: { ...(token ? { authorization: `Bearer ${token}` } : {}), ...headers },
+    queryStringParameters: query,
+    body: null,
+    isBase64Encoded: false
+  };
+}
+
+// A JSON body, e.g. { url, format }
+function jsonEvent(body, settings = {}) {
+  const event = baseEvent(settings);
+  event.headers['content-type'] = 'application/json';
+  event.body = JSON.stringify(body);
+  return event;
+}
+
+// A raw audio body, base64-encoded the way Netlify passes binary bodies
+function uploadEvent(data, contentType, settings = {}) {
+  const event = baseEvent(settings);
+  event.headers['content-type'] = contentType;
+  event.body = data.toString('base64');
+  event.isBase64Encoded = true;
+  return event;
+}
+
+// multipart/form-data with text fields and one file part
+function multipartEvent(fields, file, settings = {}) {
+  const boundary = 'test-boundary-7MA4YWxkTrZu0gW';
+  const parts = Object.entries(fields).map(([name, value]) =>
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+  parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${file.name}"\r\nContent-Type: ${file.contentType}\r\n\r\n`));
+  parts.push(file.data, Buffer.from(`\r\n--${boundary}--\r\n`));
+
+  return uploadEvent(Buffer.concat(parts), `multipart/form-data; boundary=${boundary}`, settings);
+}
+
+// Response body as bytes
+function bodyBuffer(response) {
+  return Buffer.from(response.body || '', response.isBase64Encoded ? 'base64' : 'utf8');
+}
+
+function jsonBody(response) {
+  return JSON.parse(bodyBuffer(response).toString('utf8'));
+}
+
+// Assert a problem+json error response and return its body
+function assertProblem(response, statusCode, code) {
+  const problem = jsonBody(response);
+  assert.equal(response.statusCode, statusCode, problem.detail);
+  assert.equal(response.headers['Content-Type'], 'application/problem+json');
+  assert.equal(problem.code, code);
+  assert.equal(problem.status, statusCode);
+  assert.equal(problem.requestId, response.headers['X-Request-Id']);
+  return problem;
+}
+
+// Set environment variables for one test; they are put back when it ends
+function withEnv(t, variables) {
+  const saved = Object.fromEntries(Object.keys(variables).map(name => [name, process.env[name]]));
+  Object.assign(process.env, variables);
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+}
+
+module.exports = { TOKEN, withEnv, baseEvent, jsonEvent, uploadEvent, multipartEvent, bodyBuffer, jsonBody, assertProblem };
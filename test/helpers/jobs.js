@@ -0,0 +1,25 @@
+// Reading jobs back through the /jobs function, as a client would
+const { baseEvent, jsonBody } = require('./events');
+const { handler } = require('../../functions/jobs');
+
+// GET a /jobs path, e.g. "<id>" or "<id>/result"
+function getJob(jobPath, settings = {}) {
+  const event = baseEvent({ method: 'GET', ...settings });
+  event.path = `/.netlify/functions/jobs/${jobPath}`;
+  return handler(event);
+}
+
+// Poll a job until it has finished (jobs run inline in the tests) and return it
+async function waitForJob(jobId, settings = {}) {
+  const deadline = Date.now() + 30000;
+  while (Date.now() < deadline) {
+    const job = jsonBody(await getJob(jobId, settings));
+    if (job.status === 'completed' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+module.exports = { getJob, waitForJob };
@@ -0,0 +1,139 @@
+// Audio fixtures made with the bundled ffmpeg, and an ffprobe helper for checking outputs
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync, spawnSync } = require('child_process');
+const { DebugLogger } = require('../../lib/logger');
+const { getFFmpegPaths } = require('../../lib/ffmpeg');
+const { MAX_INPUT_SIZE } = require('../../lib/pipeline');
+
+const { ffmpegPath, ffprobePath } = getFFmpegPaths(new DebugLogger());
+
+// Stand-in for speech: one-second bursts every three seconds over a low hiss, so voice
+// cleanup has noise to remove and pauses to shorten
+const SPEECH_SOURCE = seconds =>
+  `sine=frequency=220:sample_rate=44100:duration=${seconds},volume='lt(mod(t,3),1)':eval=frame[tone];` +
+  `anoisesrc=sample_rate=44100:duration=${seconds}:color=pink:amplitude=0.01[hiss];[tone][hiss]amix=inputs=2[out0]`;
+
+// A tone with two seconds of silence before and after it, for trimSilence
+const PADDED_SOURCE = seconds => `sine=frequency=440:sample_rate=44100:duration=${seconds},volume='between(t,2,${seconds - 2})':eval=frame`;
+
+// Encoded from a lavfi source (a sine tone unless given): seconds of audio and the output arguments
+const AUDIO_FIXTURES = {
+  // AAC in MP4 with the moov atom first, as web encoders write it
+  'tone.m4a': { seconds: 3, args: ['-ac', '2', '-c:a', 'aac', '-b:a', '96k', '-movflags', '+faststart'] },
+  // Voice Memos layout: mono AAC, M4A brand, moov written after the audio
+  'voice-memo.m4a': { seconds: 10, args: ['-ac', '1', '-c:a', 'aac', '-b:a', '64k', '-brand', 'M4A '] },
+  'tone.mp3': { seconds: 3, args: ['-ac', '2', '-c:a', 'libmp3lame', '-b:a', '128k'] },
+  'long.mp3': { seconds: 30, args: ['-ac', '1', '-c:a', 'libmp3lame', '-b:a', '32k'] },
+  'speech.m4a': { seconds: 12, source: SPEECH_SOURCE, args: ['-ac', '1', '-c:a', 'aac', '-b:a', '64k', '-brand', 'M4A '] },
+  'padded.mp3': { seconds: 7, source: PADDED_SOURCE, args: ['-ac', '1', '-c:a', 'libmp3lame', '-b:a', '64k'] }
+};
+
+// Tags of tagged.m4a
+const SOURCE_TAGS = { title: 'Source Title', artist: 'Source Artist', album: 'Source Album' };
+
+// Write every fixture into a fresh temp dir: the audio above plus
+//   corrupt.m4a    an MP4 ftyp box followed by noise (passes sniffing, ffmpeg can't read it)
+//   empty.m4a      zero bytes
+//   notes.txt      text, not audio
+//   oversized.wav  a WAV header padded past MAX_INPUT_SIZE
+//   cover.png      64x64 artwork, and cover-small.png at 32x32
+//   tagged.m4a     tone.m4a with SOURCE_TAGS and cover.png embedded
+// Returns { dir, path(name), read(name), remove() }.
+function createFixtures() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-convert-fixtures-'));
+  const fixturePath = name => path.join(dir, name);
+
+  for (const [name, { seconds, source, args }] of Object.entries(AUDIO_FIXTURES)) {
+    execFileSync(ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-f', 'lavfi', '-i', source ? source(seconds) : `sine=frequency=440:sample_rate=44100:duration=${seconds}`,
+      ...args, fixturePath(name)
+    ]);
+  }
+
+  const tone = fs.readFileSync(fixturePath('tone.m4a'));
+  const ftypSize = tone.readUInt32BE(0);
+  fs.writeFileSync(fixturePath('corrupt.m4a'), Buffer.concat([tone.subarray(0, ftypSize), crypto.randomBytes(8192)]));
+  fs.writeFileSync(fixturePath('empty.m4a'), '');
+  fs.writeFileSync(fixturePath('notes.txt'), 'Shopping list: milk, eggs, a shorter recording\n'.repeat(20));
+
+  execFileSync(ffmpegPath, [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-f', 'lavfi', '-i', 'anullsrc=r=8000:cl=mono', '-t', '1', '-c:a', 'pcm_s16le', fixturePath('oversized.wav')
+  ]);
+  fs.truncateSync(fixturePath('oversized.wav'), MAX_INPUT_SIZE + 1024 * 1024);
+
+  for (const [name, size] of [['cover.png', 64], ['cover-small.png', 32]]) {
+    execFileSync(ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', '-f', 'lavfi', '-i', `color=c=red:s=${size}x${size}`, '-frames:v', '1', '-update', '1', fixturePath(name)]);
+  }
+  execFileSync(ffmpegPath, [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-i', fixturePath('tone.m4a'), '-i', fixturePath('cover.png'), '-map', '0:a', '-map', '1:v', '-c', 'copy',
+    '-disposition:v:0', 'attached_pic', ...Object.entries(SOURCE_TAGS).flatMap(([name, value]) => ['-metadata', `${name}=${value}`]),
+    '-movflags', '+faststart', fixturePath('tagged.m4a')
+  ]);
+
+  return {
+    dir,
+    path: fixturePath,
+    read: name => fs.readFileSync(fixturePath(name)),
+    remove: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+// Run fn on a file, or on a buffer written to a temp file
+function withFile(input, fn) {
+  if (!Buffer.isBuffer(input)) {
+    return fn(input);
+  }
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-convert-probe-'));
+  try {
+    const filePath = path.join(tempDir, 'output');
+    fs.writeFileSync(filePath, input);
+    return fn(filePath);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// What ffprobe finds in a file or buffer: { container, codec, sampleRate, channels, duration,
+// tags, cover }. tags are the container's and the audio stream's (where Ogg keeps them), with
+// keys lowercased; cover is { codec, width } for embedded artwork, or null.
+function probeMedia(input) {
+  return withFile(input, (filePath) => {
+    const output = execFileSync(ffprobePath, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath]);
+    const { format, streams } = JSON.parse(output);
+    const audio = streams.find(stream => stream.codec_type === 'audio') || {};
+    const picture = streams.find(stream => stream.disposition?.attached_pic);
+    const tags = Object.fromEntries(Object.entries({ ...format.tags, ...audio.tags }).map(([name, value]) => [name.toLowerCase(), value]));
+    return {
+      container: format.format_name,
+      codec: audio.codec_name,
+      sampleRate: parseInt(audio.sample_rate, 10),
+      channels: audio.channels,
+      duration: parseFloat(format.duration),
+      tags,
+      cover: picture ? { codec: picture.codec_name, width: picture.width } : null
+    };
+  });
+}
+
+// Integrated loudness (LUFS) and mean volume (dB) of a file or buffer, measured by ffmpeg.
+// With start and duration, only that stretch is measured.
+function measureLevels(input, { start = 0, duration = null } = {}) {
+  return withFile(input, (filePath) => {
+    const window = ['-ss', String(start), ...(duration ? ['-t', String(duration)] : [])];
+    const { stderr } = spawnSync(ffmpegPath, ['-hide_banner', '-nostats', ...window, '-i', filePath, '-af', 'ebur128,volumedetect', '-f', 'null', '-'], { encoding: 'utf8' });
+    const integrated = [...stderr.matchAll(/^\s*I:\s+(-?[\d.]+) LUFS/gm)].pop();
+    const meanVolume = /mean_volume: (-?[\d.]+|-inf) dB/.exec(stderr);
+    return {
+      integrated: integrated ? parseFloat(integrated[1]) : null,
+      meanVolume: meanVolume ? parseFloat(meanVolume[1].replace('-inf', '-Infinity')) : null
+    };
+  });
+}
+
+module.exports = { ffmpegPath, ffprobePath, SOURCE_TAGS, createFixtures, probeMedia, measureLevels };
@@ -0,0 +1,229 @@
+// Local HTTP server standing in for an S3-compatible bucket, MinIO style: one bucket,
+// path-style URLs, objects kept in memory, and multipart uploads with S3's 5MB minimum
+// part size. Like S3 it checks AWS Signature Version 4 on
+// every request, from the Authorization header or from a presigned query string, and
+// answers 403 when the signature doesn't match. Written separately from
+// lib/result-storage.js so a signing mistake there can't be mirrored here.
+const http = require('http');
+const crypto = require('crypto');
+
+const ACCESS_KEY_ID = 'test-access-key';
+const SECRET_ACCESS_KEY = 'test-secret-key';
+const REGION = 'eu-west-1';
+const BUCKET = 'audio-results';
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+const sha256Hex = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const uriEncode = value => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+function sendXml(res, status, code) {
+  res.writeHead(status, { "Content-Type": "application/xml" });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+}
+
+// Query string as [name, value] pairs, decoded
+function queryPairs(rawQuery) {
+  return (rawQuery ? rawQuery.split('&') : []).map((pair) => {
+    const [name, value = ''] = pair.split('=');
+    return [decodeURIComponent(name), decodeURIComponent(value)];
+  });
+}
+
+// Signature S3 expects for a request, given what the client said it signed
+function expectedSignature({ method, rawPath, pairs, headers, signedHeaders, payloadHash, amzDate, scope }) {
+  const canonicalQuery = pairs
+    .filter(([name]) => name !== 'X-Amz-Signature')
+    .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  const canonicalHeaders = signedHeaders.map(name => `${name}:${String(headers[name] ?? '').trim()}\n`).join('');
+  const canonicalRequest = [method, rawPath, canonicalQuery, canonicalHeaders, signedHeaders.join(';'), payloadHash].join('\n');
+
+  const [dateStamp, region, service] = scope.split('/');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${SECRET_ACCESS_KEY}`, dateStamp), region), service), 'aws4_request');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+}
+
+// "20130524T000000Z" as a Date
+function parseAmzDate(amzDate) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(amzDate || '');
+  return match ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6])) : null;
+}
+
+// Whether a request carries a valid signature for this bucket's credentials
+function verifyRequest(req, rawPath, pairs, body) {
+  const query = Object.fromEntries(pairs);
+
+  if (query['X-Amz-Signature']) {
+    const [accessKeyId, ...scope] = (query['X-Amz-Credential'] || '').split('/');
+    const signedAt = parseAmzDate(query['X-Amz-Date']);
+    if (accessKeyId !== ACCESS_KEY_ID || !signedAt || Date.now() > signedAt.getTime() + Number(query['X-Amz-Expires']) * 1000) {
+      return false;
+    }
+    return query['X-Amz-Signature'] === expectedSignature({
+      method: req.method,
+      rawPath,
+      pairs,
+      headers: req.headers,
+      signedHeaders: (query['X-Amz-SignedHeaders'] || '').split(';'),
+      payloadHash: 'UNSIGNED-PAYLOAD',
+      amzDate: query['X-Amz-Date'],
+      scope: scope.join('/')
+    });
+  }
+
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/([^,]+),\s*SignedHeaders=([^,]+),\s*Signature=([0-9a-f]+)$/.exec(req.headers.authorization || '');
+  const payloadHash = req.headers['x-amz-content-sha256'];
+  if (!match || match[1] !== ACCESS_KEY_ID || payloadHash !== sha256Hex(body)) {
+    return false;
+  }
+  return match[4] === expectedSignature({
+    method: req.method,
+    rawPath,
+    pairs,
+    headers: req.headers,
+    signedHeaders: match[3].split(';'),
+    payloadHash,
+    amzDate: req.headers['x-amz-date'],
+    scope: match[2]
+  });
+}
+
+const md5Etag = body => `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+
+// Start the bucket on a free port. Resolves with { env, objects, uploads, requests, close() }:
+// env holds the S3_* variables pointing at it, objects maps keys to { body, contentType, etag },
+// uploads maps the IDs of multipart uploads in progress to { key, contentType, parts }, and
+// requests lists "METHOD key" (with "?uploads", "?partNumber" or "?uploadId" for multipart
+// steps) for every signed request that was let through.
+function startS3Server() {
+  const objects = new Map();
+  const uploads = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const [rawPath, rawQuery] = req.url.split('?');
+      const pairs = queryPairs(rawQuery);
+
+      if (!rawPath.startsWith(`/${BUCKET}/`)) {
+        sendXml(res, 404, 'NoSuchBucket');
+        return;
+      }
+      if (!verifyRequest(req, rawPath, pairs, body)) {
+        sendXml(res, 403, 'SignatureDoesNotMatch');
+        return;
+      }
+
+      const key = decodeURIComponent(rawPath.substring(BUCKET.length + 2));
+      const query = Object.fromEntries(pairs);
+      const step = ['uploads', 'partNumber', 'uploadId'].find(name => name in query);
+      requests.push(`${req.method} ${key}${step ? `?${step}` : ''}`);
+
+      if (step) {
+        handleMultipart(req, res, key, query, body);
+      } else if (req.method === 'PUT') {
+        // Conditional writes: If-None-Match: * and If-Match: <etag>
+        const existing = objects.get(key);
+        if ((req.headers['if-none-match'] === '*' && existing) ||
+            (req.headers['if-match'] && (!existing || existing.etag !== req.headers['if-match']))) {
+          sendXml(res, 412, 'PreconditionFailed');
+          return;
+        }
+        const etag = md5Etag(body);
+        objects.set(key, { body, contentType: req.headers['content-type'], etag });
+        res.writeHead(200, { "ETag": etag });
+        res.end();
+      } else if (req.method === 'GET') {
+        const object = objects.get(key);
+        if (!object) {
+          sendXml(res, 404, 'NoSuchKey');
+          return;
+        }
+        const disposition = Object.fromEntries(pairs)['response-content-disposition'];
+        res.writeHead(200, {
+          "Content-Type": object.contentType,
+          "Content-Length": object.body.length,
+          "ETag": object.etag,
+          ...(disposition ? { "Content-Disposition": disposition } : {})
+        });
+        res.end(object.body);
+      } else {
+        sendXml(res, 405, 'MethodNotAllowed');
+      }
+    });
+  });
+
+  // CreateMultipartUpload, UploadPart, CompleteMultipartUpload and AbortMultipartUpload
+  function handleMultipart(req, res, key, query, body) {
+    if (req.method === 'POST' && 'uploads' in query) {
+      const uploadId = crypto.randomUUID();
+      uploads.set(uploadId, { key, contentType: req.headers['content-type'], parts: new Map() });
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(`<?xml version="1.0" encoding="UTF-8"?><InitiateMultipartUploadResult><Key>${key}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+      return;
+    }
+
+    const upload = uploads.get(query.uploadId);
+    if (!upload || upload.key !== key) {
+      sendXml(res, 404, 'NoSuchUpload');
+      return;
+    }
+
+    if (req.method === 'PUT') {
+      const etag = md5Etag(body);
+      upload.parts.set(Number(query.partNumber), { body, etag });
+      res.writeHead(200, { "ETag": etag });
+      res.end();
+    } else if (req.method === 'POST') {
+      const listed = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber><ETag>([^<]+)<\/ETag>/g)];
+      const parts = listed.map(([, number, etag]) => ({ part: upload.parts.get(Number(number)), etag }));
+      if (parts.length === 0 || parts.some(({ part, etag }) => !part || part.etag !== etag)) {
+        sendXml(res, 400, 'InvalidPart');
+        return;
+      }
+      if (parts.slice(0, -1).some(({ part }) => part.body.length < MIN_PART_SIZE)) {
+        sendXml(res, 400, 'EntityTooSmall');
+        return;
+      }
+      const object = Buffer.concat(parts.map(({ part }) => part.body));
+      const etag = `"${crypto.createHash('md5').update(object).digest('hex')}-${parts.length}"`;
+      objects.set(key, { body: object, contentType: upload.contentType, etag });
+      uploads.delete(query.uploadId);
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(`<?xml version="1.0" encoding="UTF-8"?><CompleteMultipartUploadResult><Key>${key}</Key><ETag>${etag}</ETag></CompleteMultipartUploadResult>`);
+    } else if (req.method === 'DELETE') {
+      uploads.delete(query.uploadId);
+      res.writeHead(204);
+      res.end();
+    } else {
+      sendXml(res, 405, 'MethodNotAllowed');
+    }
+  }
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        env: {
+          S3_ENDPOINT: `http://127.0.0.1:${server.address().port}`,
+          S3_BUCKET: BUCKET,
+          S3_REGION: REGION,
+          S3_ACCESS_KEY_ID: ACCESS_KEY_ID,
+          S3_SECRET_ACCESS_KEY: SECRET_ACCESS_KEY
+        },
+        objects,
+        uploads,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startS3Server };
@@ -0,0 +1,107 @@
+// Local HTTP server standing in for the hosts sources are fetched from. Routes:
+//   /files/<name>              the fixture, with Content-Length
+//   /redirect/<hops>/<name>    302s, <hops> of them, before the fixture
+//   /slow/<ms>/<name>          the fixture after waiting <ms> before answering
+//   /stall/<name>              headers and the first 1KB, then nothing more
+//   /reset/<name>              headers and the first 1KB, then the connection is dropped
+//   /endless/<name>            the fixture without a Content-Length, then zeros for as long
+//                              as the client keeps reading
+//   /status/<code>             an empty response with that status
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const CONTENT_TYPES = {
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.txt': 'text/plain'
+};
+
+function sendFile(res, filePath) {
+  if (!fs.existsSync(filePath)) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end('Not found\n');
+    return;
+  }
+  res.writeHead(200, {
+    "Content-Type": CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+    "Content-Length": fs.statSync(filePath).size
+  });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+// Keep writing zeros while the client reads them, until it goes away. Counts what was
+// written in res.bytesSent.
+function sendEndless(res, head) {
+  const zeros = Buffer.alloc(64 * 1024);
+  res.bytesSent = head.length;
+  res.write(head);
+  const write = () => {
+    while (!res.destroyed && res.write(zeros)) {
+      res.bytesSent += zeros.length;
+    }
+    if (!res.destroyed) {
+      res.once('drain', write);
+    }
+  };
+  write();
+}
+
+// Serve files from dir on a free port. Resolves with { url(pathname), served, close() }.
+// served lists { path, closedEarly, bytesSent } for every response once it is over; bytesSent
+// only for /endless.
+function startSourceServer(dir) {
+  const served = [];
+  const server = http.createServer((req, res) => {
+    res.on('close', () => {
+      served.push({ path: req.url, closedEarly: !res.writableFinished, bytesSent: res.bytesSent ?? null });
+    });
+    const [route, ...rest] = new URL(req.url, 'http://localhost').pathname.split('/').filter(Boolean);
+    const fixture = name => path.join(dir, path.basename(name || ''));
+
+    if (route === 'files') {
+      sendFile(res, fixture(rest[0]));
+    } else if (route === 'redirect') {
+      const hops = parseInt(rest[0], 10);
+      res.writeHead(302, { "Location": hops > 1 ? `/redirect/${hops - 1}/${rest[1]}` : `/files/${rest[1]}` });
+      res.end();
+    } else if (route === 'slow') {
+      setTimeout(() => sendFile(res, fixture(rest[1])), parseInt(rest[0], 10));
+    } else if (route === 'stall') {
+      const data = fs.readFileSync(fixture(rest[0]));
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(rest[0])], "Content-Length": data.length });
+      res.write(data.subarray(0, 1024));
+    } else if (route === 'reset') {
+      const data = fs.readFileSync(fixture(rest[0]));
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(rest[0])], "Content-Length": data.length });
+      res.write(data.subarray(0, 1024), () => setTimeout(() => res.socket.destroy(), 50));
+    } else if (route === 'endless') {
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(rest[0])] || 'application/octet-stream' });
+      sendEndless(res, fs.readFileSync(fixture(rest[0])));
+    } else if (route === 'status') {
+      res.writeHead(parseInt(rest[0], 10));
+      res.end();
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: pathname => `http://127.0.0.1:${port}${pathname}`,
+        served,
+        close: () => new Promise((done) => {
+          // Stalled and slow responses would otherwise keep the server open
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startSourceServer };
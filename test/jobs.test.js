@@ -0,0 +1,257 @@
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TOKEN, withEnv, baseEvent, uploadEvent, bodyBuffer, jsonBody, assertProblem } = require('./helpers/events');
+const { createFixtures, probeMedia } = require('./helpers/media');
+const { startS3Server } = require('./helpers/s3-server');
+const { getJob, waitForJob } = require('./helpers/jobs');
+const { createJobStore } = require('../lib/job-store');
+const { publicJob } = require('../lib/jobs');
+const { handler: convertHandler } = require('../functions/convert');
+const { handler: jobsHandler } = require('../functions/jobs');
+const { handler: backgroundHandler } = require('../functions/convert-background');
+
+let fixtures;
+let s3;
+
+test.before(async () => {
+  fixtures = createFixtures();
+  s3 = await startS3Server();
+});
+
+test.after(async () => {
+  await s3.close();
+  fixtures.remove();
+});
+
+test('an async upload runs through the S3 job store and its result redirects to the bucket', async (t) => {
+  withEnv(t, { ...s3.env, JOB_STORE: 's3', RESULT_STORE: 's3' });
+
+  const queued = await convertHandler(uploadEvent(fixtures.read('tone.m4a'), 'audio/mp4', { query: { async: '1', format: 'mp3' } }));
+  assert.equal(queued.statusCode, 202, queued.body);
+  const { jobId } = jsonBody(queued);
+  // The background function would find the upload and the job state in the bucket
+  assert.ok(s3.objects.has(`jobs/${jobId}.json`));
+  assert.ok(s3.objects.has(`jobs/${jobId}.input`));
+
+  const job = await waitForJob(jobId);
+  assert.equal(job.status, 'completed', JSON.stringify(job.error));
+  assert.equal(job.result.storageKey, undefined);
+  assert.equal(s3.objects.get(`jobs/${jobId}/result.mp3`).contentType, 'audio/mpeg');
+
+  const result = await getJob(`${jobId}/result`);
+  assert.equal(result.statusCode, 302);
+  assert.equal(result.headers['X-Output-Codec'], 'mp3');
+  const file = await fetch(result.headers.Location);
+  assert.equal(file.status, 200);
+  assert.equal(file.headers.get('content-disposition'), 'attachment; filename="converted.mp3"');
+  assert.equal(probeMedia(Buffer.from(await file.arrayBuffer())).codec, 'mp3');
+});
+
+test('the file job store is refused on Lambda, so no job is queued on one instance', async (t) => {
+  withEnv(t, { AWS_LAMBDA_FUNCTION_NAME: 'convert', JOB_STORE: 'file' });
+
+  const response = await convertHandler(uploadEvent(fixtures.read('tone.m4a'), 'audio/mp4', { query: { async: '1', format: 'mp3' } }));
+  assert.equal(response.statusCode, 500);
+  assert.equal(jsonBody(response).code, 'internal_error');
+});
+
+test('split parts redirect to the bucket, and /jobs serves the HLS playlist itself', async (t) => {
+  withEnv(t, { ...s3.env, JOB_STORE: 's3', RESULT_STORE: 's3' });
+
+  const response = await convertHandler(uploadEvent(fixtures.read('voice-memo.m4a'), 'audio/mp4', {
+    query: { format: 'mp3', split: JSON.stringify({ hls: true, duration: 5 }) }
+  }));
+  assert.equal(response.statusCode, 200, response.body);
+  const { jobId, split } = jsonBody(response);
+  assert.ok(split.parts.length >= 2);
+
+  const playlist = await getJob(`${jobId}/parts/playlist.m3u8`);
+  assert.equal(playlist.statusCode, 200);
+  assert.equal(playlist.headers['Content-Type'], 'application/vnd.apple.mpegurl');
+  // Relative segment URIs, which resolve to the part locations next to the playlist
+  assert.match(playlist.body, new RegExp(`^${split.parts[0].fileName}$`, 'm'));
+
+  const part = await getJob(`${jobId}/parts/${split.parts[0].fileName}`);
+  assert.equal(part.statusCode, 302);
+  const file = await fetch(part.headers.Location);
+  assert.equal(file.headers.get('content-type'), 'video/mp2t');
+  assert.equal(Number(file.headers.get('content-length')), split.parts[0].fileSize);
+
+  assert.equal((await getJob(`${jobId}/parts/part_999.ts`)).statusCode, 404);
+});
+
+test('a split is refused on Lambda when the stores are per-instance', async (t) => {
+  withEnv(t, { AWS_LAMBDA_FUNCTION_NAME: 'convert', JOB_STORE: 'file', RESULT_STORE: 'local' });
+
+  const response = await convertHandler(uploadEvent(fixtures.read('tone.m4a'), 'audio/mp4', {
+    query: { format: 'mp3', split: JSON.stringify({ duration: 5 }) }
+  }));
+  assert.equal(response.statusCode, 500);
+  assert.equal(jsonBody(response).code, 'internal_error');
+});
+
+test('an async job with local storage serves its result from /jobs itself', async () => {
+  const queued = await convertHandler(uploadEvent(fixtures.read('tone.m4a'), 'audio/mp4', { query: { async: '1', format: 'opus' } }));
+  const { jobId, statusUrl } = jsonBody(queued);
+  assert.equal(queued.headers.Location, statusUrl);
+
+  const job = await waitForJob(jobId);
+  assert.equal(job.status, 'completed', JSON.stringify(job.error));
+  assert.equal(job.result.location, `/.netlify/functions/jobs/${jobId}/result`);
+  assert.equal(job.result.codec, 'opus');
+
+  const result = await getJob(`${jobId}/result`);
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.headers['Content-Disposition'], 'attachment; filename="converted.opus"');
+  assert.equal(result.headers['X-Output-Codec'], 'opus');
+  assert.equal(probeMedia(bodyBuffer(result)).codec, 'opus');
+});
+
+test('jobs are only visible to the key that created them', async (t) => {
+  withEnv(t, { API_KEYS: JSON.stringify([{ name: 'alice', key: 'sk_alice' }, { name: 'bob', key: 'sk_bob' }, { name: 'carol', key: 'sk_carol', scopes: ['convert'] }]) });
+  const job = await createJobStore().create({ source: { url: 'https://example.com/a.m4a' }, options: {}, owner: 'alice' });
+
+  const own = await getJob(job.id, { token: 'sk_alice' });
+  assert.equal(own.statusCode, 200);
+  assert.deepEqual(jsonBody(own), { ...publicJob(job), updatedAt: job.updatedAt });
+  assertProblem(await getJob(job.id, { token: 'sk_bob' }), 404, 'job_not_found');
+  assertProblem(await getJob(job.id, { token: 'sk_carol' }), 403, 'scope_not_allowed');
+});
+
+test('results are refused until a job has one', async () => {
+  const store = createJobStore();
+  const queued = await store.create({ source: { url: 'https://example.com/a.m4a' }, options: {}, owner: 'default' });
+  assertProblem(await getJob(`${queued.id}/result`), 409, 'job_not_finished');
+  assertProblem(await getJob(`${queued.id}/parts/part_000.mp3`), 404, 'part_not_found');
+
+  const split = await store.update(queued.id, { status: 'completed', result: { format: '.mp3', storageKey: null, split: { mode: 'duration', parts: [], playlist: null } } });
+  assertProblem(await getJob(`${split.id}/result`), 404, 'result_split');
+
+  const gone = await store.update(queued.id, { result: { format: '.mp3', storageKey: `jobs/${queued.id}/result.mp3`, split: null } });
+  assertProblem(await getJob(`${gone.id}/result`), 410, 'result_expired');
+});
+
+test('a failed job shows the raw error only with debug output', async (t) => {
+  const store = createJobStore();
+  const job = await store.create({ source: { url: 'https://example.com/a.m4a' }, options: {}, owner: 'default' });
+  await store.update(job.id, {
+    status: 'failed',
+    error: { statusCode: 422, code: 'unreadable_media', error: 'Source could not be read as audio', debug: 'moov atom not found' }
+  });
+
+  const publicError = { statusCode: 422, code: 'unreadable_media', error: 'Source could not be read as audio' };
+  assert.deepEqual(jsonBody(await getJob(job.id)).error, publicError);
+  // ?debug=1 is ignored unless the deploy allows it
+  assert.deepEqual(jsonBody(await getJob(job.id, { query: { debug: '1' } })).error, publicError);
+  withEnv(t, { ALLOW_DEBUG_REQUESTS: 'true' });
+  assert.equal(jsonBody(await getJob(job.id, { query: { debug: '1' } })).error.debug, 'moov atom not found');
+});
+
+test('malformed paths, unknown ids and other methods are errors', async () => {
+  const noId = baseEvent({ method: 'GET' });
+  noId.path = '/.netlify/functions/jobs';
+  assertProblem(await jobsHandler(noId), 400, 'invalid_request');
+  assertProblem(await getJob('not-a-job-id'), 404, 'job_not_found');
+  assertProblem(await getJob('0b6c6d2e-3f53-4a4c-9f0e-1c1d2a6f7b8e'), 404, 'job_not_found');
+  assertProblem(await getJob('0b6c6d2e-3f53-4a4c-9f0e-1c1d2a6f7b8e', { method: 'DELETE' }), 405, 'method_not_allowed');
+});
+
+// Stand-in for the site on Netlify: takes job dispatches for convert-background and answers
+// 202 without running them, so a test can invoke the background function itself
+async function startSite(t) {
+  const dispatched = [];
+  const site = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      dispatched.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.writeHead(202);
+      res.end();
+    });
+  });
+  await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => site.close(resolve)));
+  withEnv(t, { URL: `http://127.0.0.1:${site.address().port}`, JOB_RUNNER: 'background' });
+  return dispatched;
+}
+
+// Invoke convert-background as Netlify would for a dispatch, optionally with another token
+function runDispatched(dispatch, token = null) {
+  const authorization = token ? `Bearer ${token}` : dispatch.headers.authorization;
+  return backgroundHandler({ httpMethod: 'POST', headers: { authorization }, body: dispatch.body });
+}
+
+test('on Netlify a job is handed to convert-background, which runs it', async (t) => {
+  const dispatched = await startSite(t);
+
+  const queued = await convertHandler(uploadEvent(fixtures.read('tone.m4a'), 'audio/mp4', { query: { async: '1', format: 'mp3' } }));
+  assert.equal(queued.statusCode, 202, queued.body);
+  const { jobId } = jsonBody(queued);
+
+  assert.equal(dispatched.length, 1);
+  assert.equal(dispatched[0].path, '/.netlify/functions/convert-background');
+  assert.deepEqual(JSON.parse(dispatched[0].body), { jobId });
+  assert.equal(dispatched[0].headers.authorization, `Bearer ${TOKEN}`);
+  assert.equal(dispatched[0].headers['x-request-id'], queued.headers['X-Request-Id']);
+  assert.equal(jsonBody(await getJob(jobId)).status, 'queued');
+
+  assert.equal((await runDispatched(dispatched[0])).statusCode, 200);
+  assert.equal(jsonBody(await getJob(jobId)).status, 'completed');
+});
+
+test('a job runs once, however often convert-background is called for it', async (t) => {
+  withEnv(t, { ...s3.env, JOB_STORE: 's3', RESULT_STORE: 's3' });
+  const dispatched = await startSite(t);
+  const { jobId } = jsonBody(await convertHandler(uploadEvent(fixtures.read('tone.m4a'), 'audio/mp4', { query: { async: '1', format: 'mp3' } })));
+
+  const runs = await Promise.all([1, 2, 3].map(() => runDispatched(dispatched[0])));
+  assert.deepEqual(runs.map(run => run.statusCode), [200, 200, 200]);
+  const finished = jsonBody(await getJob(jobId));
+  assert.equal(finished.status, 'completed');
+  assert.equal(s3.requests.filter(request => request === `PUT jobs/${jobId}/result.mp3`).length, 1);
+
+  assert.equal((await runDispatched(dispatched[0])).statusCode, 200);
+  assert.equal(jsonBody(await getJob(jobId)).updatedAt, finished.updatedAt);
+});
+
+test('convert-background only runs jobs queued by the calling key', async (t) => {
+  withEnv(t, { API_KEYS: JSON.stringify([{ name: 'alice', key: 'sk_alice' }, { name: 'bob', key: 'sk_bob' }]) });
+  const dispatched = await startSite(t);
+  const { jobId } = jsonBody(await convertHandler(uploadEvent(fixtures.read('tone.m4a'), 'audio/mp4', { token: 'sk_alice', query: { async: '1', format: 'mp3' } })));
+
+  assert.equal((await runDispatched(dispatched[0], 'sk_bob')).statusCode, 500);
+  assert.equal(jsonBody(await getJob(jobId, { token: 'sk_alice' })).status, 'queued');
+
+  assert.equal((await runDispatched(dispatched[0])).statusCode, 200);
+  assert.equal(jsonBody(await getJob(jobId, { token: 'sk_alice' })).status, 'completed');
+});
+
+for (const driver of ['file', 's3']) {
+  test(`only one of several concurrent claims wins a job (${driver} store)`, async (t) => {
+    withEnv(t, { ...s3.env, JOB_STORE: driver });
+    const store = createJobStore();
+    const job = await store.create({ source: { url: 'https://example.com/a.m4a' }, options: {}, owner: 'default' });
+
+    const claims = await Promise.all([1, 2, 3, 4].map(() => createJobStore().claim(job.id, { startedAt: 'now' })));
+    const won = claims.filter(Boolean);
+    assert.equal(won.length, 1);
+    assert.equal(won[0].status, 'running');
+    assert.equal(won[0].startedAt, 'now');
+    assert.equal((await store.get(job.id)).status, 'running');
+    assert.equal(await store.claim(job.id, {}), null);
+    assert.equal(await store.claim('0b6c6d2e-3f53-4a4c-9f0e-1c1d2a6f7b8e', {}), null);
+  });
+}
+
+test('convert-background refuses keys without the async scope and requests without a job', async (t) => {
+  withEnv(t, { API_KEYS: JSON.stringify([{ name: 'default', key: 'sk_sync_only', scopes: ['convert'] }, { name: 'default', key: TOKEN }]) });
+  const job = await createJobStore().create({ source: { url: 'https://example.com/a.m4a' }, options: {}, owner: 'default' });
+
+  const refused = await backgroundHandler({ httpMethod: 'POST', headers: { authorization: 'Bearer sk_sync_only' }, body: JSON.stringify({ jobId: job.id }) });
+  assert.equal(refused.statusCode, 500);
+  assert.equal(jsonBody(await getJob(job.id)).status, 'queued');
+
+  const noJob = await backgroundHandler({ httpMethod: 'POST', headers: { authorization: `Bearer ${TOKEN}` }, body: '{}' });
+  assert.equal(noJob.statusCode, 500);
+});
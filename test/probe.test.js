@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withEnv, jsonEvent, uploadEvent, jsonBody, assertProblem } = require('./helpers/events');
+const { createFixtures } = require('./helpers/media');
+const { startSourceServer } = require('./helpers/source-server');
+const { handler } = require('../functions/probe');
+
+let fixtures;
+let server;
+
+test.before(async () => {
+  fixtures = createFixtures();
+  server = await startSourceServer(fixtures.dir);
+});
+
+test.after(async () => {
+  await server.close();
+  fixtures.remove();
+});
+
+test('a URL source is described without converting it', async () => {
+  const response = await handler(jsonEvent({ url: server.url('/files/voice-memo.m4a'), format: 'mp3' }));
+  const media = jsonBody(response);
+
+  assert.equal(response.statusCode, 200, response.body);
+  assert.deepEqual(media.source, { bytes: fixtures.read('voice-memo.m4a').length, detectedType: 'mp4' });
+  assert.equal(media.codec, 'aac');
+  assert.equal(media.channels, 1);
+  assert.equal(media.sampleRate, 44100);
+  assert.ok(Math.abs(media.duration - 10) < 0.1, `duration ${media.duration}`);
+  assert.equal(media.isIosM4a, true);
+  assert.equal(media.sync.feasible, true);
+  assert.equal(media.sync.recommendedMode, 'sync');
+  assert.equal(media.sync.responseType, 'binary');
+});
+
+test('an upload is probed, and the options shape the sync estimate', async () => {
+  const response = await handler(uploadEvent(fixtures.read('tone.mp3'), 'audio/mpeg', { query: { format: 'mp3', waveform: 'true' } }));
+  const media = jsonBody(response);
+
+  assert.equal(response.statusCode, 200, response.body);
+  assert.equal(media.source.detectedType, 'mp3');
+  assert.equal(media.codec, 'mp3');
+  assert.equal(media.channels, 2);
+  // A waveform can't ride along with a binary body
+  assert.equal(media.sync.responseType, 'json');
+});
+
+test('bad requests and unreadable sources get the /convert errors', async () => {
+  assertProblem(await handler(jsonEvent({ format: 'mp3' })), 400, 'missing_source');
+  assertProblem(await handler(jsonEvent({ url: server.url('/files/tone.m4a'), format: 'wma' })), 400, 'unsupported_format');
+  assertProblem(await handler(jsonEvent({ url: server.url('/files/notes.txt') })), 415, 'unsupported_media');
+  assertProblem(await handler(uploadEvent(fixtures.read('corrupt.m4a'), 'audio/mp4')), 422, 'unreadable_media');
+});
+
+test('keys without the probe scope are refused', async (t) => {
+  withEnv(t, { API_KEYS: JSON.stringify([{ name: 'convert-only', key: 'sk_convert_only', scopes: ['convert'] }]) });
+
+  const response = await handler(jsonEvent({ url: server.url('/files/tone.m4a') }, { token: 'sk_convert_only' }));
+  assertProblem(response, 403, 'scope_not_allowed');
+});
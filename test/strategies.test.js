@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TooLargeError, EncoderUnavailableError } = require('../lib/errors');
+const { LEGACY_STRATEGIES, LEGACY_TARGET_BYTES, planStrategies, planOrReject } = require('../lib/strategies');
+
+// Capabilities of a typical static build
+const encoderInfo = {
+  encoders: ['pcm_s16le', 'aac', 'libmp3lame', 'libopus', 'flac'],
+  muxers: ['wav', 'adts', 'mp3', 'ipod', 'ogg', 'flac']
+};
+
+const names = plan => plan.strategies.map(strategy => strategy.name);
+
+function legacyPlan(settings) {
+  return planStrategies(LEGACY_STRATEGIES, {
+    encoderInfo,
+    maxOutputBytes: LEGACY_TARGET_BYTES,
+    softTarget: true,
+    timeBudgetMs: 8500,
+    ...settings
+  });
+}
+
+// Declaration shaped like the one built for an explicit format request
+function mp3Declaration(sampleRate = null) {
+  return { name: 'mp3-libmp3lame', format: 'mp3', encoders: ['libmp3lame'], sampleRate, channels: 1, bitrate: [8, 320], defaultBitrate: 128, quality: 0, encodeMsPerSecond: 25 };
+}
+
+test('the phone cascade starts with compressed WAV for short recordings', () => {
+  const plan = legacyPlan({ durationSeconds: 10 });
+
+  assert.deepEqual(names(plan), ['wav-pcm-compressed', 'aac-compressed', 'libmp3lame-minimal', 'ultra-compressed']);
+  assert.equal(plan.strategies[0].estimatedBytes, 11025 * 2 * 10);
+  assert.equal(plan.strategies[1].bitrate, 32);
+});
+
+test('the phone cascade prefers AAC for iOS recordings', () => {
+  const plan = legacyPlan({ durationSeconds: 10, preferredFormats: ['aac'] });
+
+  assert.deepEqual(names(plan).slice(0, 2), ['aac-compressed', 'wav-pcm-compressed']);
+});
+
+test('recordings too long for WAV under the soft target move it to the end', () => {
+  const plan = legacyPlan({ durationSeconds: 200 });
+
+  assert.equal(names(plan)[0], 'aac-compressed');
+  assert.equal(names(plan).at(-1), 'wav-pcm-compressed');
+  assert.equal(plan.strategies.at(-1).fitsSize, false);
+  assert.deepEqual(plan.rejected, []);
+});
+
+test('a hard size target lowers bitrates and drops strategies that cannot fit', () => {
+  const plan = legacyPlan({ durationSeconds: 10, maxOutputBytes: 16384, softTarget: false });
+
+  assert.deepEqual(names(plan), ['libmp3lame-minimal', 'ultra-compressed']);
+  assert.deepEqual(plan.strategies.map(strategy => strategy.bitrate), [11, 11]);
+  assert.ok(plan.strategies.every(strategy => strategy.estimatedBytes <= 16384 * 0.9));
+  assert.deepEqual(plan.rejected.map(entry => entry.name), ['wav-pcm-compressed', 'aac-compressed']);
+});
+
+test('planOrReject fails with output_too_large when nothing fits', () => {
+  assert.throws(
+    () => planOrReject(LEGACY_STRATEGIES, { encoderInfo, durationSeconds: 30, maxOutputBytes: 16384 }),
+    err => err instanceof TooLargeError && err.code === 'output_too_large' && err.statusCode === 413
+  );
+});
+
+test('planOrReject fails with encoder_unavailable, naming what is missing, when no strategy can run here', () => {
+  const withoutMuxers = { encoders: ['libmp3lame', 'libopus'], muxers: ['ogg'] };
+  assert.throws(
+    () => planOrReject(LEGACY_STRATEGIES, { encoderInfo: withoutMuxers, durationSeconds: 30 }),
+    err => err instanceof EncoderUnavailableError && err.code === 'encoder_unavailable' && err.statusCode === 501 &&
+      err.message.includes('missing encoder: pcm_s16le, aac') && err.message.includes('missing muxer: mp3')
+  );
+});
+
+test('MP3 under 32k drops to an MPEG-2 sample rate unless the rate is fixed', () => {
+  const settings = { encoderInfo, durationSeconds: 30, source: { sampleRate: 44100 }, maxOutputBytes: 60000 };
+
+  const [free] = planStrategies([mp3Declaration()], settings).strategies;
+  assert.equal(free.bitrate, 14);
+  assert.equal(free.sampleRate, 24000);
+
+  // At 44.1kHz the floor is 32k, which is over this target
+  const fixed = planStrategies([mp3Declaration(44100)], settings);
+  assert.deepEqual(fixed.strategies, []);
+  assert.equal(fixed.rejected[0].estimatedBytes, 32 * 1000 / 8 * 30);
+});
+
+test('strategies without an encoder or muxer are left out', () => {
+  const plan = planStrategies(LEGACY_STRATEGIES, {
+    encoderInfo: { encoders: ['aac', 'libmp3lame'], muxers: ['adts'] },
+    durationSeconds: 10
+  });
+
+  assert.deepEqual(names(plan), ['aac-compressed', 'ultra-compressed']);
+  assert.deepEqual(plan.rejected, [
+    { name: 'wav-pcm-compressed', reason: 'no encoder (needs pcm_s16le)', missingEncoders: ['pcm_s16le'] },
+    { name: 'libmp3lame-minimal', reason: 'no mp3 muxer', missingMuxer: 'mp3' }
+  ]);
+});
+
+test('failed capability detection leaves every strategy to ffmpeg', () => {
+  const plan = planStrategies(LEGACY_STRATEGIES, {
+    encoderInfo: { encoders: [], muxers: [], error: 'ffmpeg -encoders timed out' },
+    durationSeconds: 10
+  });
+
+  assert.equal(plan.strategies.length, LEGACY_STRATEGIES.length);
+});
+
+test('strategies over the time budget are kept after those within it', () => {
+  const plan = legacyPlan({ durationSeconds: 60, timeBudgetMs: 1000 });
+
+  assert.equal(names(plan)[0], 'wav-pcm-compressed');
+  assert.ok(plan.strategies.slice(1).every(strategy => !strategy.fitsTime));
+});
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withEnv, uploadEvent, jsonBody, assertProblem } = require('./helpers/events');
+const { createFixtures } = require('./helpers/media');
+const { DebugLogger } = require('../lib/logger');
+const { createJobStore } = require('../lib/job-store');
+const { signPayload, deliverCallback } = require('../lib/webhooks');
+const { handler: convertHandler } = require('../functions/convert');
+
+const SECRET = 'whsec_test';
+let fixtures;
+let receiver;
+
+// A callback receiver that answers each POST with the next status in line (200 once
+// they run out) and keeps what it was sent
+function startReceiver() {
+  const received = [];
+  let statuses = [];
+  let onRequest = () => {};
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+      onRequest();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/hooks/audio`,
+    received,
+    answer: (...codes) => { statuses = codes; },
+    nextRequest: () => new Promise(done => { onRequest = done; }),
+    reset: () => { received.length = 0; statuses = []; },
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+test.before(async () => {
+  fixtures = createFixtures();
+  receiver = await startReceiver();
+});
+
+test.beforeEach(() => receiver.reset());
+
+test.after(async () => {
+  await receiver.close();
+  fixtures.remove();
+});
+
+// A finished job with a callback to the receiver, as processJob leaves it
+async function finishedJob(fields = {}) {
+  const store = createJobStore();
+  const job = await store.create({
+    source: { url: 'https://example.com/memo.m4a' },
+    options: {},
+    owner: 'default',
+    callback: { url: receiver.url, status: 'pending', attempts: 0, lastError: null, deliveredAt: null }
+  });
+  const finished = await store.update(job.id, {
+    status: 'completed',
+    completedAt: new Date().toISOString(),
+    result: { format: '.mp3', contentType: 'audio/mpeg', fileSize: 1234, duration: 10, location: `/.netlify/functions/jobs/${job.id}/result`, storageKey: `jobs/${job.id}/result.mp3`, split: null },
+    ...fields
+  });
+  return { store, job: finished };
+}
+
+function deliver({ store, job }) {
+  return deliverCallback(job, store, new DebugLogger());
+}
+
+test('signatures are an HMAC of the timestamp and the exact body', () => {
+  const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+  assert.equal(signPayload(SECRET, '1700000000', '{"a":1}'), `sha256=${expected}`);
+  assert.notEqual(signPayload(SECRET, '1700000001', '{"a":1}'), `sha256=${expected}`);
+});
+
+test('a delivered callback is signed so the receiver can verify it', async (t) => {
+  withEnv(t, { WEBHOOK_SECRET: SECRET });
+  const { store, job } = await finishedJob();
+
+  const delivered = await deliver({ store, job });
+  assert.equal(delivered.callback.status, 'delivered');
+  assert.equal(delivered.callback.attempts, 1);
+  assert.ok(delivered.callback.deliveredAt);
+
+  const [{ headers, body }] = receiver.received;
+  const hmac = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-webhook-signature'], `sha256=${hmac}`);
+  assert.equal(headers['content-type'], 'application/json');
+  assert.ok(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000) < 60);
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, 'job.completed');
+  assert.equal(payload.jobId, job.id);
+  assert.equal(payload.result.fileSize, 1234);
+  assert.equal(payload.result.storageKey, undefined);
+});
+
+test('5xx answers are retried with the same delivery id', async (t) => {
+  withEnv(t, { WEBHOOK_SECRET: SECRET });
+  receiver.answer(500);
+
+  const delivered = await deliver(await finishedJob());
+  assert.equal(delivered.callback.status, 'delivered');
+  assert.equal(delivered.callback.attempts, 2);
+  assert.equal(receiver.received.length, 2);
+  assert.equal(receiver.received[0].headers['x-webhook-id'], receiver.received[1].headers['x-webhook-id']);
+});
+
+test('other 4xx answers are final', async (t) => {
+  withEnv(t, { WEBHOOK_SECRET: SECRET });
+  receiver.answer(400);
+
+  const failed = await deliver(await finishedJob());
+  assert.equal(failed.callback.status, 'failed');
+  assert.equal(failed.callback.attempts, 1);
+  assert.equal(failed.callback.lastError, 'Callback answered 400');
+  assert.equal(receiver.received.length, 1);
+});
+
+test('delivery gives up after WEBHOOK_MAX_ATTEMPTS', async (t) => {
+  withEnv(t, { WEBHOOK_SECRET: SECRET, WEBHOOK_MAX_ATTEMPTS: '2' });
+  receiver.answer(503, 503, 503);
+
+  const failed = await deliver(await finishedJob());
+  assert.equal(failed.callback.status, 'failed');
+  assert.equal(failed.callback.attempts, 2);
+  assert.equal(failed.callback.lastError, 'Callback answered 503');
+  assert.equal(receiver.received.length, 2);
+});
+
+test('nothing is sent without a webhook secret', async (t) => {
+  withEnv(t, { WEBHOOK_SECRET: '' });
+
+  const failed = await deliver(await finishedJob());
+  assert.equal(failed.callback.status, 'failed');
+  assert.equal(failed.callback.lastError, 'No webhook secret configured');
+  assert.equal(receiver.received.length, 0);
+});
+
+test('a key\'s own webhook secret signs its callbacks', async (t) => {
+  withEnv(t, { WEBHOOK_SECRET: SECRET, API_KEYS: JSON.stringify([{ name: 'default', key: 'sk_default', webhookSecret: 'whsec_key' }]) });
+
+  await deliver(await finishedJob());
+  const [{ headers, body }] = receiver.received;
+  assert.equal(headers['x-webhook-signature'], signPayload('whsec_key', headers['x-webhook-timestamp'], body));
+});
+
+test('a failed job reports its error without the debug output', async (t) => {
+  withEnv(t, { WEBHOOK_SECRET: SECRET });
+
+  await deliver(await finishedJob({
+    status: 'failed',
+    result: null,
+    error: { statusCode: 422, code: 'unreadable_media', error: 'Source could not be read as audio', debug: 'moov atom not found' }
+  }));
+  const payload = JSON.parse(receiver.received[0].body);
+  assert.equal(payload.event, 'job.failed');
+  assert.equal(payload.result, null);
+  assert.deepEqual(payload.error, { statusCode: 422, code: 'unreadable_media', error: 'Source could not be read as audio' });
+});
+
+test('a conversion with a callbackUrl runs as a job and posts a signed download link', async (t) => {
+  withEnv(t, { WEBHOOK_SECRET: SECRET, DOWNLOAD_SIGNING_SECRET: 'test-download-secret', URL: 'https://audio.example.com' });
+  const posted = receiver.nextRequest();
+
+  const queued = await convertHandler(uploadEvent(fixtures.read('tone.m4a'), 'audio/mp4', { query: { format: 'mp3', callbackUrl: receiver.url } }));
+  assert.equal(queued.statusCode, 202, queued.body);
+  const { jobId } = jsonBody(queued);
+
+  await posted;
+  const payload = JSON.parse(receiver.received[0].body);
+  assert.equal(payload.jobId, jobId);
+  assert.equal(payload.status, 'completed');
+  assert.equal(payload.result.location, `https://audio.example.com/.netlify/functions/jobs/${jobId}/result`);
+  assert.match(payload.result.downloadUrl, /^https:\/\/audio\.example\.com\/\.netlify\/functions\/download\?/);
+  assert.ok(Date.parse(payload.result.expiresAt) > Date.now());
+});
+
+test('a callbackUrl is refused when the key has no webhook secret', async (t) => {
+  withEnv(t, { WEBHOOK_SECRET: '' });
+
+  const response = await convertHandler(uploadEvent(fixtures.read('tone.m4a'), 'audio/mp4', { query: { format: 'mp3', callbackUrl: receiver.url } }));
+  assertProblem(response, 400, 'webhook_secret_missing');
+});